@@ -5,6 +5,7 @@
  *
  * Usage:
  *   node-cgi script.js           # Run script in CGI mode
+ *   node-cgi --nph script.js     # Run script in CGI mode with non-parsed headers
  *   node-cgi --fastcgi           # Start FastCGI server (uses handler.js)
  *   node-cgi --fastcgi script.js # Start FastCGI server with specific script
  *   node-cgi --help              # Show help
@@ -13,7 +14,8 @@
 import { existsSync, readFileSync } from 'node:fs';
 import { resolve, dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { createFastCGIServer } from '../src/index.js';
+import { createFastCGIServer, parseSize, isNPHScript } from '../src/index.js';
+import { HttpError, sendError } from '../src/errors.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -25,6 +27,8 @@ const options = {
   port: 9000,
   socket: null,
   script: null,
+  maxBodySize: undefined,
+  nph: false,
   watch: false,
   help: false,
   version: false,
@@ -49,6 +53,19 @@ for (let i = 0; i < args.length; i++) {
     options.socket = args[++i];
     break;
 
+  case '--max-body-size':
+    try {
+      options.maxBodySize = parseSize(args[++i]);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    break;
+
+  case '--nph':
+    options.nph = true;
+    break;
+
   case '--watch':
   case '-w':
     options.watch = true;
@@ -85,6 +102,9 @@ OPTIONS:
   -f, --fastcgi          Start as FastCGI server instead of CGI
   -p, --port <port>      FastCGI port (default: 9000)
   -s, --socket <path>    Use Unix socket instead of TCP port
+  --max-body-size <size> Reject larger request bodies with 413 (e.g. 10mb)
+  --nph                  Non-parsed headers: write the HTTP status line and
+                         framing for servers that pass output straight through
   -w, --watch            Watch for file changes and reload
   -h, --help             Show this help message
   -v, --version          Show version number
@@ -185,7 +205,7 @@ async function startFastCGIServer() {
     };
   }
 
-  const server = createFastCGIServer();
+  const server = createFastCGIServer({ maxBodySize: options.maxBodySize });
 
   server.on('request', async (req, res) => {
     try {
@@ -193,7 +213,12 @@ async function startFastCGIServer() {
     } catch (err) {
       console.error(`Request error: ${err.message}`);
       if (!res._headersSent) {
-        res.status(500).json({ error: 'Internal Server Error' });
+        // Errors like 413 from req.buffer() are answered like handle() does
+        if (err instanceof HttpError) {
+          sendError(res, err);
+        } else {
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
       }
     }
 
@@ -239,12 +264,26 @@ async function runCGIScript(scriptPath) {
     process.exit(1);
   }
 
+  // handle() in the script picks the limit up from the environment
+  if (options.maxBodySize !== undefined) {
+    process.env.NODE_CGI_MAX_BODY_SIZE = String(options.maxBodySize);
+  }
+
+  // Likewise NPH mode, asked for by flag or by an nph-* script name
+  const nph = options.nph || isNPHScript(fullPath);
+  if (nph) {
+    process.env.NODE_CGI_NPH = '1';
+  }
+
   // Import and run the script
   try {
     await import(fullPath);
   } catch (err) {
-    // Output CGI error response
-    console.log('Status: 500 Internal Server Error');
+    // Output CGI error response - a full status line for NPH scripts
+    console.log(nph ? 'HTTP/1.1 500 Internal Server Error' : 'Status: 500 Internal Server Error');
+    if (nph) {
+      console.log('Connection: close');
+    }
     console.log('Content-Type: text/plain');
     console.log('');
     console.log(`Error: ${err.message}`);
@@ -0,0 +1,292 @@
+/**
+ * HTTP Authentication
+ * Parses the Authorization header into req.auth and provides Basic
+ * (htpasswd) and Digest (RFC 7616) middlewares for compose()/createRouter()
+ */
+
+import { Buffer } from 'node:buffer';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { parseHtpasswd, parseHtdigest, safeEqual, verifyPassword } from './htpasswd.js';
+
+// Parsed credential files, reloaded when their mtime changes
+const fileCache = new Map();
+
+/**
+ * Parse `name=value, name="quoted value"` auth parameters
+ */
+function parseAuthParams(value) {
+  const params = {};
+  const regex = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+  let match;
+
+  while ((match = regex.exec(value)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined
+      ? match[2].replace(/\\(.)/g, '$1')
+      : match[3];
+  }
+
+  return params;
+}
+
+/**
+ * Parse an Authorization header
+ *
+ * Returns null when missing or malformed, otherwise:
+ *   { scheme: 'basic', user, password }
+ *   { scheme: 'bearer', token }
+ *   { scheme: 'digest', user, params }
+ *   { scheme, credentials } for other schemes
+ */
+export function parseAuthorization(header) {
+  const match = /^\s*([^\s]+)\s*(.*)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const scheme = match[1].toLowerCase();
+  const credentials = match[2].trim();
+
+  switch (scheme) {
+  case 'basic': {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    if (colon === -1) {
+      return null;
+    }
+    return { scheme, user: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+  }
+
+  case 'bearer':
+    return credentials ? { scheme, token: credentials } : null;
+
+  case 'digest': {
+    const params = parseAuthParams(credentials);
+    return { scheme, user: params.username, params };
+  }
+
+  default:
+    return { scheme, credentials };
+  }
+}
+
+/**
+ * Read and parse a credentials file, cached until it changes
+ */
+async function loadFile(path, parse) {
+  const { mtimeMs } = await stat(path);
+  const cached = fileCache.get(path);
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.entries;
+  }
+
+  const entries = parse(await readFile(path, 'utf8'));
+  fileCache.set(path, { mtimeMs, entries });
+  return entries;
+}
+
+/**
+ * Quote a value for a WWW-Authenticate parameter
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Answer 401 with a challenge
+ */
+function challenge(res, header) {
+  res.status(401);
+  res.set('WWW-Authenticate', header);
+  res.type('text').send('Unauthorized');
+}
+
+/**
+ * Basic authentication middleware
+ *
+ * Options:
+ *   file - path to an htpasswd file (bcrypt, {SHA} or APR1 hashes)
+ *   users - { user: hash } instead of a file
+ *   realm - shown by the browser (default 'Restricted')
+ *
+ * Sets req.user on success. Browsers resend the same credentials with every
+ * request, so successful checks are remembered per user and hash, and bcrypt
+ * only runs again when the password or the hash changes.
+ */
+export function basicAuth(options = {}) {
+  const realm = options.realm || 'Restricted';
+  const header = `Basic realm=${quote(realm)}, charset="UTF-8"`;
+  // user -> { hash, fingerprint } of the last password that matched
+  const verified = new Map();
+  const cacheKey = randomBytes(32);
+
+  const fingerprint = (password) => createHmac('sha256', cacheKey).update(password).digest();
+
+  async function check(user, password, hash) {
+    const known = verified.get(user);
+    const print = fingerprint(password);
+    if (known && known.hash === hash && timingSafeEqual(known.fingerprint, print)) {
+      return true;
+    }
+
+    if (!(await verifyPassword(password, hash))) {
+      return false;
+    }
+    verified.set(user, { hash, fingerprint: print });
+    return true;
+  }
+
+  return async (req, res, next) => {
+    const auth = req.auth;
+
+    if (auth && auth.scheme === 'basic') {
+      const users = options.file
+        ? await loadFile(options.file, parseHtpasswd)
+        : new Map(Object.entries(options.users || {}));
+      const hash = users.get(auth.user);
+
+      if (hash && await check(auth.user, auth.password, hash)) {
+        req.user = auth.user;
+        if (next) {
+          await next();
+        }
+        return;
+      }
+    }
+
+    challenge(res, header);
+  };
+}
+
+function md5Hex(value) {
+  return createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * Digest authentication middleware (MD5, qop=auth)
+ *
+ * Options:
+ *   file - path to an htdigest file (user:realm:HA1)
+ *   users - { user: password } instead of a file
+ *   realm - protection space (default 'Restricted')
+ *   secret - signs nonces; set it in CGI mode so every process accepts
+ *     nonces issued by the others (default: random per process)
+ *   nonceTtl - seconds a nonce stays valid (default 300)
+ *
+ * Nonce counts are tracked to reject replays within a process
+ */
+export function digestAuth(options = {}) {
+  const realm = options.realm || 'Restricted';
+  const secret = options.secret || randomBytes(32);
+  const nonceTtl = (options.nonceTtl ?? 300) * 1000;
+  const opaque = md5Hex(`opaque:${realm}`);
+  // nonce -> { issued, nc } for nonces seen in this process
+  const seen = new Map();
+
+  const sign = (value) => createHmac('sha256', secret).update(value).digest('base64url');
+
+  function createNonce() {
+    const value = `${Date.now().toString(36)}.${randomBytes(8).toString('base64url')}`;
+    return `${value}.${sign(value)}`;
+  }
+
+  /**
+   * Issue time of a nonce we signed, or null for a forged one
+   */
+  function nonceIssued(nonce) {
+    const dot = nonce.lastIndexOf('.');
+    if (dot === -1 || !safeEqual(sign(nonce.slice(0, dot)), nonce.slice(dot + 1))) {
+      return null;
+    }
+    return parseInt(nonce.split('.')[0], 36);
+  }
+
+  async function getHA1(user) {
+    if (options.file) {
+      const entries = await loadFile(options.file, parseHtdigest);
+      return entries.get(`${user}:${realm}`) || null;
+    }
+    const password = options.users ? options.users[user] : undefined;
+    return typeof password === 'string' ? md5Hex(`${user}:${realm}:${password}`) : null;
+  }
+
+  function sendChallenge(res, stale = false) {
+    let header = `Digest realm=${quote(realm)}, qop="auth", algorithm=MD5, ` +
+      `nonce=${quote(createNonce())}, opaque=${quote(opaque)}`;
+    if (stale) {
+      header += ', stale=true';
+    }
+    challenge(res, header);
+  }
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    for (const [nonce, entry] of seen) {
+      if (now - entry.issued > nonceTtl) {
+        seen.delete(nonce);
+      }
+    }
+
+    const auth = req.auth;
+    if (!auth || auth.scheme !== 'digest') {
+      sendChallenge(res);
+      return;
+    }
+
+    const { username, nonce, uri, response, qop, nc, cnonce } = auth.params;
+    if (!username || !nonce || !response || !nc || !cnonce || qop !== 'auth' ||
+      auth.params.realm !== realm || auth.params.opaque !== opaque ||
+      (auth.params.algorithm && auth.params.algorithm.toUpperCase() !== 'MD5')) {
+      sendChallenge(res);
+      return;
+    }
+
+    // The credentials must be for this request, not replayed from another URI
+    if (uri !== (req.uri || req.path)) {
+      sendChallenge(res);
+      return;
+    }
+
+    const issued = nonceIssued(nonce);
+    if (issued === null) {
+      sendChallenge(res);
+      return;
+    }
+
+    const ha1 = await getHA1(username);
+    const ha2 = md5Hex(`${req.method}:${uri}`);
+    const expected = ha1 ? md5Hex(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`) : null;
+
+    if (!expected || !safeEqual(expected, response.toLowerCase())) {
+      sendChallenge(res);
+      return;
+    }
+
+    // Right password, old nonce - the client can retry without asking the user
+    if (now - issued > nonceTtl) {
+      sendChallenge(res, true);
+      return;
+    }
+
+    // Each request must use a higher nonce count than the last
+    const count = parseInt(nc, 16);
+    const entry = seen.get(nonce);
+    if (entry && count <= entry.nc) {
+      sendChallenge(res);
+      return;
+    }
+    seen.set(nonce, { issued, nc: count });
+
+    req.user = username;
+    if (next) {
+      await next();
+    }
+  };
+}
+
+export default {
+  parseAuthorization,
+  basicAuth,
+  digestAuth,
+};
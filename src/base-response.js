@@ -0,0 +1,830 @@
+/**
+ * Response Core
+ * Transport-agnostic Express-like response API shared by the CGI Response
+ * and the FastCGI FCGIResponse. Subclasses only decide where bytes go.
+ */
+
+import { Buffer } from 'node:buffer';
+import { EventEmitter, once } from 'node:events';
+import { open, realpath, rm, stat } from 'node:fs/promises';
+import { basename, join, normalize, resolve, sep } from 'node:path';
+import { formatResponse } from './negotiation.js';
+import { encodeCookieValue } from './cookies.js';
+import { prepareFileRanges } from './range.js';
+import { fileETag, respondConditionally } from './conditional.js';
+import { applyCompression, compressSync, createEncoder } from './compression.js';
+import { EventStream } from './sse.js';
+import { contentDisposition } from './disposition.js';
+import { contentTypeFor, lookupType } from './mime.js';
+import { HttpError, sendError } from './errors.js';
+import { STATUS_MESSAGES, statusMessage, validateReason, validateStatus } from './status.js';
+import { HeaderMap } from './headers.js';
+
+/**
+ * Shorthands accepted by res.type()
+ */
+const TYPE_SHORTHANDS = {
+  html: 'text/html; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'application/javascript; charset=utf-8',
+};
+
+// fs error codes sendFile() answers with 404 / 403
+const FILE_NOT_FOUND = new Set(['ENOENT', 'ENOTDIR', 'ENAMETOOLONG']);
+const FILE_FORBIDDEN = new Set(['EACCES', 'EPERM']);
+
+// Cache-Control max-age for immutable files without an explicit maxAge
+const ONE_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * Base class for responses
+ *
+ * Subclasses implement the transport:
+ *   _writeRaw(buffer) - send header or body bytes; return false to ask the
+ *     writer to wait for _drained() before sending more
+ *   _drained() - promise that resolves when more bytes can be sent
+ *   _flush() - send anything the transport is holding back
+ *   _close() - the response is complete
+ *   _watchClose() - start noticing the client going away, for transports
+ *     that need to listen for it; call _abort() when it does
+ *
+ * write() and end() follow stream.Writable, so readable.pipe(res) works
+ * and respects backpressure through the 'drain' event.
+ */
+export class BaseResponse extends EventEmitter {
+  constructor() {
+    super();
+    this._statusCode = 200;
+    // Reason phrase set for this response, instead of the registry's
+    this._statusMessage = null;
+    // Case-insensitive; cookies are kept here as Set-Cookie too
+    this._headers = new HeaderMap({
+      'Content-Type': 'text/html; charset=utf-8',
+    });
+    this._headersSent = false;
+    this._finished = false;
+    // The request being answered, set by handle() / the FastCGI server
+    this.req = null;
+    // Secret(s) for signed and encrypted cookies
+    this.cookieSecret = null;
+    // Generate ETags for send()/json()/sendFile() bodies
+    this.etag = true;
+    // Compress for clients that accept it: true, false or { threshold, level }
+    this.compression = true;
+    // zlib stream for compressed write()-based output
+    this._encoder = null;
+    // A 'drain' event is owed to a writer that got false from write()
+    this._draining = false;
+    // The client went away before the response was complete
+    this.aborted = false;
+    // Views for render(), set by handle() / the FastCGI server
+    this.views = null;
+    // Values every render() of this response sees
+    this.locals = {};
+    // Readables piped into the response, which the handler need not await
+    this._pipes = 0;
+    this.on('pipe', () => this._pipes++);
+    this.on('unpipe', () => this._pipes--);
+    // Live res.sse() stream, which the handler need not await either
+    this._eventStream = null;
+  }
+
+  /**
+   * Get/set status code, optionally with a custom reason phrase
+   * Codes must be integers from 100 to 599
+   */
+  status(code, message) {
+    if (this._headersSent) {
+      throw new Error('Cannot set status after headers sent');
+    }
+    this._statusCode = validateStatus(code);
+    this._statusMessage = message === undefined ? null : validateReason(message);
+    return this;
+  }
+
+  get statusCode() {
+    return this._statusCode;
+  }
+
+  set statusCode(code) {
+    this.status(code);
+  }
+
+  /**
+   * Reason phrase sent on the status line
+   * Setting it overrides the registry's phrase until the status changes
+   */
+  get statusMessage() {
+    return this._statusMessage ?? statusMessage(this._statusCode);
+  }
+
+  set statusMessage(message) {
+    if (this._headersSent) {
+      throw new Error('Cannot set status after headers sent');
+    }
+    this._statusMessage = validateReason(message);
+  }
+
+  /**
+   * Set the status and send its reason phrase as the body
+   */
+  sendStatus(code) {
+    this.status(code);
+    if (code < 200 || code === 204 || code === 304) {
+      return this.end();
+    }
+    return this.type('text').send(this.statusMessage);
+  }
+
+  get headersSent() {
+    return this._headersSent;
+  }
+
+  get writable() {
+    return !this._finished;
+  }
+
+  /**
+   * Set a header, replacing it in whatever case it was set before
+   * Array values are sent as one line each, or one comma-separated line
+   * for list fields like Vary and Link
+   */
+  set(name, value) {
+    if (this._headersSent) {
+      throw new Error('Cannot set headers after they are sent');
+    }
+
+    if (typeof name === 'object') {
+      // set({ 'Content-Type': 'text/html', ... })
+      for (const [key, val] of Object.entries(name)) {
+        this._headers.set(key, val);
+      }
+    } else {
+      this._headers.set(name, value);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a value to a header without replacing the ones already set
+   */
+  append(name, value) {
+    if (this._headersSent) {
+      throw new Error('Cannot set headers after they are sent');
+    }
+    this._headers.append(name, value);
+    return this;
+  }
+
+  // Alias for set
+  header(name, value) {
+    return this.set(name, value);
+  }
+
+  setHeader(name, value) {
+    return this.set(name, value);
+  }
+
+  /**
+   * Get a header value, by name in any case
+   */
+  get(name) {
+    return this._headers.get(name);
+  }
+
+  getHeader(name) {
+    return this.get(name);
+  }
+
+  /**
+   * Whether a header is set
+   */
+  has(name) {
+    return this._headers.has(name);
+  }
+
+  hasHeader(name) {
+    return this.has(name);
+  }
+
+  /**
+   * Names of the headers set, lowercased
+   */
+  getHeaderNames() {
+    return this._headers.keys();
+  }
+
+  /**
+   * All headers as { lowercase name: value }
+   */
+  getHeaders() {
+    return this._headers.toObject();
+  }
+
+  /**
+   * [name, value] pairs exactly as they are (or will be) sent
+   */
+  getRawHeaders() {
+    return this._headers.lines();
+  }
+
+  /**
+   * Remove a header
+   */
+  removeHeader(name) {
+    if (this._headersSent) {
+      throw new Error('Cannot remove headers after they are sent');
+    }
+    this._headers.delete(name);
+    return this;
+  }
+
+  /**
+   * Set Content-Type header
+   */
+  type(contentType) {
+    return this.set('Content-Type', TYPE_SHORTHANDS[contentType] || contentType);
+  }
+
+  /**
+   * Set a cookie
+   * { signed: true } HMAC-signs and { encrypted: true } encrypts the value
+   * with the cookieSecret; read them back from req.signedCookies
+   */
+  cookie(name, value, options = {}) {
+    if (this._headersSent) {
+      throw new Error('Cannot set cookie after headers sent');
+    }
+
+    const wireName = encodeURIComponent(name);
+    const encoded = encodeCookieValue(value, options, this.cookieSecret, wireName);
+    let cookieStr = `${wireName}=${encodeURIComponent(encoded)}`;
+
+    if (options.maxAge) {
+      cookieStr += `; Max-Age=${options.maxAge}`;
+    }
+    if (options.expires) {
+      cookieStr += `; Expires=${options.expires.toUTCString()}`;
+    }
+    if (options.path) {
+      cookieStr += `; Path=${options.path}`;
+    }
+    if (options.domain) {
+      cookieStr += `; Domain=${options.domain}`;
+    }
+    if (options.secure) {
+      cookieStr += '; Secure';
+    }
+    if (options.httpOnly) {
+      cookieStr += '; HttpOnly';
+    }
+    if (options.sameSite) {
+      cookieStr += `; SameSite=${options.sameSite}`;
+    }
+
+    this._headers.append('Set-Cookie', cookieStr);
+    return this;
+  }
+
+  /**
+   * Clear a cookie
+   */
+  clearCookie(name, options = {}) {
+    return this.cookie(name, '', {
+      ...options,
+      expires: new Date(0),
+    });
+  }
+
+  /**
+   * First line of the header block - CGI's "Status:" instead of an HTTP status line
+   */
+  _statusLine() {
+    return `Status: ${this._statusCode} ${this.statusMessage}`;
+  }
+
+  /**
+   * Build the header block
+   */
+  _buildHeaders() {
+    let headerStr = `${this._statusLine()}\r\n`;
+
+    for (const [name, value] of this._headers.lines()) {
+      headerStr += `${name}: ${value}\r\n`;
+    }
+
+    headerStr += '\r\n';
+    return Buffer.from(headerStr);
+  }
+
+  /**
+   * Send the headers, once
+   */
+  _writeHeaders() {
+    if (this._headersSent) {
+      return true;
+    }
+
+    this._headersSent = true;
+    return this._writeRaw(this._buildHeaders());
+  }
+
+  /**
+   * Write data to response body
+   * Returns false when the output is backed up - wait for 'drain' before writing more
+   */
+  write(chunk) {
+    if (this._finished) {
+      throw new Error('Cannot write after response finished');
+    }
+
+    this._startBody();
+
+    const buffer = toBuffer(chunk);
+    const ok = (this._encoder ? this._encoder.write(buffer) : this._writeRaw(buffer)) !== false;
+
+    if (!ok && !this._draining) {
+      this._draining = true;
+      this._bodyDrained().then(() => {
+        this._draining = false;
+        this.emit('drain');
+      });
+    }
+
+    return ok;
+  }
+
+  /**
+   * Send the headers before the first body chunk
+   * The body length is unknown here, so a compressed body is encoded as it streams
+   */
+  _startBody() {
+    if (this._headersSent) {
+      return;
+    }
+
+    const encoding = applyCompression(this);
+    if (encoding) {
+      this._startEncoder(encoding);
+    }
+    this._writeHeaders();
+  }
+
+  /**
+   * Send buffered output now: the headers if they are still pending, data
+   * held back by the compressor and writes the transport is coalescing
+   */
+  flush() {
+    if (this._finished) {
+      return this;
+    }
+
+    this._startBody();
+
+    if (this._encoder) {
+      this._encoder.flush(() => this._flush());
+    } else {
+      this._flush();
+    }
+    return this;
+  }
+
+  /**
+   * Pipe compressed output to the transport, pausing when it is full
+   */
+  _startEncoder(encoding) {
+    const encoder = createEncoder(encoding, this.compression);
+
+    encoder.on('data', (chunk) => {
+      if (this._writeRaw(chunk) === false) {
+        encoder.pause();
+        this._drained().then(() => encoder.resume());
+      }
+    });
+    encoder.on('error', (error) => this.emit('error', error));
+
+    this._encoder = encoder;
+  }
+
+  /**
+   * Resolve when the next body chunk can be written
+   */
+  _bodyDrained() {
+    return this._encoder ? once(this._encoder, 'drain') : this._drained();
+  }
+
+  /**
+   * End the response
+   */
+  end(data) {
+    if (this._finished) {
+      return this;
+    }
+
+    if (data !== undefined && !this._headersSent) {
+      // The whole body is known - compress it in one go
+      let body = toBuffer(data);
+      const encoding = applyCompression(this, body.length);
+      if (encoding) {
+        body = compressSync(encoding, body, this.compression);
+        this.set('Content-Length', body.length);
+      }
+      this._writeHeaders();
+      this._writeRaw(body);
+    } else if (data !== undefined) {
+      this.write(data);
+    } else {
+      this._writeHeaders();
+    }
+
+    this._finished = true;
+
+    if (this._encoder) {
+      // Finish once the compressed tail has been sent
+      this._encoder.once('end', () => this._finish());
+      this._encoder.end();
+    } else {
+      this._finish();
+    }
+    return this;
+  }
+
+  /**
+   * Hand the completed response to the transport
+   */
+  _finish() {
+    this._close();
+    this.emit('finish');
+  }
+
+  /**
+   * Send a response (like Express res.send)
+   */
+  send(body) {
+    if (body === undefined || body === null) {
+      return this.end();
+    }
+
+    if (typeof body === 'string') {
+      if (!this.has('Content-Type')) {
+        this.type('html');
+      }
+      if (respondConditionally(this, body)) {
+        return this;
+      }
+      return this.end(body);
+    }
+
+    if (Buffer.isBuffer(body)) {
+      if (!this.has('Content-Type')) {
+        this.type('application/octet-stream');
+      }
+      if (respondConditionally(this, body)) {
+        return this;
+      }
+      return this.end(body);
+    }
+
+    // Object or array - send as JSON
+    return this.json(body);
+  }
+
+  /**
+   * Send JSON response
+   */
+  json(data) {
+    this.type('json');
+    const body = JSON.stringify(data);
+    this.set('Content-Length', Buffer.byteLength(body));
+    if (respondConditionally(this, body)) {
+      return this;
+    }
+    return this.end(body);
+  }
+
+  /**
+   * Send a file
+   * Answers conditional requests with 304/412 and Range / If-Range with
+   * 206 Partial Content, using the request in res.req
+   *
+   * Options:
+   *   root - directory the path is relative to; paths that leave it, also
+   *     through symlinks, are refused with 403
+   *   dotfiles - paths with a file or directory name starting with a dot:
+   *     'ignore' (404, default), 'deny' (403) or 'allow'
+   *   index - file(s) to send for a directory (default 'index.html'), or false
+   *   maxAge - Cache-Control max-age in seconds
+   *   immutable - mark the file as never changing (max-age defaults to a year)
+   *   headers - extra headers, set only once the file is found
+   *
+   * Missing files answer 404 and unreadable or forbidden ones 403; other
+   * errors are thrown, for the handler to answer 500
+   */
+  async sendFile(filePath, options = {}) {
+    let file;
+    try {
+      file = await openFile(filePath, options);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendError(this, error);
+        return this;
+      }
+      throw error;
+    }
+
+    const { handle, path, stats } = file;
+    try {
+      this.set('Content-Type', contentTypeFor(path));
+      if (options.headers) {
+        this.set(options.headers);
+      }
+      if ((options.maxAge !== undefined || options.immutable) && !this.get('Cache-Control')) {
+        const maxAge = Math.max(0, Math.floor(options.maxAge ?? ONE_YEAR));
+        this.set('Cache-Control', `public, max-age=${maxAge}${options.immutable ? ', immutable' : ''}`);
+      }
+      if (!this.get('Last-Modified')) {
+        this.set('Last-Modified', stats.mtime.toUTCString());
+      }
+      if (this.etag !== false && !this.get('ETag')) {
+        this.set('ETag', fileETag(stats));
+      }
+      if (respondConditionally(this)) {
+        return this;
+      }
+
+      const parts = prepareFileRanges(this, stats.size);
+      if (!parts) {
+        return this.end();
+      }
+
+      // Stop reading as soon as the client goes away, or 'drain' never comes
+      for (const part of parts) {
+        if (this.aborted) {
+          return this;
+        }
+        if (Buffer.isBuffer(part)) {
+          this.write(part);
+          continue;
+        }
+        for await (const chunk of handle.createReadStream({ ...part, autoClose: false })) {
+          if (!this.write(chunk)) {
+            await drainedOrClosed(this);
+          }
+          if (this.aborted) {
+            return this;
+          }
+        }
+      }
+
+      return this.end();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Mark the response as a download, typed by the filename's extension
+   */
+  attachment(filename) {
+    if (filename && lookupType(filename)) {
+      this.set('Content-Type', contentTypeFor(filename));
+    }
+    return this.set('Content-Disposition', contentDisposition(filename));
+  }
+
+  /**
+   * Send a file as a download named `filename` (default: the file's own name)
+   *
+   * Options:
+   *   headers - extra headers, as for sendFile()
+   *   deleteAfter - remove the file once it has been sent, for temp files
+   */
+  async download(filePath, filename, options = {}) {
+    if (filename !== null && typeof filename === 'object') {
+      options = filename;
+      filename = undefined;
+    }
+
+    try {
+      return await this.sendFile(filePath, {
+        ...options,
+        headers: {
+          ...options.headers,
+          'Content-Disposition': contentDisposition(filename || basename(filePath)),
+        },
+      });
+    } finally {
+      if (options.deleteAfter) {
+        await rm(filePath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Respond according to the request's Accept header
+   * res.format({ json: () => ..., html: () => ..., default: () => ... })
+   */
+  format(handlers) {
+    return formatResponse(this, handlers);
+  }
+
+  /**
+   * Render a view with res.locals and the given locals and send it
+   */
+  async render(view, locals = {}) {
+    if (!this.views) {
+      throw new Error('No views configured - pass the views option to handle() or createServer()');
+    }
+
+    const html = await this.views.render(view, { ...this.locals, ...locals });
+    return this.send(html);
+  }
+
+  /**
+   * Start a Server-Sent Events stream
+   * Returns an EventStream - see sse.js
+   */
+  sse(options = {}) {
+    this._eventStream = new EventStream(this, options);
+    return this._eventStream;
+  }
+
+  /**
+   * Resolve once nothing the handler left running still feeds the response
+   * (a readable piped into it or an event stream), so handle() and the
+   * FastCGI server don't end it underneath
+   */
+  _settled() {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this._finished || this.aborted || (this._pipes === 0 && !this._eventStream)) {
+          this.off('finish', check);
+          this.off('close', check);
+          this.off('unpipe', check);
+          resolve();
+        }
+      };
+      this.on('finish', check);
+      this.on('close', check);
+      this.on('unpipe', check);
+      check();
+    });
+  }
+
+  /**
+   * The client went away (FastCGI abort, closed socket or pipe)
+   * Output is dropped from here on; 'close' tells the handler to stop
+   */
+  _abort() {
+    if (this.aborted || this._finished) {
+      return;
+    }
+    this.aborted = true;
+    this.emit('close');
+  }
+
+  /**
+   * Redirect to URL
+   */
+  redirect(url, statusCode = 302) {
+    this.status(statusCode);
+    this.set('Location', url);
+    return this.end();
+  }
+
+  _writeRaw(_buffer) {
+    throw new Error('_writeRaw() must be implemented by the transport');
+  }
+
+  _drained() {
+    return Promise.resolve();
+  }
+
+  _flush() {}
+
+  _close() {}
+
+  _watchClose() {}
+}
+
+/**
+ * Resolve on the response's next 'drain' or 'close', whichever comes first
+ */
+function drainedOrClosed(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Whether a path is inside a directory (or is the directory)
+ */
+function isInside(path, dir) {
+  return path === dir || path.startsWith(dir.endsWith(sep) ? dir : dir + sep);
+}
+
+/**
+ * HttpError for a filesystem error that means "not there" or "not allowed"
+ * Anything else is returned as is
+ */
+function fileError(error) {
+  if (FILE_NOT_FOUND.has(error.code)) {
+    return new HttpError(404, 'File not found');
+  }
+  if (FILE_FORBIDDEN.has(error.code)) {
+    return new HttpError(403, 'Forbidden');
+  }
+  return error;
+}
+
+/**
+ * Find and open the file sendFile() should send, applying its options
+ * Resolves to { handle, path, stats }; throws HttpError for 400/403/404
+ */
+async function openFile(filePath, options) {
+  const name = String(filePath);
+  if (name.includes('\0')) {
+    throw new HttpError(400, 'Bad Request');
+  }
+
+  let root = null;
+  let path;
+  let segments;
+
+  if (options.root) {
+    root = resolve(options.root);
+    segments = name.split(/[/\\]+/).filter((segment) => segment !== '' && segment !== '.');
+    if (segments.includes('..')) {
+      throw new HttpError(403, 'Forbidden');
+    }
+    path = resolve(root, ...segments);
+  } else {
+    path = resolve(name);
+    // Every directory the caller named counts, as under a root:
+    // /srv/.git/config, but not a dotted cwd that a relative path sits in
+    segments = normalize(name).split(sep).filter((segment) => segment !== '' && segment !== '.' && segment !== '..');
+  }
+
+  const dotfiles = options.dotfiles || 'ignore';
+  if (dotfiles !== 'allow' && segments.some((segment) => segment.startsWith('.'))) {
+    throw dotfiles === 'deny' ? new HttpError(403, 'Forbidden') : new HttpError(404, 'File not found');
+  }
+
+  try {
+    let stats = await stat(path);
+
+    if (stats.isDirectory()) {
+      const indexes = options.index === false ? [] : [].concat(options.index ?? 'index.html');
+      const dir = path;
+      stats = null;
+
+      for (const index of indexes) {
+        const candidate = join(dir, index);
+        const found = await stat(candidate).catch(() => null);
+        if (found && found.isFile()) {
+          path = candidate;
+          stats = found;
+          break;
+        }
+      }
+    }
+
+    // Directories without an index, devices, sockets and pipes
+    if (!stats || !stats.isFile()) {
+      throw new HttpError(404, 'File not found');
+    }
+
+    // A symlink under the root may point anywhere
+    if (root && !isInside(await realpath(path), await realpath(root))) {
+      throw new HttpError(403, 'Forbidden');
+    }
+
+    return { handle: await open(path, 'r'), path, stats };
+  } catch (error) {
+    throw error instanceof HttpError ? error : fileError(error);
+  }
+}
+
+/**
+ * Body chunk as a Buffer
+ */
+function toBuffer(chunk) {
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+}
+
+export { STATUS_MESSAGES };
+
+export default {
+  STATUS_MESSAGES,
+  BaseResponse,
+};
@@ -0,0 +1,11 @@
+/**
+ * bcrypt Worker
+ * Runs bcrypt verifications for verifyBcryptAsync() off the main thread
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { verifyBcrypt } from './bcrypt.js';
+
+parentPort.on('message', ({ id, password, hash }) => {
+  parentPort.postMessage({ id, valid: verifyBcrypt(password, hash) });
+});
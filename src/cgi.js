@@ -5,6 +5,17 @@
  */
 
 import { Buffer } from 'node:buffer';
+import { Readable } from 'node:stream';
+import { isMultipart, parseMultipart, removeUploads } from './multipart.js';
+import { decodeBody } from './compression.js';
+import { resolveProxy } from './proxy.js';
+import { attachNegotiation } from './negotiation.js';
+import { parseSignedCookies } from './cookies.js';
+import { getCharset, decodeText, decodeFormBody } from './charset.js';
+import { attachFreshness } from './conditional.js';
+import { parseAuthorization } from './auth.js';
+import { mediaType, matchType, findBodyParser, runBodyParser } from './parsers.js';
+import { HttpError, payloadTooLarge, badRequest } from './errors.js';
 
 /**
  * Standard CGI environment variables mapping
@@ -26,7 +37,7 @@ const CGI_ENV_VARS = {
   // Server info
   SERVER_NAME: 'serverName',
   SERVER_PORT: 'serverPort',
-  SERVER_PROTOCOL: 'protocol',
+  SERVER_PROTOCOL: 'serverProtocol',
   SERVER_SOFTWARE: 'serverSoftware',
 
   // Client info
@@ -76,34 +87,140 @@ export function parseHeaders(env) {
   return headers;
 }
 
+// PHP's max_input_vars and max_input_nesting_level defaults
+const DEFAULT_MAX_INPUT_VARS = 1000;
+const DEFAULT_MAX_INPUT_NESTING_LEVEL = 64;
+
 /**
  * Parse query string into object
+ * Supports PHP-style nesting: user[name]=a&items[0][sku]=x&tags[]=y
  */
-export function parseQueryString(queryString) {
+export function parseQueryString(queryString, options = {}) {
   if (!queryString) {
     return {};
   }
 
-  const params = new URLSearchParams(queryString);
+  return buildParams(new URLSearchParams(queryString), options);
+}
+
+/**
+ * Split a PHP-style key like `a[b][]` into segments: ['a', 'b', '']
+ * Text after the last closing bracket is ignored, as PHP does
+ */
+function parseKeySegments(key) {
+  const open = key.indexOf('[');
+  if (open <= 0 || key.indexOf(']', open) === -1) {
+    return [key];
+  }
+
+  const segments = [key.slice(0, open)];
+  let rest = key.slice(open);
+
+  while (rest.startsWith('[')) {
+    const close = rest.indexOf(']');
+    if (close === -1) {
+      break;
+    }
+    segments.push(rest.slice(1, close));
+    rest = rest.slice(close + 1);
+  }
+
+  return segments;
+}
+
+/**
+ * Check whether a segment can index into an array without leaving holes
+ */
+function isArrayIndex(segment, array) {
+  return /^(0|[1-9]\d*)$/.test(segment) && Number(segment) <= array.length;
+}
+
+/**
+ * Resolve `[]` to the next free index, like PHP's $a[] = ...
+ */
+function resolveSegment(container, segment) {
+  if (segment !== '') {
+    return segment;
+  }
+  if (Array.isArray(container)) {
+    return String(container.length);
+  }
+
+  const indexes = Object.keys(container).filter((key) => /^(0|[1-9]\d*)$/.test(key)).map(Number);
+  return String(indexes.length > 0 ? Math.max(...indexes) + 1 : 0);
+}
+
+/**
+ * Assign a value at a nested key path, creating arrays and objects on the way
+ */
+function assignParam(target, segments, value) {
+  let container = target;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const key = resolveSegment(container, segments[i]);
+    const next = segments[i + 1];
+    let child = Object.hasOwn(container, key) ? container[key] : undefined;
+
+    if (child === null || typeof child !== 'object') {
+      // Scalars are replaced by a container, as in PHP
+      child = next === '' || /^0$/.test(next) ? [] : {};
+    } else if (Array.isArray(child) && next !== '' && !isArrayIndex(next, child)) {
+      // Named or sparse keys turn a list into a map
+      child = Object.assign({}, child);
+    }
+
+    container[key] = child;
+    container = child;
+  }
+
+  const key = resolveSegment(container, segments[segments.length - 1]);
+
+  if (!Object.hasOwn(container, key)) {
+    container[key] = value;
+  } else if (Array.isArray(container[key])) {
+    container[key].push(value);
+  } else {
+    // Convert to array if duplicate key
+    container[key] = [container[key], value];
+  }
+}
+
+/**
+ * Build a params object from [name, value] entries
+ * Shared by query strings, urlencoded bodies and multipart fields
+ *
+ * Options (named after the php.ini settings they mirror):
+ *   maxInputVars - entries past this count are ignored (default 1000)
+ *   maxInputNestingLevel - deeper keys are dropped (default 64)
+ *
+ * With `strict`, going over either limit throws a 400 instead
+ */
+export function buildParams(entries, options = {}, strict = false) {
+  const maxInputVars = options.maxInputVars ?? DEFAULT_MAX_INPUT_VARS;
+  const maxNesting = options.maxInputNestingLevel ?? DEFAULT_MAX_INPUT_NESTING_LEVEL;
   const result = {};
+  let count = 0;
 
-  for (const [key, value] of params) {
-    // Handle array notation like foo[]=bar
-    if (key.endsWith('[]')) {
-      const arrayKey = key.slice(0, -2);
-      if (!result[arrayKey]) {
-        result[arrayKey] = [];
-      }
-      result[arrayKey].push(value);
-    } else if (result[key] !== undefined) {
-      // Convert to array if duplicate key
-      if (!Array.isArray(result[key])) {
-        result[key] = [result[key]];
+  for (const [key, value] of entries) {
+    if (++count > maxInputVars) {
+      if (strict) {
+        throw badRequest(`Too many input variables (maximum ${maxInputVars})`);
       }
-      result[key].push(value);
-    } else {
-      result[key] = value;
+      break;
     }
+
+    const segments = parseKeySegments(key);
+
+    if (strict && segments.length - 1 > maxNesting) {
+      throw badRequest(`Input variable nested too deeply (maximum ${maxNesting} levels)`, { name: key });
+    }
+
+    // Too deep, or an attempt to reach Object.prototype - drop it like PHP drops bad input
+    if (segments.length - 1 > maxNesting || segments.includes('__proto__')) {
+      continue;
+    }
+
+    assignParam(result, segments, value);
   }
 
   return result;
@@ -130,19 +247,61 @@ export function parseCookies(cookieHeader) {
   return cookies;
 }
 
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse a byte size like 1024, "512kb" or "10MB"
+ */
+export function parseSize(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size: ${value}`);
+  }
+
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Body limit for a request
+ * `limit` is a byte count, or a function of the request (method, path and
+ * headers are known, the body isn't read yet) such as router.bodyLimit;
+ * when it returns undefined, `fallback` applies
+ */
+export function resolveBodyLimit(limit, request, fallback = Infinity) {
+  const resolved = typeof limit === 'function' ? limit(request) : limit;
+  return resolved ?? fallback;
+}
+
 /**
  * Read request body from stdin using async iteration
+ * Rejects with a 413 HttpError as soon as maxBodySize is crossed
  */
-export async function readBody(stdin, contentLength) {
+export async function readBody(stdin, contentLength, maxBodySize = Infinity) {
   const chunks = [];
   let bytesRead = 0;
   const maxBytes = contentLength ? parseInt(contentLength, 10) : Infinity;
 
+  // Don't bother reading a body that announces itself as too large
+  if (maxBytes !== Infinity && maxBytes > maxBodySize) {
+    throw payloadTooLarge(maxBodySize);
+  }
+
   try {
     for await (const chunk of stdin) {
       const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
       bytesRead += buffer.length;
 
+      if (Math.min(bytesRead, maxBytes) > maxBodySize) {
+        throw payloadTooLarge(maxBodySize);
+      }
+
       if (bytesRead <= maxBytes) {
         chunks.push(buffer);
       } else {
@@ -163,50 +322,169 @@ export async function readBody(stdin, contentLength) {
 }
 
 /**
- * Parse request body based on content type
+ * 400 for JSON that doesn't parse
+ * In development mode it says where: the offset into the body, line and column
  */
-export function parseBody(body, contentType) {
-  if (!body || body.length === 0) {
-    return { raw: body, parsed: null };
+function invalidJSON(text, segment, offset, error, options = {}) {
+  const development = options.development ?? process.env.NODE_ENV === 'development';
+  if (!development) {
+    return badRequest('Malformed JSON body');
   }
 
-  const bodyStr = body.toString('utf8');
+  // V8 gives a position for most errors; without one only the line is known,
+  // unless the input ended early
+  const match = /at position (\d+)/.exec(error.message);
+  const ended = /end of JSON input/.test(error.message);
+  const position = offset + (match ? Number(match[1]) : ended ? segment.length : 0);
+  const lines = text.slice(0, position).split('\n');
+  const details = match || ended
+    ? { position, line: lines.length, column: lines[lines.length - 1].length + 1 }
+    : { line: lines.length };
+
+  return badRequest('Malformed JSON body', { ...details, detail: error.message });
+}
 
-  if (!contentType) {
-    return { raw: body, parsed: bodyStr };
+/**
+ * JSON body
+ */
+function parseJSONBody(_body, { text, options }) {
+  const bodyStr = text();
+  try {
+    return JSON.parse(bodyStr);
+  } catch (error) {
+    throw invalidJSON(bodyStr, bodyStr, 0, error, options);
   }
+}
 
-  const type = contentType.toLowerCase().split(';')[0].trim();
+/**
+ * Newline-delimited JSON - one value per non-empty line
+ */
+function parseNDJSONBody(_body, { text, options }) {
+  const bodyStr = text();
+  const values = [];
+  let offset = 0;
+
+  for (const line of bodyStr.split('\n')) {
+    if (line.trim()) {
+      try {
+        values.push(JSON.parse(line));
+      } catch (error) {
+        throw invalidJSON(bodyStr, line, offset, error, options);
+      }
+    }
+    offset += line.length + 1;
+  }
 
-  switch (type) {
-  case 'application/json':
-    try {
-      return { raw: body, parsed: JSON.parse(bodyStr) };
-    } catch {
-      return { raw: body, parsed: bodyStr };
+  return values;
+}
+
+/**
+ * Built-in parsers, consulted after any registered with registerBodyParser()
+ */
+const BUILTIN_BODY_PARSERS = [
+  ['application/json', parseJSONBody],
+  ['application/*+json', parseJSONBody],
+  ['application/x-ndjson', parseNDJSONBody],
+  ['application/ndjson', parseNDJSONBody],
+  ['application/jsonl', parseNDJSONBody],
+  ['application/x-www-form-urlencoded', (body, { charset, options }) =>
+    buildParams(decodeFormBody(body, charset), options, options.strictBody)],
+  ['text/plain', (_body, { text }) => text()],
+  ['text/html', (_body, { text }) => text()],
+  ['text/xml', (_body, { text }) => text()],
+  ['application/xml', (_body, { text }) => text()],
+];
+
+/**
+ * Find the parser for a body, or the result when there is nothing to run
+ */
+function selectBodyParser(body, contentType, options) {
+  if (!body || body.length === 0) {
+    return { result: { raw: body, parsed: null } };
+  }
+
+  if (!contentType) {
+    if (options.strictBody) {
+      throw badRequest('Missing Content-Type for request body');
     }
+    return { result: { raw: body, parsed: decodeText(body) } };
+  }
+
+  const type = mediaType(contentType);
+  const builtin = BUILTIN_BODY_PARSERS.find(([pattern]) => matchType(pattern, type));
+  const parse = findBodyParser(type, options.bodyParsers) || (builtin && builtin[1]);
+
+  // No parser: binary types keep the raw buffer only
+  return parse ? { parse } : { result: { raw: body, parsed: null } };
+}
+
+/**
+ * Lenient-mode result for a body whose parser failed with a 400
+ * Other errors are rethrown
+ */
+function lenientBody(body, contentType, error) {
+  if (!(error instanceof HttpError) || error.statusCode !== 400) {
+    throw error;
+  }
+  return { raw: body, parsed: decodeText(body, getCharset(contentType)), error };
+}
 
-  case 'application/x-www-form-urlencoded':
-    return { raw: body, parsed: parseQueryString(bodyStr) };
+/**
+ * Parse request body based on content type
+ * Parsers come from options.bodyParsers, then registerBodyParser(), then the
+ * built-ins; parsed may be a promise when a custom parser is async - use
+ * parseBodyAsync() to wait for it
+ *
+ * With options.strictBody a body that doesn't parse throws a 400 HttpError.
+ * Otherwise parsed falls back to the body text and the 400 is returned as error.
+ */
+export function parseBody(body, contentType, options = {}) {
+  const { result, parse } = selectBodyParser(body, contentType, options);
+  if (result) {
+    return result;
+  }
 
-  case 'text/plain':
-  case 'text/html':
-  case 'text/xml':
-  case 'application/xml':
-    return { raw: body, parsed: bodyStr };
+  if (options.strictBody) {
+    return { raw: body, parsed: runBodyParser(parse, body, contentType, options) };
+  }
 
-  default:
-    // Return raw buffer for binary types
-    return { raw: body, parsed: null };
+  try {
+    return { raw: body, parsed: runBodyParser(parse, body, contentType, options) };
+  } catch (error) {
+    return lenientBody(body, contentType, error);
+  }
+}
+
+/**
+ * parseBody() that waits for async parsers, so their 400s get the same
+ * strict / lenient handling as those of sync ones
+ */
+export async function parseBodyAsync(body, contentType, options = {}) {
+  const { result, parse } = selectBodyParser(body, contentType, options);
+  if (result) {
+    return result;
+  }
+
+  if (options.strictBody) {
+    return { raw: body, parsed: await runBodyParser(parse, body, contentType, options) };
+  }
+
+  try {
+    return { raw: body, parsed: await runBodyParser(parse, body, contentType, options) };
+  } catch (error) {
+    return lenientBody(body, contentType, error);
   }
 }
 
 /**
  * Parse CGI environment into structured request object
  */
-export function parseCGIEnv(env) {
+export function parseCGIEnv(env, options = {}) {
   const request = {};
 
+  // The raw meta-variables, kept out of enumeration (and JSON) - see $_SERVER
+  Object.defineProperty(request, 'env', { value: env });
+
   // Map standard CGI variables
   for (const [envKey, propKey] of Object.entries(CGI_ENV_VARS)) {
     if (env[envKey] !== undefined) {
@@ -218,14 +496,28 @@ export function parseCGIEnv(env) {
   request.headers = parseHeaders(env);
 
   // Parse query string
-  request.query = parseQueryString(request.queryString || '');
+  request.query = parseQueryString(request.queryString || '', options);
+
+  // Parse cookies, moving verified signed/encrypted ones to signedCookies
+  const { cookies, signedCookies } = parseSignedCookies(parseCookies(request.headers.cookie), options.cookieSecret);
+  request.cookies = cookies;
+  request.signedCookies = signedCookies;
 
-  // Parse cookies
-  request.cookies = parseCookies(request.headers.cookie);
+  // Credentials - Apache hands them over as REDIRECT_HTTP_AUTHORIZATION after rewrites
+  request.auth = parseAuthorization(request.headers.authorization || env.REDIRECT_HTTP_AUTHORIZATION);
+
+  // EventSource reconnects with the id of the last event it received
+  request.lastEventId = request.headers['last-event-id'] ?? null;
+
+  // Client address, protocol and host - from proxy headers only for trusted hops
+  const { ip, ips, protocol, secure, host, hostname } = resolveProxy(request, options.trustProxy);
+  request.ip = ip;
+  request.ips = ips;
+  request.protocol = protocol;
+  request.secure = secure;
+  request.hostname = hostname;
 
   // Build full URL
-  const protocol = request.https === 'on' ? 'https' : 'http';
-  const host = request.headers.host || request.serverName || 'localhost';
   const path = request.uri || request.scriptName || '/';
 
   request.url = `${protocol}://${host}${path}`;
@@ -234,24 +526,125 @@ export function parseCGIEnv(env) {
   // Normalize method
   request.method = (request.method || 'GET').toUpperCase();
 
+  // req.accepts(), req.acceptsLanguages(), ...
+  attachNegotiation(request);
+
+  // req.fresh / req.stale
+  attachFreshness(request);
+
+  return request;
+}
+
+/**
+ * Undo any Content-Encoding on the body stream
+ * Content-Length only describes the body when nothing had to be decoded
+ */
+function decodeRequestBody(request, stream, options) {
+  const decoded = decodeBody(stream, request.headers['content-encoding'], options);
+
+  if (decoded === stream) {
+    return { stream, contentLength: request.contentLength };
+  }
+
+  // The compressed length still lets us reject hopeless bodies up front
+  const maxBodySize = options.maxBodySize ?? Infinity;
+  if (parseInt(request.contentLength, 10) > maxBodySize) {
+    throw payloadTooLarge(maxBodySize);
+  }
+
+  return { stream: decoded, contentLength: undefined };
+}
+
+/**
+ * Read and parse a request body stream onto the request object
+ * multipart/form-data is streamed to disk, everything else is buffered
+ */
+export async function readRequestBody(request, stream, options = {}) {
+  const body = decodeRequestBody(request, stream, options);
+
+  if (isMultipart(request.contentType)) {
+    const { fields, files } = await parseMultipart(body.stream, request.contentType, options);
+    request.rawBody = Buffer.alloc(0);
+    try {
+      request.body = buildParams(fields, options, options.strictBody);
+      request.files = buildParams(files, options, options.strictBody);
+    } catch (error) {
+      // Rejected in strict mode - nothing will clean up the uploads later
+      await removeUploads(files);
+      throw error;
+    }
+    return request;
+  }
+
+  const rawBody = await readBody(body.stream, body.contentLength, options.maxBodySize);
+  const { raw, parsed, error } = await parseBodyAsync(rawBody, request.contentType, options);
+  request.rawBody = raw;
+  request.body = parsed;
+  request.files = {};
+  if (error) {
+    // Lenient mode: the handler gets the text and can check why it didn't parse
+    request.bodyError = error;
+  }
+  return request;
+}
+
+/**
+ * Expose the request body as a stream instead of buffering it
+ * buffer()/text()/json() read the whole stream on first use,
+ * honoring request.maxBodySize at that point
+ */
+export function streamRequestBody(request, stream, options = {}) {
+  const body = decodeRequestBody(request, stream, options);
+  let pending = null;
+
+  request.stream = body.stream;
+  request.rawBody = null;
+  request.body = null;
+  request.files = {};
+  request.maxBodySize = options.maxBodySize ?? Infinity;
+
+  request.buffer = () => {
+    if (!pending) {
+      pending = readBody(body.stream, body.contentLength, request.maxBodySize);
+    }
+    return pending;
+  };
+
+  request.text = async () => decodeText(await request.buffer(), getCharset(request.contentType));
+
+  request.json = async () => {
+    const text = await request.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw invalidJSON(text, text, 0, error, options);
+    }
+  };
+
   return request;
 }
 
 /**
  * Create full request object from CGI environment and stdin
  */
-export async function createRequest(env = process.env, stdin = process.stdin) {
-  const request = parseCGIEnv(env);
+export async function createRequest(env = process.env, stdin = process.stdin, options = {}) {
+  const request = parseCGIEnv(env, options);
+  // The limit can depend on the route, which is known before the body is read
+  const bodyOptions = { ...options, maxBodySize: resolveBodyLimit(options.maxBodySize, request) };
+  const hasBody = ['POST', 'PUT', 'PATCH'].includes(request.method);
+
+  // Hand stdin to the handler untouched in streaming mode
+  if (options.streamBody) {
+    return streamRequestBody(request, hasBody ? stdin : Readable.from([]), bodyOptions);
+  }
 
   // Read and parse body for POST/PUT/PATCH
-  if (['POST', 'PUT', 'PATCH'].includes(request.method)) {
-    const rawBody = await readBody(stdin, request.contentLength);
-    const { raw, parsed } = parseBody(rawBody, request.contentType);
-    request.rawBody = raw;
-    request.body = parsed;
+  if (hasBody) {
+    await readRequestBody(request, stdin, bodyOptions);
   } else {
     request.rawBody = Buffer.alloc(0);
     request.body = null;
+    request.files = {};
   }
 
   return request;
@@ -261,8 +654,14 @@ export default {
   parseCGIEnv,
   parseHeaders,
   parseQueryString,
+  buildParams,
   parseCookies,
   parseBody,
+  parseBodyAsync,
+  parseSize,
+  resolveBodyLimit,
   readBody,
+  readRequestBody,
+  streamRequestBody,
   createRequest,
 };
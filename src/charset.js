@@ -0,0 +1,98 @@
+/**
+ * Character Set Support
+ * Decodes request bodies using the charset they were sent in, via
+ * TextDecoder - so every WHATWG encoding label is understood
+ */
+
+import { Buffer } from 'node:buffer';
+import { TextDecoder } from 'node:util';
+import { HttpError } from './errors.js';
+
+/**
+ * Extract the charset parameter from a Content-Type, or null
+ */
+export function getCharset(contentType) {
+  const match = /;\s*charset\s*=\s*(?:"([^"]*)"|([^;\s]*))/i.exec(contentType || '');
+  const charset = match ? (match[1] ?? match[2]).trim().toLowerCase() : '';
+  return charset || null;
+}
+
+// Characters for bytes 0x80-0x9F in windows-1252, which the WHATWG spec also
+// uses for latin1 labels - some Node releases decode them as C1 controls
+const WINDOWS_1252_HIGH = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8dŽ\x8f\x90‘’“”•–—˜™š›œ\x9džŸ';
+
+/**
+ * Create a decoder for a charset label
+ * Throws a 415 HttpError for charsets TextDecoder doesn't support
+ */
+export function createDecoder(charset = 'utf-8') {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (_err) {
+    throw new HttpError(415, `Unsupported charset: ${charset}`);
+  }
+
+  if (decoder.encoding !== 'windows-1252') {
+    return decoder;
+  }
+
+  return {
+    encoding: decoder.encoding,
+    decode: (buffer) => Buffer.from(buffer).toString('latin1')
+      .replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]),
+  };
+}
+
+/**
+ * Decode a buffer as text in the given charset (UTF-8 by default)
+ */
+export function decodeText(buffer, charset) {
+  return createDecoder(charset || undefined).decode(buffer);
+}
+
+/**
+ * Percent-decode one component of a urlencoded body
+ * Escapes are decoded to bytes first so they can be read in any charset
+ */
+function decodeFormComponent(component, decoder) {
+  const binary = component
+    .replace(/\+/g, ' ')
+    .replace(/%([0-9a-f]{2})/gi, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+  return decoder.decode(Buffer.from(binary, 'latin1'));
+}
+
+/**
+ * Split a urlencoded body into decoded [name, value] entries
+ * Without an explicit charset, a `_charset_` field names the encoding the
+ * browser used (the HTML form convention); UTF-8 otherwise
+ */
+export function decodeFormBody(body, charset) {
+  const pairs = body.toString('latin1')
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const eq = pair.indexOf('=');
+      return eq === -1 ? [pair, ''] : [pair.slice(0, eq), pair.slice(eq + 1)];
+    });
+
+  if (!charset) {
+    const field = pairs.find(([name]) => name === '_charset_');
+    charset = field && field[1] ? field[1] : 'utf-8';
+  }
+
+  const decoder = createDecoder(charset);
+
+  return pairs.map(([name, value]) => [
+    decodeFormComponent(name, decoder),
+    decodeFormComponent(value, decoder),
+  ]);
+}
+
+export default {
+  getCharset,
+  createDecoder,
+  decodeText,
+  decodeFormBody,
+};
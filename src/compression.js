@@ -0,0 +1,235 @@
+/**
+ * Content-Encoding Support
+ * Transparently decodes gzip, deflate and brotli request bodies, and
+ * compresses responses for clients that accept it
+ */
+
+import { Buffer } from 'node:buffer';
+import { Readable, pipeline } from 'node:stream';
+import {
+  constants,
+  createGunzip,
+  createInflate,
+  createBrotliDecompress,
+  createGzip,
+  createDeflate,
+  createBrotliCompress,
+  gzipSync,
+  deflateSync,
+  brotliCompressSync,
+} from 'node:zlib';
+import { HttpError, payloadTooLarge } from './errors.js';
+import { acceptsEncodings, appendVary } from './negotiation.js';
+
+// Cap on decoded bytes when no maxInflatedSize is given - guards against zip bombs
+const DEFAULT_MAX_INFLATED_SIZE = 100 * 1024 * 1024;
+
+// Responses smaller than this aren't worth compressing
+const DEFAULT_THRESHOLD = 1024;
+
+// Brotli's default quality (11) is far too slow for on-the-fly compression
+const BROTLI_QUALITY = 4;
+
+/**
+ * Streaming and one-shot encoders keyed by Content-Encoding token
+ */
+const ENCODERS = {
+  br: createBrotliCompress,
+  gzip: createGzip,
+  deflate: createDeflate,
+};
+
+const SYNC_ENCODERS = {
+  br: brotliCompressSync,
+  gzip: gzipSync,
+  deflate: deflateSync,
+};
+
+// Response encodings in our order of preference, used when the client has none (`*`)
+const RESPONSE_ENCODINGS = ['br', 'gzip', 'deflate', 'identity'];
+
+// Media types that shrink when compressed
+const COMPRESSIBLE_TYPE = /^(?:text\/|application\/(?:json|javascript|ecmascript|xml|x-ndjson|wasm)$|image\/svg\+xml$|font\/(?:ttf|otf)$)|\+(?:json|xml)$/;
+
+/**
+ * Decoder factories keyed by Content-Encoding token
+ */
+const DECODERS = {
+  gzip: createGunzip,
+  'x-gzip': createGunzip,
+  deflate: createInflate,
+  br: createBrotliDecompress,
+};
+
+/**
+ * Parse a Content-Encoding header into the codings to undo, outermost first
+ * Throws a 415 HttpError for codings we can't decode
+ */
+export function parseContentEncoding(contentEncoding) {
+  if (!contentEncoding) {
+    return [];
+  }
+
+  const codings = contentEncoding
+    .split(',')
+    .map((coding) => coding.trim().toLowerCase())
+    .filter((coding) => coding && coding !== 'identity');
+
+  for (const coding of codings) {
+    if (!DECODERS[coding]) {
+      throw new HttpError(415, `Unsupported Content-Encoding: ${coding}`);
+    }
+  }
+
+  // Codings are listed in the order they were applied
+  return codings.reverse();
+}
+
+/**
+ * Yield decoded chunks, enforcing the size cap and mapping decoder errors to 400
+ * `isDecodeError` tells errors raised by a decoder from those of the source
+ */
+async function* inflate(decoded, maxInflatedSize, isDecodeError) {
+  let size = 0;
+
+  try {
+    for await (const chunk of decoded) {
+      size += chunk.length;
+      if (size > maxInflatedSize) {
+        throw payloadTooLarge(maxInflatedSize);
+      }
+      yield chunk;
+    }
+  } catch (err) {
+    if (isDecodeError(err)) {
+      throw new HttpError(400, `Invalid compressed request body: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Wrap a request body stream so it yields decoded bytes
+ * Returns the stream untouched when there is nothing to decode
+ */
+export function decodeBody(stream, contentEncoding, options = {}) {
+  const codings = parseContentEncoding(contentEncoding);
+  if (codings.length === 0) {
+    return stream;
+  }
+
+  const maxInflatedSize = options.maxInflatedSize ?? DEFAULT_MAX_INFLATED_SIZE;
+  const decoders = codings.map((coding) => DECODERS[coding]());
+
+  // The pipeline passes the first error on to every stream, so remember
+  // where it started: a decoder means bad input (zlib Z_* or brotli
+  // ERR__ERROR_FORMAT_* codes alike), the source means a read failure
+  let failure = null;
+  const remember = (fromDecoder) => (err) => {
+    failure = failure || { err, fromDecoder };
+  };
+  stream.once('error', remember(false));
+  for (const decoder of decoders) {
+    decoder.once('error', remember(true));
+  }
+  const isDecodeError = (err) => failure !== null && failure.err === err && failure.fromDecoder &&
+    err.code !== 'ERR_STREAM_PREMATURE_CLOSE';
+
+  // Errors surface through iteration of the returned stream
+  const decoded = pipeline(stream, ...decoders, () => {});
+
+  return Readable.from(inflate(decoded, maxInflatedSize, isDecodeError));
+}
+
+/**
+ * Whether a Content-Type is worth compressing
+ */
+export function isCompressible(contentType) {
+  const type = (contentType || '').toLowerCase().split(';')[0].trim();
+  return COMPRESSIBLE_TYPE.test(type);
+}
+
+/**
+ * Choose the Content-Encoding for a response about to send its headers
+ *
+ * `size` is the body length when it is known up front; otherwise the
+ * Content-Length header is used, and bodies of unknown length are compressed.
+ * Adds Vary: Accept-Encoding for compressible types. When compressing it sets
+ * Content-Encoding, drops Content-Length and makes a strong ETag weak, since
+ * the bytes sent no longer match it. Returns the encoding or null.
+ *
+ * res.compression holds the options - false turns compression off:
+ *   threshold - minimum body size in bytes (default 1024)
+ *   level - zlib level for gzip and deflate
+ */
+export function applyCompression(res, size) {
+  const options = res.compression === true ? {} : res.compression;
+  const req = res.req;
+  if (!options || !req || !isCompressible(res.get('Content-Type'))) {
+    return null;
+  }
+
+  // Caches must keep compressed and uncompressed copies apart
+  appendVary(res, 'Accept-Encoding');
+
+  const status = res.statusCode;
+  if (req.method === 'HEAD' || status < 200 || status === 204 || status === 206 || status === 304) {
+    return null;
+  }
+  if (res.get('Content-Encoding') || /(?:^|,)\s*no-transform\s*(?:,|$)/i.test(res.get('Cache-Control') || '')) {
+    return null;
+  }
+
+  const length = size ?? parseInt(res.get('Content-Length'), 10);
+  if (length < (options.threshold ?? DEFAULT_THRESHOLD)) {
+    return null;
+  }
+
+  const encoding = acceptsEncodings((req.headers || {})['accept-encoding'], RESPONSE_ENCODINGS);
+  if (!encoding || encoding === 'identity') {
+    return null;
+  }
+
+  res.set('Content-Encoding', encoding);
+  res.removeHeader('Content-Length');
+  const etag = res.get('ETag');
+  if (etag && !etag.startsWith('W/')) {
+    res.set('ETag', `W/${etag}`);
+  }
+
+  return encoding;
+}
+
+/**
+ * zlib options for a response encoding
+ */
+function encoderOptions(encoding, options = {}) {
+  if (encoding === 'br') {
+    return { params: { [constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } };
+  }
+  return options.level !== undefined ? { level: options.level } : {};
+}
+
+/**
+ * Compress a whole body in one go
+ */
+export function compressSync(encoding, body, options) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  return SYNC_ENCODERS[encoding](buffer, encoderOptions(encoding, options));
+}
+
+/**
+ * Streaming compressor for write()-based responses
+ */
+export function createEncoder(encoding, options) {
+  return ENCODERS[encoding](encoderOptions(encoding, options));
+}
+
+export default {
+  parseContentEncoding,
+  decodeBody,
+  isCompressible,
+  applyCompression,
+  compressSync,
+  createEncoder,
+};
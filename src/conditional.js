@@ -0,0 +1,173 @@
+/**
+ * Conditional Requests
+ * ETag generation and evaluation of If-Match, If-None-Match,
+ * If-Modified-Since and If-Unmodified-Since (RFC 9110 section 13)
+ */
+
+import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
+
+// Headers that describe a body, dropped from 304 responses
+const BODY_HEADERS = ['Content-Type', 'Content-Length', 'Content-Range', 'Transfer-Encoding'];
+
+/**
+ * Weak ETag for a response body: W/"<length>-<hash>"
+ */
+export function generateETag(body) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const hash = createHash('sha1').update(buffer).digest('base64url').slice(0, 27);
+  return `W/"${buffer.length.toString(16)}-${hash}"`;
+}
+
+/**
+ * Strong ETag for a file from its size and modification time, like NGINX
+ */
+export function fileETag(stats) {
+  return `"${Math.floor(stats.mtimeMs / 1000).toString(16)}-${stats.size.toString(16)}"`;
+}
+
+/**
+ * Check an If-Match / If-None-Match list against an ETag
+ * Weak comparison ignores the W/ prefix; strong comparison needs two strong tags
+ */
+function matchesETag(header, etag, weak) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  if (!etag) {
+    return false;
+  }
+
+  const opaque = (tag) => tag.replace(/^W\//, '');
+  const tags = header.match(/(?:W\/)?"[^"]*"/g) || [];
+
+  return tags.some((tag) => weak
+    ? opaque(tag) === opaque(etag)
+    : tag === etag && !etag.startsWith('W/'));
+}
+
+/**
+ * Is `lastModified` no later than the HTTP-date `header`?
+ * Returns null when either date is missing or invalid
+ */
+function notModifiedSince(lastModified, header) {
+  const modified = Date.parse(lastModified);
+  const since = Date.parse(header);
+  if (!lastModified || Number.isNaN(modified) || Number.isNaN(since)) {
+    return null;
+  }
+  return modified <= since;
+}
+
+/**
+ * Evaluate the request's preconditions against the current validators
+ * Returns 200 to carry on, 304 Not Modified or 412 Precondition Failed
+ */
+export function evaluatePreconditions(req, { etag, lastModified } = {}) {
+  const headers = req.headers || {};
+  const safe = req.method === 'GET' || req.method === 'HEAD';
+
+  if (headers['if-match']) {
+    if (!matchesETag(headers['if-match'], etag, false)) {
+      return 412;
+    }
+  } else if (headers['if-unmodified-since']) {
+    if (notModifiedSince(lastModified, headers['if-unmodified-since']) === false) {
+      return 412;
+    }
+  }
+
+  if (headers['if-none-match']) {
+    if (matchesETag(headers['if-none-match'], etag, true)) {
+      return safe ? 304 : 412;
+    }
+  } else if (safe && headers['if-modified-since']) {
+    if (notModifiedSince(lastModified, headers['if-modified-since'])) {
+      return 304;
+    }
+  }
+
+  return 200;
+}
+
+/**
+ * Whether the client's cached copy matches the response being built
+ * Backs req.fresh - only GET/HEAD with a 2xx or 304 status can be fresh
+ */
+export function isFresh(req, res) {
+  if (!res || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return false;
+  }
+
+  const status = res.statusCode;
+  if ((status < 200 || status >= 300) && status !== 304) {
+    return false;
+  }
+
+  // The client asked us not to answer from its cache
+  if (/(?:^|,)\s*no-cache\s*(?:,|$)/i.test(req.headers['cache-control'] || '')) {
+    return false;
+  }
+
+  return evaluatePreconditions(req, {
+    etag: res.get('ETag'),
+    lastModified: res.get('Last-Modified'),
+  }) === 304;
+}
+
+/**
+ * Add req.fresh / req.stale, read against req.res once a response exists
+ */
+export function attachFreshness(request) {
+  Object.defineProperty(request, 'fresh', {
+    get: () => isFresh(request, request.res),
+  });
+  Object.defineProperty(request, 'stale', {
+    get: () => !request.fresh,
+  });
+  return request;
+}
+
+/**
+ * Tag a successful GET/HEAD response and answer it with 304 or 412 when
+ * the request's preconditions say so. `body` is the body about to be sent,
+ * if any. Returns true when the response has been answered.
+ */
+export function respondConditionally(res, body) {
+  const req = res.req;
+  if (!req || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return false;
+  }
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    return false;
+  }
+
+  if (body !== undefined && res.etag !== false && !res.get('ETag')) {
+    res.set('ETag', generateETag(body));
+  }
+
+  const status = evaluatePreconditions(req, {
+    etag: res.get('ETag'),
+    lastModified: res.get('Last-Modified'),
+  });
+  if (status === 200) {
+    return false;
+  }
+
+  // Neither 304 nor our 412 carries the body these headers describe
+  res.status(status);
+  for (const name of BODY_HEADERS) {
+    res.removeHeader(name);
+  }
+  res.end();
+  return true;
+}
+
+export default {
+  generateETag,
+  fileETag,
+  evaluatePreconditions,
+  isFresh,
+  attachFreshness,
+  respondConditionally,
+};
@@ -0,0 +1,182 @@
+/**
+ * Signed and Encrypted Cookies
+ * HMAC-signs or AES-GCM-encrypts cookie values so they can round-trip
+ * through the browser without being forged or read
+ *
+ * Both bind the value to the cookie name (HMAC input / GCM additional data),
+ * so a value can't be copied from one cookie into another
+ */
+
+import { Buffer } from 'node:buffer';
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const SIGNED_PREFIX = 's:';
+const ENCRYPTED_PREFIX = 'e:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Derived AES keys, keyed by secret
+const keyCache = new Map();
+
+/**
+ * Normalize a cookieSecret option into a list of secrets
+ * The first secret signs new cookies; every secret is tried when verifying,
+ * so old secrets can stay in the list while they are rotated out
+ */
+export function normalizeSecrets(secret) {
+  const secrets = Array.isArray(secret) ? secret : [secret];
+  return secrets.filter((value) => typeof value === 'string' && value.length > 0);
+}
+
+/**
+ * HMAC signature of a cookie's name and value
+ */
+function sign(name, value, secret) {
+  return createHmac('sha256', secret).update(`${name}=${value}`).digest('base64url');
+}
+
+/**
+ * Sign a value as `s:<value>.<signature>`
+ */
+export function signCookie(value, secret, name = '') {
+  return `${SIGNED_PREFIX}${value}.${sign(name, value, secret)}`;
+}
+
+/**
+ * Verify a signed value against any of the secrets
+ * Returns the original value, or false if the signature doesn't match
+ */
+export function unsignCookie(signed, secrets, name = '') {
+  if (!signed.startsWith(SIGNED_PREFIX)) {
+    return false;
+  }
+
+  const dot = signed.lastIndexOf('.');
+  if (dot < SIGNED_PREFIX.length) {
+    return false;
+  }
+
+  const value = signed.slice(SIGNED_PREFIX.length, dot);
+  const signature = Buffer.from(signed.slice(dot + 1));
+
+  for (const secret of normalizeSecrets(secrets)) {
+    const expected = Buffer.from(sign(name, value, secret));
+    if (expected.length === signature.length && timingSafeEqual(expected, signature)) {
+      return value;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * AES-256 key for a secret - derived so any string can be used as a secret
+ */
+function deriveKey(secret) {
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, Buffer.from(hkdfSync('sha256', secret, '', 'node-cgi-handler cookie', 32)));
+  }
+  return keyCache.get(secret);
+}
+
+/**
+ * Encrypt a value as `e:<base64url(iv + ciphertext + tag)>`
+ */
+export function encryptCookie(value, secret, name = '') {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  cipher.setAAD(Buffer.from(name, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return `${ENCRYPTED_PREFIX}${Buffer.concat([iv, encrypted]).toString('base64url')}`;
+}
+
+/**
+ * Decrypt a value with any of the secrets
+ * Returns the original value, or false if it was tampered with
+ */
+export function decryptCookie(encrypted, secrets, name = '') {
+  if (!encrypted.startsWith(ENCRYPTED_PREFIX)) {
+    return false;
+  }
+
+  const data = Buffer.from(encrypted.slice(ENCRYPTED_PREFIX.length), 'base64url');
+  if (data.length < IV_LENGTH + TAG_LENGTH) {
+    return false;
+  }
+
+  const iv = data.subarray(0, IV_LENGTH);
+  const tag = data.subarray(data.length - TAG_LENGTH);
+  const ciphertext = data.subarray(IV_LENGTH, data.length - TAG_LENGTH);
+
+  for (const secret of normalizeSecrets(secrets)) {
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', deriveKey(secret), iv);
+      decipher.setAAD(Buffer.from(name, 'utf8'));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (_err) {
+      // Wrong secret or tampered value - try the next secret
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Encode a value for res.cookie() according to the signed/encrypted options
+ * `name` is the cookie name as it goes on the wire
+ */
+export function encodeCookieValue(value, options, secret, name = '') {
+  const stringValue = String(value);
+
+  if (!options.signed && !options.encrypted) {
+    return stringValue;
+  }
+
+  const [current] = normalizeSecrets(secret);
+  if (!current) {
+    throw new Error('cookieSecret is required for signed or encrypted cookies');
+  }
+
+  return options.encrypted
+    ? encryptCookie(stringValue, current, name)
+    : signCookie(stringValue, current, name);
+}
+
+/**
+ * Split verified signed and encrypted cookies out of parsed cookies
+ * Cookies that fail verification are dropped from both objects
+ */
+export function parseSignedCookies(cookies, secret) {
+  const secrets = normalizeSecrets(secret);
+  const plain = {};
+  const signed = {};
+
+  for (const [name, value] of Object.entries(cookies)) {
+    const isSigned = value.startsWith(SIGNED_PREFIX);
+    const isEncrypted = value.startsWith(ENCRYPTED_PREFIX);
+
+    if (secrets.length === 0 || (!isSigned && !isEncrypted)) {
+      plain[name] = value;
+      continue;
+    }
+
+    const verified = isSigned ? unsignCookie(value, secrets, name) : decryptCookie(value, secrets, name);
+    if (verified !== false) {
+      signed[name] = verified;
+    }
+  }
+
+  return { cookies: plain, signedCookies: signed };
+}
+
+export default {
+  normalizeSecrets,
+  signCookie,
+  unsignCookie,
+  encryptCookie,
+  decryptCookie,
+  encodeCookieValue,
+  parseSignedCookies,
+};
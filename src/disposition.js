@@ -0,0 +1,65 @@
+/**
+ * Content-Disposition
+ * Builds attachment/inline headers with RFC 6266 filename and
+ * RFC 5987 filename* parameters, for downloads with non-ASCII names
+ */
+
+import { basename } from 'node:path';
+
+/**
+ * Percent-encode a value for an RFC 5987 ext-value (attr-char stays literal)
+ */
+function encodeExtValue(value) {
+  return encodeURIComponent(value).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * ASCII stand-in for clients that ignore filename*
+ * Accents are dropped (résumé -> resume), other characters become _
+ */
+function asciiFallback(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '_');
+}
+
+/**
+ * Quote a value as an HTTP quoted-string
+ */
+function quote(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Build a Content-Disposition header value
+ *
+ * Options:
+ *   type - 'attachment' (default) or 'inline'
+ *
+ * Only the last path segment of the filename is used. Names that aren't
+ * plain ASCII also get filename*=UTF-8''..., which browsers prefer.
+ */
+export function contentDisposition(filename, options = {}) {
+  const type = options.type || 'attachment';
+  if (filename === undefined || filename === null || filename === '') {
+    return type;
+  }
+
+  // No control characters - they could end the header line
+  const name = [...basename(String(filename).replace(/\\/g, '/'))]
+    .filter((char) => char >= ' ' && char !== '\x7f')
+    .join('');
+  const fallback = asciiFallback(name);
+  let header = `${type}; filename=${quote(fallback)}`;
+
+  if (fallback !== name) {
+    header += `; filename*=UTF-8''${encodeExtValue(name)}`;
+  }
+
+  return header;
+}
+
+export default {
+  contentDisposition,
+};
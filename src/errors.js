@@ -0,0 +1,54 @@
+/**
+ * HTTP Errors
+ * Errors raised while reading a request that map to a specific HTTP status
+ */
+
+export class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    // Extra fields for a structured (JSON) error response
+    this.details = details;
+  }
+}
+
+/**
+ * 413 error for a request body over the configured limit
+ */
+export function payloadTooLarge(limit) {
+  return new HttpError(413, `Request body exceeds the maximum size of ${limit} bytes`);
+}
+
+/**
+ * Structured 400 error for a request body the handler can't use
+ */
+export function badRequest(message, details = {}) {
+  return new HttpError(400, message, details);
+}
+
+/**
+ * Answer with the status of an HttpError, or 500 for anything else
+ * Errors with details are answered as JSON: { error: message, ...details }
+ */
+export function sendError(res, error) {
+  if (!(error instanceof HttpError)) {
+    res.status(500);
+    res.type('text/plain').send(`Internal Server Error: ${error.message}`);
+    return;
+  }
+
+  res.status(error.statusCode);
+  if (error.details) {
+    res.json({ error: error.message, ...error.details });
+  } else {
+    res.type('text/plain').send(error.message);
+  }
+}
+
+export default {
+  HttpError,
+  payloadTooLarge,
+  badRequest,
+  sendError,
+};
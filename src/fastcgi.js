@@ -7,7 +7,13 @@
 import { createServer } from 'node:net';
 import { EventEmitter } from 'node:events';
 import { Buffer } from 'node:buffer';
-import { parseCGIEnv, parseBody } from './cgi.js';
+import { Readable } from 'node:stream';
+import { setImmediate } from 'node:timers';
+import { parseCGIEnv, readRequestBody, resolveBodyLimit, streamRequestBody } from './cgi.js';
+import { removeUploads } from './multipart.js';
+import { payloadTooLarge, sendError } from './errors.js';
+import { BaseResponse } from './base-response.js';
+import { createViews } from './views.js';
 
 // FastCGI Record Types
 const FCGI_BEGIN_REQUEST = 1;
@@ -144,11 +150,37 @@ function parseNameValuePairs(buffer) {
   return params;
 }
 
+/**
+ * Backpressure for the streamed request bodies sharing one connection
+ * FastCGI has no per-request flow control, so the socket is paused while any
+ * live request has a full body buffer, and resumed once every such request
+ * has read from it or finished
+ */
+class ConnectionFlow {
+  constructor(socket) {
+    this.socket = socket;
+    this.backedUp = new Set();
+  }
+
+  pause(request) {
+    this.backedUp.add(request);
+    this.socket.pause();
+  }
+
+  release(request) {
+    if (this.backedUp.delete(request) && this.backedUp.size === 0) {
+      this.socket.resume();
+    }
+  }
+}
+
 /**
  * FastCGI Request object - accumulates data for a single request
+ * When given a ConnectionFlow, stdin is streamed instead of accumulated
+ * maxBodySize may be a function of the params, called once they are complete
  */
 class FCGIRequest {
-  constructor(requestId, role, keepConn) {
+  constructor(requestId, role, keepConn, { flow = null, maxBodySize = Infinity } = {}) {
     this.requestId = requestId;
     this.role = role;
     this.keepConn = keepConn;
@@ -158,19 +190,60 @@ class FCGIRequest {
     this.stdinComplete = false;
     this.data = [];
     this.dataComplete = false;
+    this.stdinLength = 0;
+    this.maxBodySize = maxBodySize;
+    this.error = null;
+    this.handled = false;
+    // Set once the response is done - the rest of the body is dropped
+    this.discarded = false;
+    this.flow = flow;
+    this.stream = flow ? new Readable({ read: () => flow.release(this) }) : null;
+    if (this.stream) {
+      // Consumers see abort errors; a handler that ignores the body must not crash the server
+      this.stream.on('error', () => {});
+    }
   }
 
   addParams(buffer) {
     if (buffer.length === 0) {
       this.paramsComplete = true;
+      if (typeof this.maxBodySize === 'function') {
+        this.maxBodySize = this.maxBodySize(this.params);
+      }
+      // Reject before any stdin arrives when the declared length is too large
+      if (parseInt(this.params.CONTENT_LENGTH, 10) > this.maxBodySize) {
+        this.reject(payloadTooLarge(this.maxBodySize));
+      }
     } else {
       Object.assign(this.params, parseNameValuePairs(buffer));
     }
   }
 
   addStdin(buffer) {
+    if (this.error) {
+      // Rejected - discard whatever the web server still sends
+      return;
+    }
+    if (this.discarded) {
+      this.stdinComplete = buffer.length === 0;
+      return;
+    }
+
+    this.stdinLength += buffer.length;
+    if (this.stdinLength > this.maxBodySize) {
+      this.reject(payloadTooLarge(this.maxBodySize));
+      return;
+    }
+
     if (buffer.length === 0) {
       this.stdinComplete = true;
+      if (this.stream) {
+        this.stream.push(null);
+      }
+    } else if (this.stream) {
+      if (!this.stream.push(buffer)) {
+        this.flow.pause(this);
+      }
     } else {
       this.stdin.push(buffer);
     }
@@ -181,136 +254,127 @@ class FCGIRequest {
   }
 
   isReady() {
-    return this.paramsComplete && this.stdinComplete;
+    return this.paramsComplete && (this.error !== null || this.stdinComplete || this.stream !== null);
   }
-}
 
-/**
- * FastCGI Response writer
- */
-export class FCGIResponse {
-  constructor(socket, requestId) {
-    this.socket = socket;
-    this.requestId = requestId;
-    this._statusCode = 200;
-    this._headers = {
-      'Content-Type': 'text/html; charset=utf-8',
-    };
-    this._headersSent = false;
-    this._finished = false;
-    this._cookies = [];
-    this._buffer = [];
-  }
-
-  status(code) {
-    this._statusCode = code;
-    return this;
-  }
-
-  get statusCode() {
-    return this._statusCode;
+  /**
+   * Stop accepting stdin and fail the request with an HttpError
+   */
+  reject(error) {
+    this.error = error;
+    this.stdin = [];
+    if (this.stream) {
+      this.stream.destroy(error);
+      this.flow.release(this);
+    }
   }
 
-  set(name, value) {
-    if (typeof name === 'object') {
-      Object.assign(this._headers, name);
-    } else {
-      this._headers[name] = value;
+  /**
+   * Fail a streamed body that will never complete
+   */
+  abort(reason) {
+    if (this.stream && !this.stdinComplete) {
+      this.stream.destroy(new Error(reason));
+      this.flow.release(this);
     }
-    return this;
   }
 
-  header(name, value) {
-    return this.set(name, value);
+  /**
+   * The response is done: drop the unread body so it can't hold up the
+   * other requests on the connection
+   */
+  discard() {
+    if (!this.stream || this.stdinComplete || this.discarded) {
+      return;
+    }
+    this.discarded = true;
+    this.stream.destroy();
+    this.flow.release(this);
   }
+}
 
-  type(contentType) {
-    const types = {
-      html: 'text/html; charset=utf-8',
-      text: 'text/plain; charset=utf-8',
-      json: 'application/json; charset=utf-8',
-    };
-    return this.set('Content-Type', types[contentType] || contentType);
+/**
+ * FastCGI Response writer
+ * Output goes out as STDOUT records as soon as it is written. Set `coalesce`
+ * to a byte count to gather small writes into fewer records; gathered output
+ * is sent once it reaches that size, on flush(), on end() or at the end of
+ * the current tick, whichever comes first.
+ */
+export class FCGIResponse extends BaseResponse {
+  constructor(socket, requestId) {
+    super();
+    this.socket = socket;
+    this.requestId = requestId;
+    this.coalesce = 0;
+    this._pending = [];
+    this._pendingSize = 0;
+    this._flushScheduled = false;
   }
 
-  cookie(name, value, options = {}) {
-    let cookieStr = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
-    if (options.maxAge) {
-      cookieStr += `; Max-Age=${options.maxAge}`;
-    }
-    if (options.path) {
-      cookieStr += `; Path=${options.path}`;
-    }
-    if (options.domain) {
-      cookieStr += `; Domain=${options.domain}`;
-    }
-    if (options.secure) {
-      cookieStr += '; Secure';
-    }
-    if (options.httpOnly) {
-      cookieStr += '; HttpOnly';
+  _writeRaw(buffer) {
+    if (this.coalesce <= 0) {
+      return this._sendStdout(buffer);
     }
-    if (options.sameSite) {
-      cookieStr += `; SameSite=${options.sameSite}`;
-    }
-    this._cookies.push(cookieStr);
-    return this;
-  }
 
-  _buildHeaders() {
-    const STATUS_MESSAGES = {
-      200: 'OK', 201: 'Created', 204: 'No Content',
-      301: 'Moved Permanently', 302: 'Found', 304: 'Not Modified',
-      400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden',
-      404: 'Not Found', 500: 'Internal Server Error',
-    };
-
-    let headerStr = `Status: ${this._statusCode} ${STATUS_MESSAGES[this._statusCode] || 'Unknown'}\r\n`;
-
-    for (const [name, value] of Object.entries(this._headers)) {
-      headerStr += `${name}: ${value}\r\n`;
+    this._pending.push(buffer);
+    this._pendingSize += buffer.length;
+    if (this._pendingSize >= this.coalesce) {
+      return this._flush();
     }
 
-    for (const cookie of this._cookies) {
-      headerStr += `Set-Cookie: ${cookie}\r\n`;
+    if (!this._flushScheduled) {
+      this._flushScheduled = true;
+      setImmediate(() => {
+        this._flushScheduled = false;
+        this._flush();
+      });
     }
-
-    headerStr += '\r\n';
-    return Buffer.from(headerStr);
+    return true;
   }
 
-  write(chunk) {
-    if (!this._headersSent) {
-      this._buffer.push(this._buildHeaders());
-      this._headersSent = true;
-    }
-
-    if (typeof chunk === 'string') {
-      this._buffer.push(Buffer.from(chunk));
-    } else if (Buffer.isBuffer(chunk)) {
-      this._buffer.push(chunk);
+  /**
+   * Send the coalesced output
+   */
+  _flush() {
+    if (this._pending.length === 0) {
+      return true;
     }
 
-    return this;
+    const buffer = Buffer.concat(this._pending);
+    this._pending = [];
+    this._pendingSize = 0;
+    return this._sendStdout(buffer);
   }
 
-  end(data) {
-    if (this._finished) {
-      return this;
+  /**
+   * Write output as STDOUT records - false when the socket is backed up
+   */
+  _sendStdout(buffer) {
+    if (buffer.length === 0 || this.aborted || this.socket.destroyed) {
+      return true;
     }
+    return this.socket.write(buildStreamRecord(FCGI_STDOUT, this.requestId, buffer));
+  }
 
-    if (data !== undefined) {
-      this.write(data);
-    } else if (!this._headersSent) {
-      this._buffer.push(this._buildHeaders());
-      this._headersSent = true;
-    }
+  /**
+   * Resolve once the socket drains, or closes and will never drain
+   */
+  _drained() {
+    return new Promise((resolve) => {
+      const done = () => {
+        this.socket.off('drain', done);
+        this.socket.off('close', done);
+        resolve();
+      };
+      this.socket.on('drain', done);
+      this.socket.on('close', done);
+    });
+  }
 
-    // Send all buffered data as STDOUT records
-    const fullBody = Buffer.concat(this._buffer);
-    if (fullBody.length > 0) {
-      const stdoutRecords = buildStreamRecord(FCGI_STDOUT, this.requestId, fullBody);
-      this.socket.write(stdoutRecords);
+  _close() {
+    this._flush();
+    if (this.socket.destroyed) {
+      return;
     }
 
     // Send empty STDOUT to signal end
@@ -320,27 +384,6 @@ export class FCGIResponse {
     // Send END_REQUEST
     const endRequest = buildEndRequest(this.requestId, 0, FCGI_REQUEST_COMPLETE);
     this.socket.write(endRequest);
-
-    this._finished = true;
-    return this;
-  }
-
-  send(body) {
-    if (typeof body === 'object' && !Buffer.isBuffer(body)) {
-      return this.json(body);
-    }
-    return this.end(body);
-  }
-
-  json(data) {
-    this.type('json');
-    return this.end(JSON.stringify(data));
-  }
-
-  redirect(url, statusCode = 302) {
-    this.status(statusCode);
-    this.set('Location', url);
-    return this.end();
   }
 }
 
@@ -354,9 +397,12 @@ export class FastCGIServer extends EventEmitter {
       maxConns: options.maxConns || 100,
       maxReqs: options.maxReqs || 100,
       ...options,
+      maxBodySize: options.maxBodySize ?? Infinity,
     };
     this.server = null;
     this.connections = new Set();
+    // One Views for the server's lifetime, so compiled templates are reused
+    this.views = options.views ? createViews(options.views) : null;
   }
 
   /**
@@ -383,6 +429,9 @@ export class FastCGIServer extends EventEmitter {
   _handleConnection(socket) {
     this.connections.add(socket);
     const requests = new Map();
+    // Responses still being written, told when the client goes away
+    const responses = new Map();
+    const flow = new ConnectionFlow(socket);
     let buffer = Buffer.alloc(0);
 
     socket.on('data', (chunk) => {
@@ -402,13 +451,20 @@ export class FastCGIServer extends EventEmitter {
         const content = buffer.slice(FCGI_HEADER_LEN, FCGI_HEADER_LEN + header.contentLength);
         buffer = buffer.slice(totalLength);
 
-        this._processRecord(socket, requests, header, content);
+        this._processRecord(socket, flow, requests, responses, header, content);
       }
     });
 
     socket.on('close', () => {
       this.connections.delete(socket);
+      for (const req of requests.values()) {
+        req.abort('Connection closed');
+      }
       requests.clear();
+      for (const response of responses.values()) {
+        response._abort();
+      }
+      responses.clear();
     });
 
     socket.on('error', (err) => {
@@ -420,7 +476,7 @@ export class FastCGIServer extends EventEmitter {
   /**
    * Process a single FastCGI record
    */
-  _processRecord(socket, requests, header, content) {
+  _processRecord(socket, flow, requests, responses, header, content) {
     const { type, requestId } = header;
 
     switch (type) {
@@ -428,7 +484,14 @@ export class FastCGIServer extends EventEmitter {
       const role = content.readUInt16BE(0);
       const flags = content.readUInt8(2);
       const keepConn = (flags & 1) !== 0;
-      requests.set(requestId, new FCGIRequest(requestId, role, keepConn));
+      const { maxBodySize } = this.options;
+      requests.set(requestId, new FCGIRequest(requestId, role, keepConn, {
+        flow: this.options.streamBody ? flow : null,
+        // A per-route limit is looked up once the params name the route
+        maxBodySize: typeof maxBodySize === 'function'
+          ? (params) => resolveBodyLimit(maxBodySize, parseCGIEnv(params, this.options))
+          : maxBodySize,
+      }));
       break;
     }
 
@@ -437,7 +500,7 @@ export class FastCGIServer extends EventEmitter {
       if (req) {
         req.addParams(content);
       }
-      this._tryHandleRequest(socket, requests, requestId);
+      this._tryHandleRequest(socket, requests, responses, requestId);
       break;
     }
 
@@ -446,12 +509,23 @@ export class FastCGIServer extends EventEmitter {
       if (req) {
         req.addStdin(content);
       }
-      this._tryHandleRequest(socket, requests, requestId);
+      this._tryHandleRequest(socket, requests, responses, requestId);
+      if (req && req.handled && (req.stdinComplete || req.error)) {
+        requests.delete(requestId);
+      }
       break;
     }
 
     case FCGI_ABORT_REQUEST: {
+      const req = requests.get(requestId);
+      if (req) {
+        req.abort('Request aborted');
+      }
       requests.delete(requestId);
+      const response = responses.get(requestId);
+      if (response) {
+        response._abort();
+      }
       break;
     }
 
@@ -467,30 +541,58 @@ export class FastCGIServer extends EventEmitter {
   /**
    * Try to handle request if all data received
    */
-  _tryHandleRequest(socket, requests, requestId) {
+  async _tryHandleRequest(socket, requests, responses, requestId) {
     const fcgiReq = requests.get(requestId);
-    if (!fcgiReq || !fcgiReq.isReady()) {
+    if (!fcgiReq || fcgiReq.handled || !fcgiReq.isReady()) {
       return;
     }
 
-    requests.delete(requestId);
+    fcgiReq.handled = true;
+
+    // Streamed requests stay registered until their stdin completes
+    if (!fcgiReq.stream || fcgiReq.stdinComplete || fcgiReq.error) {
+      requests.delete(requestId);
+    }
 
     // Build request object similar to CGI
-    const request = parseCGIEnv(fcgiReq.params);
+    const request = parseCGIEnv(fcgiReq.params, this.options);
+
+    // Create response object
+    const response = new FCGIResponse(socket, requestId);
+    response.req = request;
+    response.cookieSecret = this.options.cookieSecret;
+    response.etag = this.options.etag !== false;
+    response.compression = this.options.compression ?? true;
+    response.coalesce = this.options.coalesce ?? 0;
+    response.views = this.views;
+    request.res = response;
+    responses.set(requestId, response);
+    response.once('finish', () => responses.delete(requestId));
+    // A handler that answers without reading the body must not stall the connection
+    response.once('finish', () => fcgiReq.discard());
+    response.once('close', () => fcgiReq.discard());
 
     // Parse body
-    const stdinBuffer = fcgiReq.getStdinBuffer();
-    if (stdinBuffer.length > 0) {
-      const { raw, parsed } = parseBody(stdinBuffer, request.contentType);
-      request.rawBody = raw;
-      request.body = parsed;
-    } else {
-      request.rawBody = Buffer.alloc(0);
-      request.body = null;
+    const bodyOptions = { ...this.options, maxBodySize: fcgiReq.maxBodySize };
+    try {
+      if (fcgiReq.error) {
+        throw fcgiReq.error;
+      } else if (fcgiReq.stream) {
+        streamRequestBody(request, fcgiReq.stream, bodyOptions);
+      } else if (fcgiReq.stdin.length > 0) {
+        await readRequestBody(request, Readable.from(fcgiReq.stdin), bodyOptions);
+      } else {
+        request.rawBody = Buffer.alloc(0);
+        request.body = null;
+        request.files = {};
+      }
+    } catch (error) {
+      sendError(response, error);
+      return;
     }
 
-    // Create response object
-    const response = new FCGIResponse(socket, requestId);
+    // Uploaded temp files only live as long as the request
+    response.once('finish', () => removeUploads(request.files));
 
     // Emit request event
     this.emit('request', request, response);
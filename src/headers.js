@@ -0,0 +1,145 @@
+/**
+ * Response Headers
+ * Case-insensitive header collection behind res.set()/res.get(), shared by
+ * the CGI and FastCGI responses
+ */
+
+// RFC 9110 field-name
+const TOKEN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// List-based fields: several values go on one line, comma-separated.
+// Anything else (Set-Cookie, WWW-Authenticate, ...) gets a line per value.
+const LIST_FIELDS = new Set([
+  'accept-patch',
+  'accept-ranges',
+  'access-control-allow-headers',
+  'access-control-allow-methods',
+  'access-control-expose-headers',
+  'allow',
+  'cache-control',
+  'content-encoding',
+  'content-language',
+  'link',
+  'vary',
+  'via',
+]);
+
+/**
+ * Throw unless name and value can be sent as a header line
+ */
+export function validateHeader(name, value) {
+  if (typeof name !== 'string' || !TOKEN.test(name)) {
+    throw new TypeError(`Invalid header name: ${JSON.stringify(name)}`);
+  }
+
+  for (const item of [].concat(value)) {
+    if (item === undefined || item === null) {
+      throw new TypeError(`Invalid value for header ${name}: ${item}`);
+    }
+    // Line breaks would start a new header (response splitting)
+    if ([...String(item)].some((char) => (char < ' ' && char !== '\t') || char === '\x7f')) {
+      throw new TypeError(`Invalid character in header ${name}`);
+    }
+  }
+}
+
+/**
+ * Headers looked up case-insensitively, sent with the case they were set with
+ * Values are strings, numbers or arrays of them for repeated fields
+ */
+export class HeaderMap {
+  constructor(init = {}) {
+    // lowercase name -> { name, value }
+    this._entries = new Map();
+
+    for (const [name, value] of Object.entries(init)) {
+      this.set(name, value);
+    }
+  }
+
+  /**
+   * Set a header, replacing any value under the same name in any case
+   */
+  set(name, value) {
+    validateHeader(name, value);
+    this._entries.set(name.toLowerCase(), {
+      name,
+      value: Array.isArray(value) ? [...value] : value,
+    });
+    return this;
+  }
+
+  /**
+   * Add values to a header, keeping the ones already set
+   */
+  append(name, value) {
+    const existing = this.get(name);
+    if (existing === undefined) {
+      return this.set(name, value);
+    }
+
+    validateHeader(name, value);
+    this._entries.get(name.toLowerCase()).value = [].concat(existing, value);
+    return this;
+  }
+
+  get(name) {
+    const entry = this._entries.get(String(name).toLowerCase());
+    return entry ? entry.value : undefined;
+  }
+
+  has(name) {
+    return this._entries.has(String(name).toLowerCase());
+  }
+
+  delete(name) {
+    return this._entries.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Names in lowercase, in the order they were first set
+   */
+  keys() {
+    return [...this._entries.keys()];
+  }
+
+  /**
+   * { lowercase name: value }, like http.ServerResponse#getHeaders()
+   */
+  toObject() {
+    const headers = Object.create(null);
+    for (const [key, { value }] of this._entries) {
+      headers[key] = value;
+    }
+    return headers;
+  }
+
+  /**
+   * [name, value] for every line that goes on the wire
+   * List fields are joined with ", "; other repeated fields get a line each
+   */
+  lines() {
+    const lines = [];
+
+    for (const [key, { name, value }] of this._entries) {
+      if (!Array.isArray(value)) {
+        lines.push([name, String(value)]);
+      } else if (LIST_FIELDS.has(key)) {
+        if (value.length > 0) {
+          lines.push([name, value.join(', ')]);
+        }
+      } else {
+        for (const item of value) {
+          lines.push([name, String(item)]);
+        }
+      }
+    }
+
+    return lines;
+  }
+}
+
+export default {
+  validateHeader,
+  HeaderMap,
+};
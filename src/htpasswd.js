@@ -0,0 +1,149 @@
+/**
+ * htpasswd Support
+ * Reads Apache htpasswd / htdigest files and verifies the password hashes
+ * `htpasswd` produces: bcrypt (-B), SHA-1 (-s) and APR1 MD5 (-m, the default)
+ */
+
+import { Buffer } from 'node:buffer';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { verifyBcryptAsync } from './bcrypt.js';
+
+// Alphabet used by crypt(3)-style MD5 hashes
+const CRYPT64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Parse htpasswd contents (`user:hash` per line) into a Map
+ */
+export function parseHtpasswd(content) {
+  const users = new Map();
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+    const colon = trimmed.indexOf(':');
+    if (colon > 0) {
+      users.set(trimmed.slice(0, colon), trimmed.slice(colon + 1));
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Parse htdigest contents (`user:realm:HA1` per line) into a Map keyed by `user:realm`
+ */
+export function parseHtdigest(content) {
+  const entries = new Map();
+
+  for (const line of content.split(/\r?\n/)) {
+    const [user, realm, ha1] = line.trim().split(':');
+    if (user && realm && ha1) {
+      entries.set(`${user}:${realm}`, ha1.toLowerCase());
+    }
+  }
+
+  return entries;
+}
+
+function md5(...parts) {
+  const hash = createHash('md5');
+  for (const part of parts) {
+    hash.update(part);
+  }
+  return hash.digest();
+}
+
+/**
+ * Encode `count` characters of a 24-bit value, low bits first
+ */
+function crypt64(value, count) {
+  let result = '';
+  for (let i = 0; i < count; i++) {
+    result += CRYPT64[value & 0x3f];
+    value >>= 6;
+  }
+  return result;
+}
+
+/**
+ * MD5-crypt as used by `$1$` (glibc) and `$apr1$` (Apache) hashes
+ */
+export function md5Crypt(password, salt, magic = '$apr1$') {
+  const pw = Buffer.from(password, 'utf8');
+  const saltBuf = Buffer.from(salt.slice(0, 8));
+
+  const alternate = md5(pw, saltBuf, pw);
+  const parts = [pw, Buffer.from(magic), saltBuf];
+
+  for (let length = pw.length; length > 0; length -= 16) {
+    parts.push(alternate.subarray(0, Math.min(length, 16)));
+  }
+  for (let bits = pw.length; bits > 0; bits >>= 1) {
+    parts.push(bits & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  }
+
+  let digest = md5(...parts);
+
+  // 1000 rounds to slow down brute force
+  for (let round = 0; round < 1000; round++) {
+    const roundParts = [round & 1 ? pw : digest];
+    if (round % 3) {
+      roundParts.push(saltBuf);
+    }
+    if (round % 7) {
+      roundParts.push(pw);
+    }
+    roundParts.push(round & 1 ? digest : pw);
+    digest = md5(...roundParts);
+  }
+
+  let encoded = '';
+  for (const [a, b, c] of [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]) {
+    encoded += crypt64((digest[a] << 16) | (digest[b] << 8) | digest[c], 4);
+  }
+  encoded += crypt64(digest[11], 2);
+
+  return `${magic}${saltBuf.toString()}$${encoded}`;
+}
+
+/**
+ * Constant-time string comparison, shared with auth.js
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Check a password against an htpasswd hash, resolving to true or false
+ * bcrypt runs on a worker thread; unsupported formats (crypt(3) DES,
+ * plaintext) never match
+ */
+export async function verifyPassword(password, hash) {
+  if (/^\$2[aby]\$/.test(hash)) {
+    return verifyBcryptAsync(password, hash);
+  }
+
+  if (hash.startsWith('{SHA}')) {
+    const digest = createHash('sha1').update(password, 'utf8').digest('base64');
+    return safeEqual(`{SHA}${digest}`, hash);
+  }
+
+  const md5Match = /^(\$apr1\$|\$1\$)([^$]{0,8})\$/.exec(hash);
+  if (md5Match) {
+    return safeEqual(md5Crypt(password, md5Match[2], md5Match[1]), hash);
+  }
+
+  return false;
+}
+
+export default {
+  parseHtpasswd,
+  parseHtdigest,
+  md5Crypt,
+  safeEqual,
+  verifyPassword,
+};
@@ -5,12 +5,40 @@
  * Run Node.js scripts per-request, just like traditional PHP
  */
 
-import { createRequest, parseCGIEnv, parseHeaders, parseQueryString, parseCookies } from './cgi.js';
-import { Response, createResponse } from './response.js';
+import {
+  createRequest,
+  parseCGIEnv,
+  parseHeaders,
+  parseQueryString,
+  parseCookies,
+  parseSize,
+  resolveBodyLimit,
+} from './cgi.js';
+import { Response, createResponse, isNPHScript } from './response.js';
+import { BaseResponse } from './base-response.js';
+import { STATUS_MESSAGES } from './status.js';
+import { EventStream, formatEvent } from './sse.js';
+import { Views, createViews, escapeHtml } from './views.js';
+import { contentDisposition } from './disposition.js';
 import { FastCGIServer, FCGIResponse, createFastCGIServer } from './fastcgi.js';
+import { parseMultipart, removeUploads } from './multipart.js';
+import { HttpError, badRequest, payloadTooLarge, sendError } from './errors.js';
+import { evaluatePreconditions } from './conditional.js';
+import { createPHPContext, withPHP, PHPExit } from './php.js';
+import { parseAuthorization, basicAuth, digestAuth } from './auth.js';
+import { registerBodyParser, matchBodyParser, matchType, mediaType, runBodyParser } from './parsers.js';
+import { getCharset, decodeText } from './charset.js';
+
+/**
+ * Whether a handler is a router from createRouter() rather than a function
+ */
+function isRouter(handler) {
+  return typeof handler === 'object' && handler !== null && typeof handler.handle === 'function';
+}
 
 /**
  * Main handler function - use this in your CGI scripts
+ * Takes a handler function or a router from createRouter()
  *
  * @example
  * // hello.js
@@ -20,23 +48,55 @@ import { FastCGIServer, FCGIResponse, createFastCGIServer } from './fastcgi.js';
  *   res.json({ message: 'Hello World!', method: req.method });
  * });
  */
-export async function handle(callback) {
-  const req = await createRequest();
-  const res = createResponse();
+export async function handle(callback, options = {}) {
+  // NPH: by option, `node-cgi --nph`, or an nph-* script name like Apache's
+  const nph = options.nph ?? (process.env.NODE_CGI_NPH === '1' ||
+    isNPHScript(process.env.SCRIPT_FILENAME) || isNPHScript(process.argv[1]));
+  const res = createResponse(process.stdout, { nph });
+  let req;
+
+  // Set by `node-cgi --max-body-size` for the scripts it runs
+  const defaultLimit = parseSize(process.env.NODE_CGI_MAX_BODY_SIZE);
+  const router = isRouter(callback) ? callback : null;
 
   try {
-    await callback(req, res);
+    req = await createRequest(process.env, process.stdin, {
+      ...options,
+      // A router decides per route, once the route's parsers have run
+      strictBody: router ? false : options.strictBody,
+      maxBodySize: (request) => resolveBodyLimit(options.maxBodySize, request, defaultLimit),
+    });
+  } catch (error) {
+    // Malformed or rejected request body - answer without running the handler
+    sendError(res, error);
+    return;
+  }
+
+  res.req = req;
+  res.cookieSecret = options.cookieSecret;
+  res.etag = options.etag !== false;
+  res.compression = options.compression ?? true;
+  res.views = options.views ? createViews(options.views) : null;
+  req.res = res;
+  if (router) {
+    req.strictBody = options.strictBody;
+  }
+
+  // Uploaded temp files only live as long as the request
+  res.once('finish', () => removeUploads(req.files));
+
+  try {
+    await (router ? router.handle(req, res) : callback(req, res));
   } catch (error) {
     if (!res.headersSent) {
-      res.status(500);
-      res.type('text/plain');
-      res.send(`Internal Server Error: ${error.message}`);
+      sendError(res, error);
     }
     // Log error to stderr (NGINX will capture this)
     console.error(error);
   }
 
-  // Ensure response is ended
+  // Ensure response is ended, once a stream the handler started is done
+  await res._settled();
   if (!res._finished) {
     res.end();
   }
@@ -44,6 +104,7 @@ export async function handle(callback) {
 
 /**
  * Create a FastCGI server for handling multiple requests
+ * Takes a handler function or a router from createRouter()
  *
  * @example
  * import { createServer } from 'node-cgi-handler';
@@ -53,21 +114,32 @@ export async function handle(callback) {
  * });
  *
  * server.listen(9000);
+ *
+ * Bodies are parsed strictly unless `strictBody: false` is passed. With a
+ * router, that is only the default: each route decides after its parsers ran.
  */
-export function createServer(handler) {
-  const server = createFastCGIServer();
+export function createServer(handler, options = {}) {
+  const router = isRouter(handler) ? handler : null;
+  const server = createFastCGIServer({
+    ...options,
+    strictBody: router ? false : options.strictBody ?? true,
+  });
 
   server.on('request', async (req, res) => {
     try {
-      await handler(req, res);
+      if (router) {
+        req.strictBody = options.strictBody;
+        await router.handle(req, res);
+      } else {
+        await handler(req, res);
+      }
     } catch (error) {
       if (!res._headersSent) {
-        res.status(500);
-        res.type('text/plain');
-        res.send(`Internal Server Error: ${error.message}`);
+        sendError(res, error);
       }
     }
 
+    await res._settled();
     if (!res._finished) {
       res.end();
     }
@@ -97,63 +169,179 @@ export function compose(...middlewares) {
 
 /**
  * Simple router for CGI scripts
+ *
+ * Routes accept an optional options object before the handler:
+ *   router.post('/upload', { maxBodySize: 50 * 1024 * 1024 }, handler);
+ *   router.post('/import', { bodyParsers: { 'text/csv': parseCsv } }, handler);
+ *   router.post('/items', { type: 'application/json' }, handler);
+ *
+ * Pass router.bodyLimit as `maxBodySize` so route limits are applied while
+ * the body is read, including limits above the global one:
+ *   handle(router, { maxBodySize: router.bodyLimit });
+ *
+ * Routes answer 400 for bodies that failed to parse unless `strictBody: false`
+ * is set on the route, the router or the server (req.strictBody) - checked
+ * after the route's parsers have run. Pass the router itself to handle() or
+ * createServer() so a lenient route isn't rejected before routing.
  */
-export function createRouter() {
+export function createRouter(options = {}) {
   const routes = [];
 
+  function addRoute(method, path, routeOptions, handler) {
+    if (typeof routeOptions === 'function') {
+      handler = routeOptions;
+      routeOptions = {};
+    }
+    routes.push({ method, path, options: routeOptions, handler });
+    return router;
+  }
+
+  /**
+   * First route matching the request's method and path
+   */
+  function findRoute(req) {
+    for (const route of routes) {
+      if (route.method !== '*' && route.method !== req.method) {
+        continue;
+      }
+      const match = matchPath(route.path, req.path);
+      if (match) {
+        return { route, params: match.params };
+      }
+    }
+    return null;
+  }
+
   const router = {
-    get(path, handler) {
-      routes.push({ method: 'GET', path, handler });
-      return router;
+    get(path, routeOptions, handler) {
+      return addRoute('GET', path, routeOptions, handler);
     },
 
-    post(path, handler) {
-      routes.push({ method: 'POST', path, handler });
-      return router;
+    post(path, routeOptions, handler) {
+      return addRoute('POST', path, routeOptions, handler);
     },
 
-    put(path, handler) {
-      routes.push({ method: 'PUT', path, handler });
-      return router;
+    put(path, routeOptions, handler) {
+      return addRoute('PUT', path, routeOptions, handler);
     },
 
-    delete(path, handler) {
-      routes.push({ method: 'DELETE', path, handler });
-      return router;
+    delete(path, routeOptions, handler) {
+      return addRoute('DELETE', path, routeOptions, handler);
     },
 
-    all(path, handler) {
-      routes.push({ method: '*', path, handler });
-      return router;
+    all(path, routeOptions, handler) {
+      return addRoute('*', path, routeOptions, handler);
     },
 
     use(handler) {
-      routes.push({ method: '*', path: '*', handler });
-      return router;
+      return addRoute('*', '*', {}, handler);
+    },
+
+    /**
+     * Body limit of the route a request goes to: the route's maxBodySize,
+     * else the router's, else undefined (the caller's global limit)
+     * Takes a request whose body hasn't been read yet
+     */
+    bodyLimit(req) {
+      const found = findRoute(req);
+      return found ? found.route.options.maxBodySize ?? options.maxBodySize : options.maxBodySize;
     },
 
     async handle(req, res) {
-      for (const route of routes) {
-        if (route.method !== '*' && route.method !== req.method) {
-          continue;
-        }
+      const found = findRoute(req);
+      if (!found) {
+        res.status(404).json({ error: 'Not Found' });
+        return;
+      }
 
-        const match = matchPath(route.path, req.path);
-        if (match) {
-          req.params = match.params;
-          await route.handler(req, res);
+      const { route, params } = found;
+      req.params = params;
+
+      const maxBodySize = route.options.maxBodySize ?? options.maxBodySize;
+      if (maxBodySize !== undefined) {
+        // Only catches bodies read without router.bodyLimit
+        if (bodySize(req) > maxBodySize) {
+          sendError(res, payloadTooLarge(maxBodySize));
           return;
         }
+        // Streamed bodies are checked when the handler reads them
+        req.maxBodySize = maxBodySize;
+      }
+
+      await applyBodyParsers(req, { ...options, ...route.options }, route.options.bodyParsers, options.bodyParsers);
+
+      const bodyError = checkBody(req, route.options, options);
+      if (bodyError) {
+        sendError(res, bodyError);
+        return;
       }
 
-      // No route matched
-      res.status(404).json({ error: 'Not Found' });
+      await route.handler(req, res);
     },
   };
 
   return router;
 }
 
+/**
+ * Error for a body the route can't accept: one that failed to parse (in
+ * strict mode) or one whose content type isn't in the route's `type` list
+ */
+function checkBody(req, routeOptions, options) {
+  const strict = routeOptions.strictBody ?? options.strictBody ?? req.strictBody ?? true;
+  if (strict && req.bodyError) {
+    return req.bodyError;
+  }
+
+  const types = routeOptions.type ? [].concat(routeOptions.type) : null;
+  if (types && bodySize(req) > 0) {
+    const type = mediaType(req.contentType);
+    if (!types.some((pattern) => matchType(pattern, type))) {
+      return badRequest(`Expected a ${types.join(' or ')} body`, { contentType: type || null });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Re-parse an already-read body with route or router specific parsers
+ * Parsers get the router and route options, like parseBody() passes its own.
+ * Their outcome replaces req.bodyError, which checkBody() looks at next.
+ */
+async function applyBodyParsers(req, parserOptions, ...parserSets) {
+  if (!req.rawBody || req.rawBody.length === 0) {
+    return;
+  }
+
+  const type = mediaType(req.contentType);
+  for (const parsers of parserSets) {
+    const parse = matchBodyParser(type, parsers);
+    if (parse) {
+      try {
+        req.body = await runBodyParser(parse, req.rawBody, req.contentType, parserOptions);
+        delete req.bodyError;
+      } catch (error) {
+        if (!(error instanceof HttpError) || error.statusCode !== 400) {
+          throw error;
+        }
+        // Same lenient fallback as parseBody(): the text, with the error
+        req.body = decodeText(req.rawBody, getCharset(req.contentType));
+        req.bodyError = error;
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Size of an already-read body, or the declared Content-Length
+ */
+function bodySize(req) {
+  const declared = parseInt(req.contentLength, 10) || 0;
+  return Math.max(declared, req.rawBody ? req.rawBody.length : 0);
+}
+
 /**
  * Match a path pattern against a request path
  */
@@ -195,13 +383,51 @@ export {
   // CGI
   createRequest,
   parseCGIEnv,
+  resolveBodyLimit,
   parseHeaders,
   parseQueryString,
   parseCookies,
+  parseSize,
+
+  // Multipart
+  parseMultipart,
+  removeUploads,
+
+  // Errors
+  HttpError,
+
+  // Conditional requests
+  evaluatePreconditions,
+
+  // PHP compatibility
+  createPHPContext,
+  withPHP,
+  PHPExit,
+
+  // Authentication
+  parseAuthorization,
+  basicAuth,
+  digestAuth,
+
+  // Body parsers
+  registerBodyParser,
 
   // Response
+  STATUS_MESSAGES,
+  BaseResponse,
   Response,
   createResponse,
+  isNPHScript,
+  contentDisposition,
+
+  // Server-Sent Events
+  EventStream,
+  formatEvent,
+
+  // Views
+  Views,
+  createViews,
+  escapeHtml,
 
   // FastCGI
   FastCGIServer,
@@ -0,0 +1,191 @@
+/**
+ * MIME Types
+ * Extension-to-type table for sendFile() and attachment(), with a UTF-8
+ * charset added to textual types
+ */
+
+import { extname } from 'node:path';
+
+const MIME_TYPES = {
+  // Text and markup
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xhtml': 'application/xhtml+xml',
+  '.css': 'text/css',
+  '.txt': 'text/plain',
+  '.text': 'text/plain',
+  '.log': 'text/plain',
+  '.conf': 'text/plain',
+  '.ini': 'text/plain',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.rtf': 'application/rtf',
+  '.vtt': 'text/vtt',
+  '.ics': 'text/calendar',
+  '.vcf': 'text/vcard',
+  '.xml': 'application/xml',
+  '.xsl': 'application/xml',
+  '.dtd': 'application/xml-dtd',
+  '.rss': 'application/rss+xml',
+  '.atom': 'application/atom+xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.toml': 'application/toml',
+
+  // Scripts and data
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.jsonld': 'application/ld+json',
+  '.geojson': 'application/geo+json',
+  '.webmanifest': 'application/manifest+json',
+  '.wasm': 'application/wasm',
+  '.sh': 'application/x-sh',
+  '.php': 'application/x-httpd-php',
+  '.py': 'text/x-python',
+  '.sql': 'application/sql',
+  '.graphql': 'application/graphql',
+
+  // Images
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.jpe': 'image/jpeg',
+  '.jfif': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.jxl': 'image/jxl',
+  '.svg': 'image/svg+xml',
+  '.svgz': 'image/svg+xml',
+  '.ico': 'image/vnd.microsoft.icon',
+  '.cur': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.psd': 'image/vnd.adobe.photoshop',
+
+  // Fonts
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.ttc': 'font/collection',
+  '.eot': 'application/vnd.ms-fontobject',
+
+  // Audio
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.oga': 'audio/ogg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.wav': 'audio/wav',
+  '.weba': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+
+  // Video
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.3gp': 'video/3gpp',
+  '.ts': 'video/mp2t',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+
+  // Documents
+  '.pdf': 'application/pdf',
+  '.epub': 'application/epub+zip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+
+  // Archives and binaries
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.zst': 'application/zstd',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  '.tar': 'application/x-tar',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive',
+  '.dmg': 'application/x-apple-diskimage',
+  '.iso': 'application/x-iso9660-image',
+  '.deb': 'application/vnd.debian.binary-package',
+  '.rpm': 'application/x-rpm',
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.msi': 'application/x-msi',
+  '.bin': 'application/octet-stream',
+};
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+// Non-text/* types that are text and get a charset too
+const TEXTUAL_TYPES = new Set([
+  'application/javascript',
+  'application/json',
+  'application/xml',
+  'application/xml-dtd',
+  'application/yaml',
+  'application/toml',
+  'application/sql',
+  'application/graphql',
+  'application/x-sh',
+  'application/x-httpd-php',
+  'application/vnd.apple.mpegurl',
+]);
+
+/**
+ * Media type for a file name or extension, or null when unknown
+ */
+export function lookupType(path) {
+  const ext = extname(path).toLowerCase() || `.${String(path).toLowerCase().replace(/^\./, '')}`;
+  return MIME_TYPES[ext] || null;
+}
+
+/**
+ * Whether a media type is text that should carry a charset
+ */
+export function isTextual(type) {
+  return type.startsWith('text/') || TEXTUAL_TYPES.has(type) ||
+    type.endsWith('+json') || type.endsWith('+xml');
+}
+
+/**
+ * Content-Type header value for a file, with charset for textual types
+ * Unknown extensions are application/octet-stream
+ */
+export function contentTypeFor(path, charset = 'utf-8') {
+  const type = lookupType(path) || DEFAULT_TYPE;
+  return charset && isTextual(type) ? `${type}; charset=${charset}` : type;
+}
+
+export default {
+  lookupType,
+  isTextual,
+  contentTypeFor,
+};
@@ -0,0 +1,353 @@
+/**
+ * Multipart Form Data Parser
+ * Streams multipart/form-data bodies, writing uploaded files to temp files
+ * Similar to how PHP populates $_POST and $_FILES
+ */
+
+import { Buffer } from 'node:buffer';
+import { randomBytes } from 'node:crypto';
+import { open, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { HttpError, payloadTooLarge } from './errors.js';
+import { getCharset, decodeText } from './charset.js';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const DASH = 0x2d;
+
+// Part headers larger than this are treated as malformed
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Check whether a Content-Type is multipart/form-data
+ */
+export function isMultipart(contentType) {
+  return Boolean(contentType) &&
+    contentType.toLowerCase().split(';')[0].trim() === 'multipart/form-data';
+}
+
+/**
+ * Extract the boundary parameter from a multipart Content-Type
+ */
+export function getBoundary(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse header parameters like `form-data; name="field"; filename="a.txt"`
+ * Quoted values are taken as is: browsers percent-encode `"` instead of
+ * backslash-escaping it, and IE/Edge send full Windows paths whose
+ * backslashes basename() needs
+ */
+function parseHeaderParams(value) {
+  const params = {};
+  const regex = /;\s*([^=;\s]+)\s*=\s*(?:"([^"]*)"|([^;]*))/g;
+  let match;
+
+  while ((match = regex.exec(value)) !== null) {
+    const name = match[1].toLowerCase();
+    params[name] = match[2] !== undefined ? match[2] : match[3].trim();
+  }
+
+  return params;
+}
+
+/**
+ * Parse the header block of a single part
+ */
+function parsePartHeaders(block) {
+  const headers = {};
+
+  for (const line of block.toString('utf8').split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Strip any directory components some browsers send in filenames
+ */
+function basename(filename) {
+  return filename.split(/[/\\]/).pop();
+}
+
+/**
+ * Incremental multipart parser - feed it chunks as they arrive
+ */
+class MultipartParser {
+  constructor(boundary, options = {}) {
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.uploadDir = options.uploadDir || tmpdir();
+    this.maxFileSize = options.maxFileSize ?? Infinity;
+    this.maxFiles = options.maxFiles ?? Infinity;
+    // Prefix CRLF so the opening boundary matches like every other delimiter
+    this.buffer = CRLF;
+    this.state = 'preamble';
+    this.part = null;
+    this.fields = [];
+    this.files = [];
+  }
+
+  get done() {
+    return this.state === 'done';
+  }
+
+  async write(chunk) {
+    if (this.done) {
+      return;
+    }
+
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let progress = true;
+    while (progress) {
+      progress = await this._step();
+    }
+  }
+
+  end() {
+    if (!this.done) {
+      throw new HttpError(400, 'Unexpected end of multipart body');
+    }
+  }
+
+  /**
+   * Abort parsing and remove any files written so far
+   */
+  async destroy() {
+    if (this.part && this.part.handle) {
+      await this.part.handle.close().catch(() => {});
+    }
+    await removeUploads(this.files);
+  }
+
+  /**
+   * Advance the state machine; returns true if it can make more progress
+   */
+  async _step() {
+    switch (this.state) {
+    case 'preamble': {
+      const index = this.buffer.indexOf(this.delimiter);
+      if (index === -1) {
+        // Keep enough bytes to match a delimiter split across chunks
+        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.delimiter.length + 1));
+        return false;
+      }
+      this.buffer = this.buffer.subarray(index + this.delimiter.length);
+      this.state = 'delimiter';
+      return true;
+    }
+
+    case 'delimiter': {
+      if (this.buffer.length < 2) {
+        return false;
+      }
+      if (this.buffer[0] === DASH && this.buffer[1] === DASH) {
+        this.state = 'done';
+        this.buffer = Buffer.alloc(0);
+        return false;
+      }
+      // Skip transport padding, keeping the CRLF that starts the header block
+      const lineEnd = this.buffer.indexOf(CRLF);
+      if (lineEnd === -1) {
+        return false;
+      }
+      this.buffer = this.buffer.subarray(lineEnd);
+      this.state = 'headers';
+      return true;
+    }
+
+    case 'headers': {
+      const index = this.buffer.indexOf(HEADER_END);
+      if (index === -1) {
+        if (this.buffer.length > MAX_HEADER_SIZE) {
+          throw new HttpError(400, 'Multipart part headers too large');
+        }
+        return false;
+      }
+      await this._startPart(parsePartHeaders(this.buffer.subarray(2, index)));
+      this.buffer = this.buffer.subarray(index + HEADER_END.length);
+      this.state = 'body';
+      return true;
+    }
+
+    case 'body': {
+      const index = this.buffer.indexOf(this.delimiter);
+      if (index === -1) {
+        const keep = this.delimiter.length - 1;
+        if (this.buffer.length > keep) {
+          await this._partData(this.buffer.subarray(0, this.buffer.length - keep));
+          this.buffer = this.buffer.subarray(this.buffer.length - keep);
+        }
+        return false;
+      }
+      await this._partData(this.buffer.subarray(0, index));
+      await this._endPart();
+      this.buffer = this.buffer.subarray(index + this.delimiter.length);
+      this.state = 'delimiter';
+      return true;
+    }
+
+    default:
+      return false;
+    }
+  }
+
+  async _startPart(headers) {
+    const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+    if (!disposition.name) {
+      throw new HttpError(400, 'Multipart part is missing a field name');
+    }
+
+    if (disposition.filename === undefined) {
+      this.part = { name: disposition.name, charset: getCharset(headers['content-type']), chunks: [] };
+      return;
+    }
+
+    // Browsers send an empty filename when no file was chosen
+    if (disposition.filename === '') {
+      this.part = { skip: true };
+      return;
+    }
+
+    if (this.files.length >= this.maxFiles) {
+      throw new HttpError(413, `Too many files (maximum ${this.maxFiles})`);
+    }
+
+    const file = {
+      fieldName: disposition.name,
+      filename: basename(disposition.filename),
+      mimeType: headers['content-type'] || 'application/octet-stream',
+      size: 0,
+      path: join(this.uploadDir, `ncgi-${randomBytes(12).toString('hex')}`),
+    };
+
+    this.part = { file, handle: await open(file.path, 'wx', 0o600) };
+    this.files.push(file);
+  }
+
+  async _partData(data) {
+    if (data.length === 0 || this.part.skip) {
+      return;
+    }
+
+    if (!this.part.file) {
+      this.part.chunks.push(Buffer.from(data));
+      return;
+    }
+
+    const { file, handle } = this.part;
+    file.size += data.length;
+
+    if (file.size > this.maxFileSize) {
+      throw new HttpError(413, `File "${file.filename}" exceeds the maximum size of ${this.maxFileSize} bytes`);
+    }
+
+    await handle.write(data);
+  }
+
+  async _endPart() {
+    const part = this.part;
+    this.part = null;
+
+    if (part.handle) {
+      await part.handle.close();
+    } else if (!part.skip) {
+      // Decoded once the whole body is in, when _charset_ is known
+      this.fields.push([part.name, Buffer.concat(part.chunks), part.charset]);
+    }
+  }
+}
+
+/**
+ * Parse a multipart/form-data stream
+ * Resolves with text fields and file descriptors as [name, value] entries
+ */
+export async function parseMultipart(stream, contentType, options = {}) {
+  const boundary = getBoundary(contentType);
+  if (!boundary) {
+    throw new HttpError(400, 'Missing multipart boundary');
+  }
+
+  const parser = new MultipartParser(boundary, options);
+  const maxBodySize = options.maxBodySize ?? Infinity;
+  let bytesRead = 0;
+
+  try {
+    for await (const chunk of stream) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      bytesRead += buffer.length;
+      if (bytesRead > maxBodySize) {
+        throw payloadTooLarge(maxBodySize);
+      }
+      await parser.write(buffer);
+      if (parser.done) {
+        break;
+      }
+    }
+    parser.end();
+
+    return {
+      fields: decodeFields(parser.fields),
+      files: parser.files.map((file) => [file.fieldName, file]),
+    };
+  } catch (err) {
+    await parser.destroy();
+    throw err;
+  }
+}
+
+/**
+ * Decode raw field values, each in its part's charset if it declared one,
+ * else the charset named by a `_charset_` field, else UTF-8
+ */
+function decodeFields(fields) {
+  const charsetField = fields.find(([name]) => name === '_charset_');
+  const formCharset = charsetField ? charsetField[1].toString('latin1').trim() : null;
+
+  return fields.map(([name, value, charset]) => [name, decodeText(value, charset || formCharset)]);
+}
+
+/**
+ * Collect upload descriptors from req.files (arrays and nested objects)
+ */
+function collectUploads(value, found = []) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      collectUploads(item, found);
+    }
+  } else if (value && typeof value === 'object') {
+    if (typeof value.path === 'string' && 'fieldName' in value) {
+      found.push(value);
+    } else {
+      for (const item of Object.values(value)) {
+        collectUploads(item, found);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Remove temp files created for uploads
+ * Accepts req.files or an array of upload descriptors
+ */
+export async function removeUploads(files) {
+  await Promise.all(
+    collectUploads(files).map((file) => rm(file.path, { force: true }).catch(() => {})),
+  );
+}
+
+export default {
+  isMultipart,
+  getBoundary,
+  parseMultipart,
+  removeUploads,
+};
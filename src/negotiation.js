@@ -0,0 +1,286 @@
+/**
+ * Content Negotiation
+ * q-value aware matching of Accept, Accept-Charset, Accept-Encoding and
+ * Accept-Language against the values a handler can produce
+ */
+
+/**
+ * Extension shorthands accepted wherever a media type is expected
+ */
+const TYPE_SHORTHANDS = {
+  html: 'text/html',
+  text: 'text/plain',
+  txt: 'text/plain',
+  json: 'application/json',
+  xml: 'application/xml',
+  css: 'text/css',
+  js: 'application/javascript',
+  csv: 'text/csv',
+};
+
+/**
+ * Parse an Accept-style header into { value, q, params, index } entries
+ */
+export function parseAcceptHeader(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header.split(',').map((part, index) => {
+    const [value, ...rawParams] = part.split(';').map((piece) => piece.trim());
+    const params = {};
+    let q = 1;
+
+    for (const param of rawParams) {
+      const eq = param.indexOf('=');
+      if (eq === -1) {
+        continue;
+      }
+      const name = param.slice(0, eq).trim().toLowerCase();
+      const paramValue = param.slice(eq + 1).trim().replace(/^"|"$/g, '');
+      if (name === 'q') {
+        q = Math.min(Math.max(parseFloat(paramValue) || 0, 0), 1);
+      } else {
+        params[name] = paramValue;
+      }
+    }
+
+    return { value: value.toLowerCase(), q, params, index };
+  }).filter((entry) => entry.value);
+}
+
+/**
+ * Specificity of an accepted media range for a media type, or -1 if no match
+ */
+function matchMediaType(spec, provided) {
+  const [type, subtype] = provided.split(';')[0].trim().toLowerCase().split('/');
+  const [specType, specSubtype] = spec.value.split('/');
+  let specificity = 0;
+
+  if (specType !== '*') {
+    if (specType !== type) {
+      return -1;
+    }
+    specificity += 4;
+  }
+  if (specSubtype !== '*') {
+    if (specSubtype !== subtype) {
+      return -1;
+    }
+    specificity += 2;
+  }
+
+  // Parameters on the accepted range must all be present on the type
+  const providedParams = parseAcceptHeader(provided)[0]?.params || {};
+  for (const [name, value] of Object.entries(spec.params)) {
+    if (providedParams[name] !== value) {
+      return -1;
+    }
+    specificity += 1;
+  }
+
+  return specificity;
+}
+
+/**
+ * Specificity of an accepted language tag for a language, or -1 if no match
+ * `en` matches `en-US` and `en-US` matches `en`, both less than exact
+ */
+function matchLanguage(spec, provided) {
+  const full = provided.toLowerCase();
+  const prefix = full.split('-')[0];
+
+  if (spec.value === full) {
+    return 4;
+  }
+  if (spec.value.split('-')[0] === full) {
+    return 2;
+  }
+  if (spec.value === prefix) {
+    return 1;
+  }
+  return spec.value === '*' ? 0 : -1;
+}
+
+/**
+ * Specificity of a plain token (charset, encoding), or -1 if no match
+ */
+function matchToken(spec, provided) {
+  if (spec.value === provided.toLowerCase()) {
+    return 1;
+  }
+  return spec.value === '*' ? 0 : -1;
+}
+
+/**
+ * Order the provided values by client preference, dropping unacceptable ones
+ */
+function negotiate(accepted, provided, match) {
+  const candidates = [];
+
+  provided.forEach((value, order) => {
+    let best = null;
+
+    for (const spec of accepted) {
+      const specificity = match(spec, value);
+      if (specificity < 0) {
+        continue;
+      }
+      // The most specific matching range decides the quality
+      if (!best || specificity > best.specificity ||
+        (specificity === best.specificity && spec.q > best.q)) {
+        best = { q: spec.q, specificity, index: spec.index };
+      }
+    }
+
+    if (best && best.q > 0) {
+      candidates.push({ value, order, ...best });
+    }
+  });
+
+  candidates.sort((a, b) =>
+    b.q - a.q || b.specificity - a.specificity || a.index - b.index || a.order - b.order);
+
+  return candidates.map((candidate) => candidate.value);
+}
+
+/**
+ * Shared shape of the accepts* helpers:
+ *   no arguments - the accepted values in preference order
+ *   values - the best acceptable one, or false
+ */
+function select(accepted, provided, match) {
+  if (provided.length === 0) {
+    return accepted
+      .filter((spec) => spec.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map((spec) => spec.value);
+  }
+
+  return negotiate(accepted, provided, match)[0] || false;
+}
+
+/**
+ * Resolve a shorthand like `json` to its media type
+ */
+export function normalizeType(type) {
+  return TYPE_SHORTHANDS[type] || type;
+}
+
+/**
+ * Best of the given types for an Accept header
+ * Returns the type as passed in (shorthand or full), or false
+ */
+export function accepts(header, types = []) {
+  const accepted = parseAcceptHeader(header || '*/*');
+
+  if (types.length === 0) {
+    return select(accepted, [], matchMediaType);
+  }
+
+  const best = select(accepted, types.map(normalizeType), matchMediaType);
+  return best === false ? false : types[types.map(normalizeType).indexOf(best)];
+}
+
+/**
+ * Best of the given charsets for an Accept-Charset header
+ */
+export function acceptsCharsets(header, charsets = []) {
+  return select(parseAcceptHeader(header || '*'), charsets, matchToken);
+}
+
+/**
+ * Best of the given encodings for an Accept-Encoding header
+ * identity is acceptable unless explicitly refused
+ */
+export function acceptsEncodings(header, encodings = []) {
+  const accepted = parseAcceptHeader(header || '');
+  const mentionsIdentity = accepted.some((spec) => spec.value === 'identity' || spec.value === '*');
+
+  if (!mentionsIdentity) {
+    accepted.push({ value: 'identity', q: 0.001, params: {}, index: accepted.length });
+  }
+
+  return select(accepted, encodings, matchToken);
+}
+
+/**
+ * Best of the given languages for an Accept-Language header
+ */
+export function acceptsLanguages(header, languages = []) {
+  return select(parseAcceptHeader(header || '*'), languages, matchLanguage);
+}
+
+/**
+ * Attach accepts* helpers to a request object
+ */
+export function attachNegotiation(request) {
+  const { headers } = request;
+
+  request.accepts = (...types) => accepts(headers.accept, types.flat());
+  request.acceptsCharsets = (...charsets) => acceptsCharsets(headers['accept-charset'], charsets.flat());
+  request.acceptsEncodings = (...encodings) => acceptsEncodings(headers['accept-encoding'], encodings.flat());
+  request.acceptsLanguages = (...languages) => acceptsLanguages(headers['accept-language'], languages.flat());
+
+  return request;
+}
+
+/**
+ * Add a request header to the response's Vary list, once
+ */
+export function appendVary(res, field) {
+  const vary = res.get('Vary');
+  if (!vary) {
+    res.set('Vary', field);
+    return;
+  }
+
+  // Several values may have been set with res.append()
+  const current = [].concat(vary).join(', ');
+  const fields = current.split(',').map((name) => name.trim().toLowerCase());
+  if (!fields.includes(field.toLowerCase()) && !fields.includes('*')) {
+    res.set('Vary', `${current}, ${field}`);
+  }
+}
+
+/**
+ * res.format() - run the handler for the best type the client accepts
+ * Keys are shorthands or media types; `default` runs when nothing matches,
+ * otherwise the response is a 406
+ */
+export function formatResponse(res, handlers) {
+  const req = res.req;
+  const types = Object.keys(handlers).filter((key) => key !== 'default');
+  const header = req && req.headers ? req.headers.accept : undefined;
+
+  // The body now depends on the Accept header
+  appendVary(res, 'Accept');
+
+  const type = types.length > 0 ? accepts(header, types) : false;
+
+  if (type) {
+    const mediaType = normalizeType(type);
+    const textual = /^text\/|[/+](json|xml)$|javascript$/.test(mediaType) && !mediaType.includes(';');
+    res.set('Content-Type', textual ? `${mediaType}; charset=utf-8` : mediaType);
+    return handlers[type](req, res);
+  }
+
+  if (handlers.default) {
+    return handlers.default(req, res);
+  }
+
+  res.status(406).type('text').send('Not Acceptable');
+  return undefined;
+}
+
+export default {
+  parseAcceptHeader,
+  normalizeType,
+  accepts,
+  acceptsCharsets,
+  acceptsEncodings,
+  acceptsLanguages,
+  attachNegotiation,
+  appendVary,
+  formatResponse,
+};
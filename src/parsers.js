@@ -0,0 +1,120 @@
+/**
+ * Body Parser Registry
+ * Maps content types to body parsers, so applications can teach the
+ * request builders new formats (CSV, MessagePack, ...)
+ */
+
+import { getCharset, decodeText } from './charset.js';
+
+// Parsers added with registerBodyParser(), most recent first
+const registry = [];
+
+/**
+ * Compile a content type pattern into a predicate
+ * Accepts exact types ('text/csv'), wildcards ('application/*+json') and RegExps
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (type) => pattern.test(type);
+  }
+
+  const source = String(pattern)
+    .toLowerCase()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('[^;]*');
+  const regex = new RegExp(`^${source}$`);
+
+  return (type) => regex.test(type);
+}
+
+/**
+ * Media type without parameters, lowercased
+ */
+export function mediaType(contentType) {
+  return (contentType || '').toLowerCase().split(';')[0].trim();
+}
+
+/**
+ * Whether a media type matches a pattern
+ */
+export function matchType(pattern, type) {
+  return compilePattern(pattern)(type);
+}
+
+/**
+ * Register a parser for a content type pattern
+ * The parser is called as parse(body, { type, charset, contentType, text, options })
+ * and may return a promise. Returns a function that unregisters it.
+ */
+export function registerBodyParser(pattern, parse) {
+  if (typeof parse !== 'function') {
+    throw new TypeError('Body parser must be a function');
+  }
+
+  const entry = { match: compilePattern(pattern), parse };
+  registry.unshift(entry);
+
+  return () => {
+    const index = registry.indexOf(entry);
+    if (index !== -1) {
+      registry.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Find a parser among { pattern: parse } overrides (object or Map)
+ */
+export function matchBodyParser(type, parsers) {
+  if (!parsers) {
+    return null;
+  }
+
+  const entries = parsers instanceof Map ? parsers.entries() : Object.entries(parsers);
+  for (const [pattern, parse] of entries) {
+    if (matchType(pattern, type)) {
+      return parse;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the parser for a media type: per-call overrides first,
+ * then registered parsers (latest wins)
+ */
+export function findBodyParser(type, overrides) {
+  const override = matchBodyParser(type, overrides);
+  if (override) {
+    return override;
+  }
+
+  const entry = registry.find((candidate) => candidate.match(type));
+  return entry ? entry.parse : null;
+}
+
+/**
+ * Call a parser with the body and its content type details
+ */
+export function runBodyParser(parse, body, contentType, options = {}) {
+  const charset = getCharset(contentType);
+
+  return parse(body, {
+    type: mediaType(contentType),
+    charset,
+    contentType,
+    text: () => decodeText(body, charset),
+    options,
+  });
+}
+
+export default {
+  mediaType,
+  matchType,
+  registerBodyParser,
+  matchBodyParser,
+  findBodyParser,
+  runBodyParser,
+};
@@ -0,0 +1,255 @@
+/**
+ * PHP Compatibility Layer
+ * PHP-shaped superglobals and header()/setcookie()/http_response_code()/exit()
+ * helpers on top of the request and response objects, for porting PHP scripts
+ */
+
+/**
+ * Thrown by exit() to stop the handler; swallowed by withPHP()
+ */
+export class PHPExit extends Error {
+  constructor() {
+    super('exit() called');
+    this.name = 'PHPExit';
+  }
+}
+
+/**
+ * Build $_SERVER from the raw CGI meta-variables plus the values PHP adds
+ */
+function buildServer(req, now) {
+  const env = req.env || {};
+  const server = { ...env };
+
+  server.PHP_SELF = `${env.SCRIPT_NAME || ''}${env.PATH_INFO || ''}`;
+  server.REQUEST_TIME = Math.floor(now / 1000);
+  server.REQUEST_TIME_FLOAT = now / 1000;
+
+  return server;
+}
+
+/**
+ * Whether PHP would populate $_POST for this request
+ */
+function isFormRequest(req) {
+  const type = (req.contentType || '').toLowerCase().split(';')[0].trim();
+  return type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data';
+}
+
+/**
+ * Is this an upload descriptor from req.files?
+ */
+function isUpload(value) {
+  return value && typeof value === 'object' && typeof value.path === 'string' && 'fieldName' in value;
+}
+
+/**
+ * PHP's shape for one uploaded file
+ */
+function toPHPFile(upload) {
+  return {
+    name: upload.filename,
+    type: upload.mimeType,
+    tmp_name: upload.path,
+    error: 0,
+    size: upload.size,
+  };
+}
+
+/**
+ * Pick one PHP $_FILES key out of a (possibly nested) upload field
+ * PHP transposes nested fields: $_FILES['docs']['name'][0], not ['docs'][0]['name']
+ */
+function pickFileKey(value, key) {
+  if (isUpload(value)) {
+    return toPHPFile(value)[key];
+  }
+
+  const picked = Array.isArray(value) ? [] : {};
+  for (const [name, item] of Object.entries(value)) {
+    picked[name] = pickFileKey(item, key);
+  }
+  return picked;
+}
+
+/**
+ * Build $_FILES from req.files
+ */
+function buildFiles(files = {}) {
+  const result = {};
+
+  for (const [field, value] of Object.entries(files)) {
+    if (isUpload(value)) {
+      result[field] = toPHPFile(value);
+      continue;
+    }
+
+    result[field] = {};
+    for (const key of ['name', 'type', 'tmp_name', 'error', 'size']) {
+      result[field][key] = pickFileKey(value, key);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merge $_GET, $_POST and $_COOKIE in request_order - later sources win
+ */
+function buildRequest(order, sources) {
+  const merged = {};
+
+  for (const letter of order.toUpperCase()) {
+    if (sources[letter]) {
+      Object.assign(merged, sources[letter]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Canonical header name casing: content-type -> Content-Type
+ */
+function headerName(name) {
+  return name.trim().toLowerCase().replace(/(^|-)([a-z])/g, (_match, dash, char) => dash + char.toUpperCase());
+}
+
+/**
+ * Create the PHP globals and functions for one request
+ *
+ * Options:
+ *   requestOrder - sources merged into $_REQUEST, like php.ini request_order (default 'GP')
+ */
+export function createPHPContext(req, res, options = {}) {
+  const $_GET = req.query || {};
+  const $_POST = isFormRequest(req) && req.body ? req.body : {};
+  const $_COOKIE = req.cookies || {};
+
+  /**
+   * header('Name: value', replace = true, responseCode)
+   * Also understands 'HTTP/1.1 404 Not Found' and 'Status: 404' lines
+   */
+  function header(line, replace = true, responseCode = 0) {
+    const statusLine = /^HTTP\/\S+\s+(\d{3})(?:\s+(.+))?$/i.exec(line.trim());
+    if (statusLine) {
+      res.status(Number(statusLine[1]), statusLine[2]);
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      return;
+    }
+
+    const name = headerName(line.slice(0, colon));
+    const value = line.slice(colon + 1).trim();
+
+    if (name === 'Status') {
+      const [, code, reason] = /^(\d{3})(?:\s+(.+))?$/.exec(value) || [];
+      if (code) {
+        res.status(Number(code), reason);
+      }
+      return;
+    }
+
+    if (replace) {
+      res.set(name, value);
+    } else {
+      res.append(name, value);
+    }
+
+    if (responseCode) {
+      res.status(responseCode);
+    } else if (name === 'Location' && res.statusCode !== 201 && (res.statusCode < 300 || res.statusCode > 399)) {
+      // Like PHP, a redirect header implies 302 unless a 201 or 3xx was set
+      res.status(302);
+    }
+  }
+
+  /**
+   * setcookie(name, value, expires, path, domain, secure, httponly)
+   * or setcookie(name, value, { expires, path, domain, secure, httponly, samesite })
+   */
+  function setcookie(name, value = '', expiresOrOptions = 0, path = '', domain = '', secure = false, httponly = false) {
+    const options = typeof expiresOrOptions === 'object'
+      ? expiresOrOptions
+      : { expires: expiresOrOptions, path, domain, secure, httponly };
+
+    res.cookie(name, value, {
+      expires: options.expires ? new Date(options.expires * 1000) : undefined,
+      path: options.path || undefined,
+      domain: options.domain || undefined,
+      secure: Boolean(options.secure),
+      httpOnly: Boolean(options.httponly),
+      sameSite: options.samesite || undefined,
+    });
+    return true;
+  }
+
+  /**
+   * http_response_code(code) - returns the previous code when setting one
+   */
+  function http_response_code(code) {
+    const previous = res.statusCode;
+    if (code !== undefined) {
+      res.status(code);
+    }
+    return previous;
+  }
+
+  /**
+   * exit(output) - send any output, finish the response and stop the handler
+   */
+  function exit(output) {
+    if (typeof output === 'string') {
+      res.write(output);
+    }
+    res.end();
+    throw new PHPExit();
+  }
+
+  return {
+    $_SERVER: buildServer(req, Date.now()),
+    $_GET,
+    $_POST,
+    $_COOKIE,
+    $_FILES: buildFiles(req.files),
+    $_REQUEST: buildRequest(options.requestOrder ?? 'GP', { G: $_GET, P: $_POST, C: $_COOKIE }),
+    header,
+    setcookie,
+    http_response_code,
+    exit,
+    headers_sent: () => res.headersSent,
+  };
+}
+
+/**
+ * Wrap a handler so it receives the PHP context first
+ *
+ * @example
+ * handle(withPHP(({ $_GET, header, exit }, req, res) => {
+ *   if (!$_GET.id) {
+ *     header('HTTP/1.1 400 Bad Request');
+ *     exit('Missing id');
+ *   }
+ *   res.send(`Item ${$_GET.id}`);
+ * }));
+ */
+export function withPHP(callback, options = {}) {
+  return async (req, res) => {
+    try {
+      await callback(createPHPContext(req, res, options), req, res);
+    } catch (error) {
+      if (!(error instanceof PHPExit)) {
+        throw error;
+      }
+    }
+  };
+}
+
+export default {
+  PHPExit,
+  createPHPContext,
+  withPHP,
+};
@@ -0,0 +1,204 @@
+/**
+ * Trusted Proxy Support
+ * Resolves the client address, protocol and host from X-Forwarded-* and
+ * RFC 7239 Forwarded headers - but only for hops we were told to trust
+ */
+
+import { BlockList, isIP } from 'node:net';
+
+/**
+ * Named address ranges usable in trust lists
+ */
+const PRESETS = {
+  loopback: ['127.0.0.1/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+// Compiled trust functions, keyed by their option value
+const trustCache = new Map();
+
+/**
+ * Build a BlockList from CIDRs, single addresses and preset names
+ */
+function buildAddressList(entries) {
+  const list = new BlockList();
+
+  for (const entry of entries) {
+    if (PRESETS[entry]) {
+      for (const range of PRESETS[entry]) {
+        const [network, prefix] = range.split('/');
+        list.addSubnet(network, Number(prefix), isIP(network) === 6 ? 'ipv6' : 'ipv4');
+      }
+      continue;
+    }
+
+    const [network, prefix] = entry.split('/');
+    const family = isIP(network);
+    if (!family) {
+      throw new Error(`Invalid trusted proxy address: ${entry}`);
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(network, type);
+    } else {
+      list.addSubnet(network, Number(prefix), type);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Compile a trustProxy option into a function (address, hop) => boolean
+ *
+ * Accepts:
+ *   true / false - trust every hop / no hop
+ *   number - trust that many hops closest to us
+ *   'loopback, 10.0.0.0/8' or an array of CIDRs, addresses and presets
+ *     (loopback, linklocal, uniquelocal)
+ *   a function (address, hop) => boolean
+ */
+export function compileTrust(trustProxy) {
+  if (typeof trustProxy === 'function') {
+    return trustProxy;
+  }
+
+  const key = Array.isArray(trustProxy) ? trustProxy.join(',') : trustProxy;
+  if (trustCache.has(key)) {
+    return trustCache.get(key);
+  }
+
+  let trust;
+  if (trustProxy === true) {
+    trust = () => true;
+  } else if (!trustProxy) {
+    trust = () => false;
+  } else if (typeof trustProxy === 'number') {
+    trust = (_address, hop) => hop < trustProxy;
+  } else {
+    const entries = Array.isArray(trustProxy)
+      ? trustProxy
+      : String(trustProxy).split(',');
+    const list = buildAddressList(entries.map((entry) => entry.trim()).filter(Boolean));
+
+    trust = (address) => {
+      const family = isIP(address);
+      return family !== 0 && list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    };
+  }
+
+  trustCache.set(key, trust);
+  return trust;
+}
+
+/**
+ * Strip quotes, brackets and ports from a forwarded node identifier
+ * "[2001:db8::1]:4711" -> 2001:db8::1, 192.0.2.60:80 -> 192.0.2.60
+ */
+function normalizeNode(node) {
+  const value = node.trim().replace(/^"|"$/g, '');
+
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(value);
+  if (bracketed) {
+    return bracketed[1];
+  }
+
+  const ipv4WithPort = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/.exec(value);
+  return ipv4WithPort ? ipv4WithPort[1] : value;
+}
+
+/**
+ * Parse an RFC 7239 Forwarded header into one object per hop, client first
+ */
+export function parseForwarded(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header.split(',').map((element) => {
+    const entry = {};
+    for (const pair of element.split(';')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) {
+        continue;
+      }
+      const name = pair.slice(0, eq).trim().toLowerCase();
+      const value = pair.slice(eq + 1).trim().replace(/^"|"$/g, '');
+      entry[name] = name === 'for' || name === 'by' ? normalizeNode(value) : value;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Remove the port from a Host value, keeping IPv6 literals intact
+ */
+function stripPort(host) {
+  if (host.startsWith('[')) {
+    return host.slice(0, host.indexOf(']') + 1);
+  }
+  return host.split(':')[0];
+}
+
+/**
+ * Last value of a comma-separated X-Forwarded-* header - the one added by
+ * the proxy nearest to us; values further left came from the client side
+ */
+function lastValue(header) {
+  return header ? header.split(',').pop().trim() || undefined : undefined;
+}
+
+/**
+ * Resolve ip, ips, protocol, secure and hostname for a request
+ */
+export function resolveProxy(request, trustProxy) {
+  const { headers } = request;
+  const trust = compileTrust(trustProxy);
+  const remoteAddr = request.remoteAddr || '';
+
+  // Prefer the standard header; fall back to X-Forwarded-*
+  const forwarded = parseForwarded(headers.forwarded);
+  const useForwarded = forwarded.length > 0;
+  const clientFirst = useForwarded
+    ? forwarded.map((entry) => entry.for)
+    : (headers['x-forwarded-for'] || '').split(',').map(normalizeNode).filter(Boolean);
+
+  // Walk from our peer outwards until we reach an address we don't trust
+  const addrs = [remoteAddr, ...clientFirst.slice().reverse()];
+  let hop = 0;
+  while (hop < addrs.length - 1 && addrs[hop] && trust(addrs[hop], hop)) {
+    hop++;
+  }
+
+  let protocol = request.https === 'on' ? 'https' : 'http';
+  let host = headers.host || request.serverName || 'localhost';
+
+  if (hop > 0) {
+    if (useForwarded) {
+      // The entry written by the outermost proxy we trust
+      const entry = forwarded[forwarded.length - hop];
+      protocol = entry.proto ? entry.proto.toLowerCase() : protocol;
+      host = entry.host || host;
+    } else {
+      protocol = (lastValue(headers['x-forwarded-proto']) || protocol).toLowerCase();
+      host = lastValue(headers['x-forwarded-host']) || host;
+    }
+  }
+
+  return {
+    ip: addrs[hop],
+    ips: addrs.slice(1, hop + 1).reverse(),
+    protocol,
+    secure: protocol === 'https',
+    host,
+    hostname: stripPort(host),
+  };
+}
+
+export default {
+  compileTrust,
+  parseForwarded,
+  resolveProxy,
+};
@@ -0,0 +1,162 @@
+/**
+ * HTTP Range Requests
+ * Parses Range / If-Range and plans 206 Partial Content responses,
+ * including multipart/byteranges for several ranges
+ */
+
+import { Buffer } from 'node:buffer';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * Parse a Range header against a representation of `size` bytes
+ *
+ * Returns:
+ *   an array of { start, end } (inclusive) - overlapping ranges merged
+ *   -1 - no range is satisfiable (416)
+ *   -2 - malformed or not a bytes range (ignore the header)
+ */
+export function parseRange(size, header) {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) {
+    return -2;
+  }
+
+  const ranges = [];
+
+  for (const spec of match[1].split(',')) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return -2;
+    }
+
+    let start;
+    let end;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffix = Number(parts[2]);
+      if (suffix === 0) {
+        continue;
+      }
+      start = Math.max(size - suffix, 0);
+      end = size - 1;
+    } else {
+      start = Number(parts[1]);
+      end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+      if (parts[2] !== '' && Number(parts[2]) < start) {
+        return -2;
+      }
+    }
+
+    if (start < size) {
+      ranges.push({ start, end });
+    }
+  }
+
+  return ranges.length > 0 ? combineRanges(ranges) : -1;
+}
+
+/**
+ * Merge overlapping and adjacent ranges, keeping them in ascending order
+ */
+function combineRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const combined = [sorted[0]];
+
+  for (const range of sorted.slice(1)) {
+    const last = combined[combined.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      combined.push(range);
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Check an If-Range precondition against the current validators
+ * An entity tag must match strongly; a date must equal Last-Modified
+ */
+export function ifRangeMatches(ifRange, { etag, lastModified } = {}) {
+  if (!ifRange) {
+    return true;
+  }
+
+  const value = ifRange.trim();
+
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return Boolean(etag) && value === etag && !etag.startsWith('W/');
+  }
+
+  const date = Date.parse(value);
+  return Boolean(lastModified) && !Number.isNaN(date) && date === Date.parse(lastModified);
+}
+
+/**
+ * Plan the body of a file response, honoring the request's Range header
+ * Sets the status and range headers on `res` and returns the parts to
+ * write in order: { start, end } byte ranges of the file and literal
+ * Buffers (multipart delimiters). Returns null for a 416.
+ */
+export function prepareFileRanges(res, size) {
+  const req = res.req || {};
+  const headers = req.headers || {};
+  const contentType = res.get('Content-Type');
+
+  res.set('Accept-Ranges', 'bytes');
+
+  const wantsRange = headers.range && (!req.method || req.method === 'GET') &&
+    ifRangeMatches(headers['if-range'], { etag: res.get('ETag'), lastModified: res.get('Last-Modified') });
+  const ranges = wantsRange ? parseRange(size, headers.range) : -2;
+
+  if (ranges === -1) {
+    res.status(416);
+    res.set('Content-Range', `bytes */${size}`);
+    return null;
+  }
+
+  if (ranges === -2) {
+    res.set('Content-Length', size);
+    return size > 0 ? [{ start: 0, end: size - 1 }] : [];
+  }
+
+  res.status(206);
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.set('Content-Length', end - start + 1);
+    return ranges;
+  }
+
+  // Several ranges - each becomes a part of a multipart/byteranges body
+  const boundary = randomBytes(12).toString('hex');
+  const parts = [];
+  let length = 0;
+
+  for (const { start, end } of ranges) {
+    const head = Buffer.from(
+      `${parts.length > 0 ? '\r\n' : ''}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+    );
+    parts.push(head, { start, end });
+    length += head.length + end - start + 1;
+  }
+
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  parts.push(tail);
+  length += tail.length;
+
+  res.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.set('Content-Length', length);
+  return parts;
+}
+
+export default {
+  parseRange,
+  ifRangeMatches,
+  prepareFileRanges,
+};
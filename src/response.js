@@ -4,347 +4,134 @@
  */
 
 import { Buffer } from 'node:buffer';
+import { once } from 'node:events';
+import { basename } from 'node:path';
+import { BaseResponse } from './base-response.js';
+
+// Final chunk of a chunked body
+const LAST_CHUNK = Buffer.from('0\r\n\r\n');
 
 /**
- * HTTP Status code messages
+ * Whether a script is a non-parsed-header script by name (nph-*.js)
  */
-const STATUS_MESSAGES = {
-  200: 'OK',
-  201: 'Created',
-  204: 'No Content',
-  301: 'Moved Permanently',
-  302: 'Found',
-  304: 'Not Modified',
-  400: 'Bad Request',
-  401: 'Unauthorized',
-  403: 'Forbidden',
-  404: 'Not Found',
-  405: 'Method Not Allowed',
-  500: 'Internal Server Error',
-  502: 'Bad Gateway',
-  503: 'Service Unavailable',
-};
+export function isNPHScript(path) {
+  return Boolean(path) && basename(path).startsWith('nph-');
+}
 
-export class Response {
-  constructor(stdout = process.stdout) {
+/**
+ * CGI response - headers and body go to stdout
+ *
+ * Options:
+ *   nph - non-parsed headers: the web server passes the output to the client
+ *     untouched, so send an HTTP status line, Date and Connection headers,
+ *     and frame bodies of unknown length with chunked encoding
+ */
+export class Response extends BaseResponse {
+  constructor(stdout = process.stdout, options = {}) {
+    super();
     this.stdout = stdout;
-    this._statusCode = 200;
-    this._headers = {
-      'Content-Type': 'text/html; charset=utf-8',
-    };
-    this._headersSent = false;
-    this._finished = false;
-    this._cookies = [];
+    this.nph = options.nph ?? false;
+    // Body bytes are framed as chunks (NPH over HTTP/1.1)
+    this._chunked = false;
+    // Body bytes are dropped (NPH answer to HEAD, or a status without a body)
+    this._discardBody = false;
   }
 
   /**
-   * Get/set status code
+   * HTTP version to answer with in NPH mode
    */
-  status(code) {
-    if (this._headersSent) {
-      throw new Error('Cannot set status after headers sent');
-    }
-    this._statusCode = code;
-    return this;
-  }
-
-  get statusCode() {
-    return this._statusCode;
-  }
-
-  set statusCode(code) {
-    this.status(code);
-  }
-
-  get headersSent() {
-    return this._headersSent;
+  _httpVersion() {
+    return this.req && this.req.serverProtocol === 'HTTP/1.0' ? 'HTTP/1.0' : 'HTTP/1.1';
   }
 
-  /**
-   * Set a header
-   */
-  set(name, value) {
-    if (this._headersSent) {
-      throw new Error('Cannot set headers after they are sent');
-    }
-
-    if (typeof name === 'object') {
-      // set({ 'Content-Type': 'text/html', ... })
-      for (const [key, val] of Object.entries(name)) {
-        this._headers[key] = val;
-      }
-    } else {
-      this._headers[name] = value;
+  _statusLine() {
+    if (!this.nph) {
+      return super._statusLine();
     }
-
-    return this;
-  }
-
-  // Alias for set
-  header(name, value) {
-    return this.set(name, value);
-  }
-
-  setHeader(name, value) {
-    return this.set(name, value);
-  }
-
-  /**
-   * Get a header value
-   */
-  get(name) {
-    return this._headers[name];
-  }
-
-  getHeader(name) {
-    return this.get(name);
-  }
-
-  /**
-   * Remove a header
-   */
-  removeHeader(name) {
-    delete this._headers[name];
-    return this;
+    return `${this._httpVersion()} ${this._statusCode} ${this.statusMessage}`;
   }
 
   /**
-   * Set Content-Type header
-   */
-  type(contentType) {
-    // Handle shorthand types
-    const types = {
-      html: 'text/html; charset=utf-8',
-      text: 'text/plain; charset=utf-8',
-      json: 'application/json; charset=utf-8',
-      xml: 'application/xml; charset=utf-8',
-      css: 'text/css; charset=utf-8',
-      js: 'application/javascript; charset=utf-8',
-    };
-
-    return this.set('Content-Type', types[contentType] || contentType);
-  }
-
-  /**
-   * Set a cookie
-   */
-  cookie(name, value, options = {}) {
-    if (this._headersSent) {
-      throw new Error('Cannot set cookie after headers sent');
-    }
-
-    let cookieStr = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
-
-    if (options.maxAge) {
-      cookieStr += `; Max-Age=${options.maxAge}`;
-    }
-    if (options.expires) {
-      cookieStr += `; Expires=${options.expires.toUTCString()}`;
-    }
-    if (options.path) {
-      cookieStr += `; Path=${options.path}`;
-    }
-    if (options.domain) {
-      cookieStr += `; Domain=${options.domain}`;
-    }
-    if (options.secure) {
-      cookieStr += '; Secure';
-    }
-    if (options.httpOnly) {
-      cookieStr += '; HttpOnly';
-    }
-    if (options.sameSite) {
-      cookieStr += `; SameSite=${options.sameSite}`;
-    }
-
-    this._cookies.push(cookieStr);
-    return this;
-  }
-
-  /**
-   * Clear a cookie
-   */
-  clearCookie(name, options = {}) {
-    return this.cookie(name, '', {
-      ...options,
-      expires: new Date(0),
-    });
-  }
-
-  /**
-   * Write CGI headers to stdout
+   * In NPH mode nobody else completes the headers or frames the body
    */
   _writeHeaders() {
-    if (this._headersSent) {
-      return;
+    if (!this.nph || this._headersSent) {
+      return super._writeHeaders();
     }
 
-    // CGI uses "Status:" header instead of HTTP status line
-    const statusMessage = STATUS_MESSAGES[this._statusCode] || 'Unknown';
-    this.stdout.write(`Status: ${this._statusCode} ${statusMessage}\r\n`);
+    const status = this._statusCode;
+    const bodyless = (this.req && this.req.method === 'HEAD') ||
+      status < 200 || status === 204 || status === 304;
+    const chunked = !bodyless && this.get('Content-Length') === undefined &&
+      this._httpVersion() === 'HTTP/1.1';
 
-    // Write all headers
-    for (const [name, value] of Object.entries(this._headers)) {
-      if (Array.isArray(value)) {
-        for (const v of value) {
-          this.stdout.write(`${name}: ${v}\r\n`);
-        }
-      } else {
-        this.stdout.write(`${name}: ${value}\r\n`);
-      }
+    if (this.get('Date') === undefined) {
+      this.set('Date', new Date().toUTCString());
     }
-
-    // Write cookies
-    for (const cookie of this._cookies) {
-      this.stdout.write(`Set-Cookie: ${cookie}\r\n`);
+    if (this.get('Connection') === undefined) {
+      this.set('Connection', 'close');
     }
-
-    // End headers
-    this.stdout.write('\r\n');
-    this._headersSent = true;
-  }
-
-  /**
-   * Write data to response body
-   */
-  write(chunk) {
-    if (this._finished) {
-      throw new Error('Cannot write after response finished');
+    if (chunked) {
+      this.set('Transfer-Encoding', 'chunked');
     }
 
-    this._writeHeaders();
-
-    if (typeof chunk === 'string') {
-      this.stdout.write(chunk);
-    } else if (Buffer.isBuffer(chunk)) {
-      this.stdout.write(chunk);
-    } else {
-      this.stdout.write(String(chunk));
-    }
-
-    return this;
+    const ok = super._writeHeaders();
+    this._chunked = chunked;
+    this._discardBody = bodyless;
+    return ok;
   }
 
-  /**
-   * End the response
-   */
-  end(data) {
-    if (this._finished) {
-      return this;
+  _writeRaw(buffer) {
+    if (this.aborted || this._discardBody) {
+      return true;
     }
-
-    if (data !== undefined) {
-      this.write(data);
-    } else {
-      this._writeHeaders();
-    }
-
-    this._finished = true;
-    return this;
-  }
-
-  /**
-   * Send a response (like Express res.send)
-   */
-  send(body) {
-    if (body === undefined || body === null) {
-      return this.end();
-    }
-
-    if (typeof body === 'string') {
-      if (!this._headers['Content-Type']) {
-        this.type('html');
-      }
-      return this.end(body);
-    }
-
-    if (Buffer.isBuffer(body)) {
-      if (!this._headers['Content-Type']) {
-        this.type('application/octet-stream');
+    if (this._chunked) {
+      // An empty chunk would end the body
+      if (buffer.length === 0) {
+        return true;
       }
-      return this.end(body);
+      return this.stdout.write(Buffer.concat([
+        Buffer.from(`${buffer.length.toString(16)}\r\n`),
+        buffer,
+        Buffer.from('\r\n'),
+      ]));
     }
-
-    // Object or array - send as JSON
-    return this.json(body);
+    return this.stdout.write(buffer);
   }
 
-  /**
-   * Send JSON response
-   */
-  json(data) {
-    this.type('json');
-    const body = JSON.stringify(data);
-    this.set('Content-Length', Buffer.byteLength(body));
-    return this.end(body);
+  _drained() {
+    return once(this.stdout, 'drain');
   }
 
-  /**
-   * Send file (basic implementation)
-   */
-  async sendFile(filePath) {
-    const { createReadStream, stat } = await import('node:fs');
-    const { promisify } = await import('node:util');
-    const path = await import('node:path');
-    const statAsync = promisify(stat);
-
-    try {
-      const stats = await statAsync(filePath);
-      const ext = path.extname(filePath).toLowerCase();
-
-      // Simple mime type mapping
-      const mimeTypes = {
-        '.html': 'text/html',
-        '.htm': 'text/html',
-        '.css': 'text/css',
-        '.js': 'application/javascript',
-        '.json': 'application/json',
-        '.png': 'image/png',
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.gif': 'image/gif',
-        '.svg': 'image/svg+xml',
-        '.pdf': 'application/pdf',
-        '.txt': 'text/plain',
-      };
-
-      this.set('Content-Type', mimeTypes[ext] || 'application/octet-stream');
-      this.set('Content-Length', stats.size);
-      this._writeHeaders();
-
-      return new Promise((resolve, reject) => {
-        const stream = createReadStream(filePath);
-        stream.pipe(this.stdout, { end: false });
-        stream.on('end', () => {
-          this._finished = true;
-          resolve(this);
-        });
-        stream.on('error', reject);
-      });
-    } catch (_err) {
-      this.status(404).send('File not found');
-      return this;
+  _close() {
+    if (this._chunked && !this.aborted) {
+      this.stdout.write(LAST_CHUNK);
     }
   }
 
   /**
-   * Redirect to URL
+   * The web server closing stdout (EPIPE) means the client went away
    */
-  redirect(url, statusCode = 302) {
-    this.status(statusCode);
-    this.set('Location', url);
-    return this.end();
+  _watchClose() {
+    const onClose = () => this._abort();
+    this.stdout.on('close', onClose);
+    this.stdout.on('error', onClose);
+    this.once('finish', () => {
+      this.stdout.off('close', onClose);
+      this.stdout.off('error', onClose);
+    });
   }
 }
 
 /**
  * Create a new response object
  */
-export function createResponse(stdout = process.stdout) {
-  return new Response(stdout);
+export function createResponse(stdout = process.stdout, options = {}) {
+  return new Response(stdout, options);
 }
 
 export default {
   Response,
   createResponse,
+  isNPHScript,
 };
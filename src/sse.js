@@ -0,0 +1,150 @@
+/**
+ * Server-Sent Events
+ * text/event-stream framing, heartbeats and close detection for res.sse()
+ */
+
+import { EventEmitter } from 'node:events';
+
+// Comment sent to keep proxies from timing out an idle stream
+const DEFAULT_HEARTBEAT = 15000;
+
+/**
+ * Drop line breaks from single-line fields (event, id)
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]/g, '');
+}
+
+/**
+ * Frame one event: { event, data, id, retry }
+ * Objects in data are sent as JSON; multi-line data becomes several data: lines
+ */
+export function formatEvent({ event, data, id, retry } = {}) {
+  let frame = '';
+
+  if (event !== undefined) {
+    frame += `event: ${singleLine(event)}\n`;
+  }
+  if (id !== undefined) {
+    frame += `id: ${singleLine(id)}\n`;
+  }
+  if (retry !== undefined) {
+    frame += `retry: ${Math.max(0, Math.floor(retry))}\n`;
+  }
+  if (data !== undefined) {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    for (const line of text.split(/\r\n|\r|\n/)) {
+      frame += `data: ${line}\n`;
+    }
+  }
+
+  return `${frame}\n`;
+}
+
+/**
+ * Frame a comment - ignored by EventSource, used for heartbeats
+ */
+export function formatComment(text = '') {
+  return text
+    .split(/\r\n|\r|\n/)
+    .map((line) => (line ? `: ${line}\n` : ':\n'))
+    .join('') + '\n';
+}
+
+/**
+ * Event-stream writer over a response
+ *
+ * Options:
+ *   heartbeat - ms between keep-alive comments, 0 to disable (default 15000)
+ *   retry - reconnection delay in ms sent to the client up front
+ *
+ * Emits 'close' once, when the client goes away, the response is ended or
+ * close() is called
+ */
+export class EventStream extends EventEmitter {
+  constructor(res, options = {}) {
+    super();
+    this.res = res;
+    this.closed = false;
+    // Last event the client saw before reconnecting, or null
+    this.lastEventId = res.req ? res.req.lastEventId ?? null : null;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      // Stop NGINX from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.removeHeader('Content-Length');
+    // A compressor would hold events back
+    res.compression = false;
+
+    res._watchClose();
+    res.once('close', () => this.close());
+    // res.end() from the handler: stop the heartbeat before it writes again
+    res.once('finish', () => this.close());
+
+    if (options.retry !== undefined) {
+      res.write(formatEvent({ retry: options.retry }));
+    }
+    res.flush();
+
+    const heartbeat = options.heartbeat ?? DEFAULT_HEARTBEAT;
+    this._timer = heartbeat > 0 ? setInterval(() => this.comment(), heartbeat) : null;
+  }
+
+  /**
+   * Send an event - a message object or just the data
+   * Returns false when the stream is closed or the client can't keep up
+   */
+  send(message) {
+    if (this.closed || !this.res.writable) {
+      return false;
+    }
+
+    const event = message !== null && typeof message === 'object' &&
+      ['event', 'data', 'id', 'retry'].some((key) => key in message)
+      ? message
+      : { data: message };
+
+    const ok = this.res.write(formatEvent(event));
+    this.res.flush();
+    return ok;
+  }
+
+  /**
+   * Send a comment line
+   */
+  comment(text = '') {
+    if (this.closed || !this.res.writable) {
+      return false;
+    }
+
+    const ok = this.res.write(formatComment(text));
+    this.res.flush();
+    return ok;
+  }
+
+  /**
+   * End the stream and the response
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    if (this._timer) {
+      clearInterval(this._timer);
+    }
+    this.res.end();
+    this.emit('close');
+  }
+}
+
+export default {
+  formatEvent,
+  formatComment,
+  EventStream,
+};
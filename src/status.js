@@ -0,0 +1,121 @@
+/**
+ * HTTP Status Codes
+ * The IANA status code registry (RFC 9110 names) and status validation
+ */
+
+/**
+ * Reason phrases by status code
+ */
+export const STATUS_MESSAGES = {
+  100: 'Continue',
+  101: 'Switching Protocols',
+  102: 'Processing',
+  103: 'Early Hints',
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  203: 'Non-Authoritative Information',
+  204: 'No Content',
+  205: 'Reset Content',
+  206: 'Partial Content',
+  207: 'Multi-Status',
+  208: 'Already Reported',
+  226: 'IM Used',
+  300: 'Multiple Choices',
+  301: 'Moved Permanently',
+  302: 'Found',
+  303: 'See Other',
+  304: 'Not Modified',
+  305: 'Use Proxy',
+  307: 'Temporary Redirect',
+  308: 'Permanent Redirect',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  402: 'Payment Required',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Content Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  418: 'I\'m a Teapot',
+  421: 'Misdirected Request',
+  422: 'Unprocessable Content',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+  505: 'HTTP Version Not Supported',
+  506: 'Variant Also Negotiates',
+  507: 'Insufficient Storage',
+  508: 'Loop Detected',
+  510: 'Not Extended',
+  511: 'Network Authentication Required',
+};
+
+// Fallbacks for unregistered codes, by first digit
+const CLASS_MESSAGES = {
+  1: 'Informational',
+  2: 'Success',
+  3: 'Redirection',
+  4: 'Client Error',
+  5: 'Server Error',
+};
+
+/**
+ * Throw unless code is a valid HTTP status (an integer from 100 to 599)
+ */
+export function validateStatus(code) {
+  if (!Number.isInteger(code)) {
+    throw new TypeError(`Invalid status code: ${code}`);
+  }
+  if (code < 100 || code > 599) {
+    throw new RangeError(`Invalid status code: ${code} (must be 100-599)`);
+  }
+  return code;
+}
+
+/**
+ * Throw unless a reason phrase can go on a status line
+ * (tabs, spaces and visible characters only - no line breaks)
+ */
+export function validateReason(message) {
+  const text = String(message);
+  if ([...text].some((char) => (char < ' ' && char !== '\t') || char === '\x7f')) {
+    throw new TypeError('Invalid reason phrase: control characters are not allowed');
+  }
+  return text;
+}
+
+/**
+ * Reason phrase for a status code
+ * Unregistered codes fall back to the name of their class
+ */
+export function statusMessage(code) {
+  return STATUS_MESSAGES[code] || CLASS_MESSAGES[Math.floor(code / 100)] || 'Unknown';
+}
+
+export default {
+  STATUS_MESSAGES,
+  validateStatus,
+  validateReason,
+  statusMessage,
+};
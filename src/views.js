@@ -0,0 +1,375 @@
+/**
+ * Views
+ * Template lookup, layouts and compiled-template caching for res.render(),
+ * with a small built-in engine and adapters for third-party ones
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+/**
+ * Escape text for HTML content and quoted attributes
+ */
+export function escapeHtml(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// {{{ raw }}} or {{ tag }}
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const BLOCKS = new Set(['if', 'unless', 'each']);
+
+/**
+ * Parse a template into a tree of text, value, block and partial nodes
+ *
+ * Syntax:
+ *   {{ name.path }} - escaped value     {{{ name }}} - raw value
+ *   {{#if x}} {{else}} {{/if}}          {{#unless x}} {{/unless}}
+ *   {{#each list}} {{this}} {{@index}} {{else}} empty {{/each}}
+ *   {{> partial}} - another view        {{! comment }}
+ */
+function parseTemplate(source, filename) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let last = 0;
+  let match;
+
+  const fail = (message, index) => {
+    const line = source.slice(0, index).split('\n').length;
+    throw new SyntaxError(`${message} in ${filename}:${line}`);
+  };
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > last) {
+      current.push({ type: 'text', text: source.slice(last, match.index) });
+    }
+    last = TAG.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.push({ type: 'value', path: match[1], escape: false });
+      continue;
+    }
+
+    const tag = match[2];
+    const sigil = tag[0];
+    const rest = tag.slice(1).trim();
+
+    if (sigil === '!') {
+      continue;
+    }
+
+    if (sigil === '>') {
+      current.push({ type: 'partial', name: rest });
+      continue;
+    }
+
+    if (sigil === '#') {
+      const [kind, path] = rest.split(/\s+/, 2);
+      if (!BLOCKS.has(kind) || !path) {
+        fail(`Unknown block {{#${rest}}}`, match.index);
+      }
+      const block = { type: kind, path, children: [], inverse: [] };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+      continue;
+    }
+
+    if (sigil === '/') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.type !== rest) {
+        fail(`Unexpected {{/${rest}}}`, match.index);
+      }
+      stack.pop();
+      // Back to whichever branch of the enclosing block we were in
+      const parent = stack[stack.length - 1];
+      current = parent.elseSeen ? parent.inverse : parent.children;
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.elseSeen) {
+        fail('Unexpected {{else}}', match.index);
+      }
+      block.elseSeen = true;
+      current = block.inverse;
+      continue;
+    }
+
+    current.push({ type: 'value', path: tag, escape: true });
+  }
+
+  if (stack.length > 1) {
+    fail(`Unclosed {{#${stack[stack.length - 1].type}}}`, source.length);
+  }
+  if (last < source.length) {
+    current.push({ type: 'text', text: source.slice(last) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Look a path up through the scope stack, innermost first
+ * Only own properties and getters of non-plain objects are visible
+ */
+function lookup(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+
+  if (path.startsWith('@')) {
+    return scope.data[path.slice(1)];
+  }
+
+  const keys = path.split('.');
+  let value;
+
+  if (keys[0] === 'this') {
+    value = scope.value;
+    keys.shift();
+  } else {
+    const key = keys.shift();
+    const found = scopes.findLast((candidate) => hasKey(candidate.value, key));
+    value = found ? found.value[key] : undefined;
+  }
+
+  for (const key of keys) {
+    value = hasKey(value, key) ? value[key] : undefined;
+  }
+
+  return typeof value === 'function' ? value() : value;
+}
+
+function hasKey(object, key) {
+  return object !== null && typeof object === 'object' &&
+    (Object.hasOwn(object, key) || (key in object && !(key in Object.prototype)));
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes; partials are loaded through context.partial(name)
+ */
+async function renderNodes(nodes, scopes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+    case 'text':
+      output += node.text;
+      break;
+
+    case 'value': {
+      const value = lookup(node.path, scopes);
+      output += node.escape ? escapeHtml(value) : value ?? '';
+      break;
+    }
+
+    case 'if':
+    case 'unless': {
+      const test = truthy(lookup(node.path, scopes)) === (node.type === 'if');
+      output += await renderNodes(test ? node.children : node.inverse, scopes, context);
+      break;
+    }
+
+    case 'each': {
+      const list = lookup(node.path, scopes);
+      const entries = Array.isArray(list)
+        ? list.map((item, index) => [index, item])
+        : list && typeof list === 'object' ? Object.entries(list) : [];
+
+      if (entries.length === 0) {
+        output += await renderNodes(node.inverse, scopes, context);
+        break;
+      }
+
+      for (const [index, [key, item]] of entries.entries()) {
+        const data = { index, key, first: index === 0, last: index === entries.length - 1 };
+        output += await renderNodes(node.children, [...scopes, { value: item, data }], context);
+      }
+      break;
+    }
+
+    case 'partial': {
+      const template = await context.partial(node.name);
+      // Built-in partials see the whole scope; other engines get the current values
+      output += template.nodes
+        ? await renderNodes(template.nodes, scopes, context)
+        : await template(Object.assign({}, ...scopes.map((scope) => scope.value)));
+      break;
+    }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * The built-in engine, registered for .html views
+ */
+export const builtinEngine = {
+  compile(source, options = {}) {
+    const nodes = parseTemplate(source, options.filename || 'template');
+    const context = {
+      partial: options.partial || ((name) => Promise.reject(new Error(`Partial "${name}" not available`))),
+    };
+    const render = (locals = {}) => renderNodes(nodes, [{ value: locals, data: {} }], context);
+    render.nodes = nodes;
+    return render;
+  },
+};
+
+/**
+ * Lowercase extension with a leading dot
+ */
+function normalizeExt(ext) {
+  const lower = String(ext).toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+/**
+ * A views directory with its engines and compiled-template cache
+ *
+ * Options:
+ *   dir - views directory, a path or file: URL (default ./views)
+ *   ext - extension for view names given without one (default .html)
+ *   layout - view that wraps every page as {{{ body }}}, or false (default false)
+ *   engines - { ext: engine } adapters, see engine()
+ *   cache - keep compiled templates (default true, false when NODE_ENV=development)
+ */
+export class Views {
+  constructor(options = {}) {
+    if (typeof options === 'string' || options instanceof URL) {
+      options = { dir: options };
+    }
+
+    const dir = options.dir instanceof URL ? fileURLToPath(options.dir) : options.dir || 'views';
+    this.dir = resolve(dir);
+    this.ext = normalizeExt(options.ext || '.html');
+    this.layout = options.layout || false;
+    this.cache = options.cache ?? process.env.NODE_ENV !== 'development';
+    this.engines = new Map([['.html', builtinEngine]]);
+    // path -> promise of a render function
+    this._templates = new Map();
+
+    for (const [ext, engine] of Object.entries(options.engines || {})) {
+      this.engine(ext, engine);
+    }
+  }
+
+  /**
+   * Register an engine for an extension
+   *
+   * An engine is { compile(source, { filename, partial }) } returning
+   * render(locals), which returns HTML or a promise of it. partial(name)
+   * resolves to the render function of another view.
+   */
+  engine(ext, engine) {
+    if (!engine || typeof engine.compile !== 'function') {
+      throw new TypeError('View engine must have a compile(source, options) function');
+    }
+    this.engines.set(normalizeExt(ext), engine);
+    this._templates.clear();
+    return this;
+  }
+
+  /**
+   * Absolute path of a view, which must stay inside the views directory
+   */
+  resolve(name) {
+    const file = extname(name) ? name : `${name}${this.ext}`;
+    const path = resolve(this.dir, file);
+
+    if (!path.startsWith(this.dir + sep)) {
+      throw new Error(`View "${name}" is outside the views directory`);
+    }
+    return path;
+  }
+
+  /**
+   * Compiled render function for a view
+   */
+  template(name) {
+    const path = this.resolve(name);
+    const cached = this._templates.get(path);
+    if (cached) {
+      return cached;
+    }
+
+    const compiled = this._compile(name, path);
+    if (this.cache) {
+      this._templates.set(path, compiled);
+      // Don't keep failures - the file may be fixed or created later
+      compiled.catch(() => this._templates.delete(path));
+    }
+    return compiled;
+  }
+
+  async _compile(name, path) {
+    const engine = this.engines.get(extname(path).toLowerCase());
+    if (!engine) {
+      throw new Error(`No view engine for "${extname(path)}" files`);
+    }
+
+    let source;
+    try {
+      source = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`View "${name}" not found in ${this.dir}`);
+      }
+      throw error;
+    }
+
+    return engine.compile(source, {
+      filename: path,
+      partial: (partialName) => this.template(partialName),
+    });
+  }
+
+  /**
+   * Render a view, wrapped in the layout unless locals.layout says otherwise
+   */
+  async render(name, locals = {}) {
+    const render = await this.template(name);
+    const body = await render(locals);
+    const layout = locals.layout !== undefined ? locals.layout : this.layout;
+
+    if (!layout) {
+      return body;
+    }
+
+    const renderLayout = await this.template(layout);
+    return renderLayout({ ...locals, body });
+  }
+}
+
+/**
+ * Views from a directory, an options object or an existing Views
+ */
+export function createViews(options) {
+  return options instanceof Views ? options : new Views(options);
+}
+
+export default {
+  escapeHtml,
+  builtinEngine,
+  Views,
+  createViews,
+};
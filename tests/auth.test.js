@@ -0,0 +1,251 @@
+/**
+ * Auth Module Tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseAuthorization, basicAuth, digestAuth } from '../src/auth.js';
+import { parseCGIEnv } from '../src/cgi.js';
+import { FCGIResponse } from '../src/fastcgi.js';
+
+const md5 = (value) => createHash('md5').update(value).digest('hex');
+
+/**
+ * Request with an Authorization header, as parseCGIEnv builds it
+ */
+function createRequest(authorization, env = {}) {
+  return parseCGIEnv({
+    REQUEST_METHOD: 'GET',
+    REQUEST_URI: '/admin?tab=users',
+    ...(authorization ? { HTTP_AUTHORIZATION: authorization } : {}),
+    ...env,
+  });
+}
+
+function createResponse() {
+  return new FCGIResponse({ write() {} }, 1);
+}
+
+function basic(user, password) {
+  return `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Run a middleware, reporting whether it called next()
+ */
+async function run(middleware, req) {
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, async () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+describe('parseAuthorization()', () => {
+  it('should decode Basic credentials', () => {
+    assert.deepStrictEqual(parseAuthorization(basic('alice', 'pa:ss wörd')), {
+      scheme: 'basic', user: 'alice', password: 'pa:ss wörd',
+    });
+  });
+
+  it('should reject Basic credentials without a colon', () => {
+    assert.strictEqual(parseAuthorization(`Basic ${Buffer.from('alice').toString('base64')}`), null);
+  });
+
+  it('should extract Bearer tokens', () => {
+    assert.deepStrictEqual(parseAuthorization('Bearer abc.def.ghi'), { scheme: 'bearer', token: 'abc.def.ghi' });
+    assert.strictEqual(parseAuthorization('Bearer'), null);
+  });
+
+  it('should parse Digest parameters', () => {
+    const auth = parseAuthorization('Digest username="alice", realm="Admin \\"zone\\"", nc=00000001, qop=auth');
+
+    assert.strictEqual(auth.scheme, 'digest');
+    assert.strictEqual(auth.user, 'alice');
+    assert.deepStrictEqual(auth.params, { username: 'alice', realm: 'Admin "zone"', nc: '00000001', qop: 'auth' });
+  });
+
+  it('should keep other schemes raw', () => {
+    assert.deepStrictEqual(parseAuthorization('Negotiate YII='), { scheme: 'negotiate', credentials: 'YII=' });
+  });
+
+  it('should return null without a header', () => {
+    assert.strictEqual(parseAuthorization(undefined), null);
+  });
+});
+
+describe('req.auth', () => {
+  it('should be set by parseCGIEnv', () => {
+    assert.strictEqual(createRequest('Bearer t0k3n').auth.token, 't0k3n');
+    assert.strictEqual(createRequest().auth, null);
+  });
+
+  it('should fall back to REDIRECT_HTTP_AUTHORIZATION', () => {
+    const req = createRequest(undefined, { REDIRECT_HTTP_AUTHORIZATION: basic('bob', 'pw') });
+
+    assert.strictEqual(req.auth.user, 'bob');
+  });
+});
+
+describe('basicAuth()', () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+    file = join(dir, '.htpasswd');
+    writeFileSync(file, [
+      'alice:$apr1$abcdefgh$h9FWgUz3n9YxylKLlR5SQ/',
+      'bob:{SHA}5en6G6MezRroT3XKqkdPOmY/BfQ=',
+      'carol:$2y$04$abcdefghijklmnopqrstuuPp7HPfoAs8I2dCQCQ/fW7zEJv8I8C8e',
+    ].join('\n'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should accept users from an htpasswd file', async () => {
+    const middleware = basicAuth({ file });
+
+    for (const [user, password] of [['alice', 'secret'], ['bob', 'secret'], ['carol', 'x']]) {
+      const req = createRequest(basic(user, password));
+      const { passed } = await run(middleware, req);
+      assert.strictEqual(passed, true, user);
+      assert.strictEqual(req.user, user);
+    }
+  });
+
+  it('should challenge wrong or missing credentials', async () => {
+    const middleware = basicAuth({ file, realm: 'Admin' });
+
+    for (const req of [createRequest(basic('alice', 'wrong')), createRequest(basic('eve', 'x')), createRequest()]) {
+      const { res, passed } = await run(middleware, req);
+      assert.strictEqual(passed, false);
+      assert.strictEqual(res.statusCode, 401);
+      assert.strictEqual(res.get('WWW-Authenticate'), 'Basic realm="Admin", charset="UTF-8"');
+    }
+  });
+
+  it('should accept an inline users map', async () => {
+    const middleware = basicAuth({ users: { bob: '{SHA}5en6G6MezRroT3XKqkdPOmY/BfQ=' } });
+
+    assert.strictEqual((await run(middleware, createRequest(basic('bob', 'secret')))).passed, true);
+  });
+
+  it('should only reuse a remembered success for the same password and hash', async () => {
+    const users = { carol: '$2y$04$abcdefghijklmnopqrstuuPp7HPfoAs8I2dCQCQ/fW7zEJv8I8C8e' };
+    const middleware = basicAuth({ users });
+
+    assert.strictEqual((await run(middleware, createRequest(basic('carol', 'x')))).passed, true);
+    assert.strictEqual((await run(middleware, createRequest(basic('carol', 'x')))).passed, true);
+    assert.strictEqual((await run(middleware, createRequest(basic('carol', 'y')))).passed, false);
+
+    // Password changed in the users map
+    users.carol = '{SHA}5en6G6MezRroT3XKqkdPOmY/BfQ=';
+    assert.strictEqual((await run(middleware, createRequest(basic('carol', 'x')))).passed, false);
+    assert.strictEqual((await run(middleware, createRequest(basic('carol', 'secret')))).passed, true);
+  });
+});
+
+describe('digestAuth()', () => {
+  const realm = 'Admin';
+
+  /**
+   * Parse the challenge parameters from a 401 response
+   */
+  function challengeParams(res) {
+    return parseAuthorization(res.get('WWW-Authenticate')).params;
+  }
+
+  /**
+   * Build the Authorization header a browser would send
+   */
+  function digest({ user = 'alice', password = 'secret', nonce, opaque, nc = '00000001', uri = '/admin?tab=users' }) {
+    const cnonce = 'abcdef';
+    const ha1 = md5(`${user}:${realm}:${password}`);
+    const ha2 = md5(`GET:${uri}`);
+    const response = md5(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`);
+    return `Digest username="${user}", realm="${realm}", nonce="${nonce}", uri="${uri}", ` +
+      `qop=auth, nc=${nc}, cnonce="${cnonce}", response="${response}", opaque="${opaque}", algorithm=MD5`;
+  }
+
+  it('should challenge requests without credentials', async () => {
+    const { res, passed } = await run(digestAuth({ realm, users: { alice: 'secret' } }), createRequest());
+    const params = challengeParams(res);
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(params.realm, realm);
+    assert.strictEqual(params.qop, 'auth');
+    assert.ok(params.nonce);
+    assert.ok(params.opaque);
+  });
+
+  it('should accept a valid response and reject replays', async () => {
+    const middleware = digestAuth({ realm, users: { alice: 'secret' } });
+    const { res } = await run(middleware, createRequest());
+    const { nonce, opaque } = challengeParams(res);
+
+    const req = createRequest(digest({ nonce, opaque }));
+    assert.strictEqual((await run(middleware, req)).passed, true);
+    assert.strictEqual(req.user, 'alice');
+
+    // Same nonce count again is a replay
+    assert.strictEqual((await run(middleware, createRequest(digest({ nonce, opaque })))).passed, false);
+
+    // A higher count is the browser reusing the nonce
+    assert.strictEqual((await run(middleware, createRequest(digest({ nonce, opaque, nc: '00000002' })))).passed, true);
+  });
+
+  it('should reject wrong passwords, forged nonces and other URIs', async () => {
+    const middleware = digestAuth({ realm, users: { alice: 'secret' } });
+    const { res } = await run(middleware, createRequest());
+    const { nonce, opaque } = challengeParams(res);
+
+    for (const header of [
+      digest({ nonce, opaque, password: 'wrong' }),
+      digest({ nonce: `${nonce.slice(0, -2)}xx`, opaque }),
+      digest({ nonce, opaque, uri: '/other' }),
+    ]) {
+      assert.strictEqual((await run(middleware, createRequest(header))).passed, false);
+    }
+  });
+
+  it('should accept nonces from another process sharing the secret', async () => {
+    const { res } = await run(digestAuth({ realm, users: { alice: 'secret' }, secret: 's3cret' }), createRequest());
+    const { nonce, opaque } = challengeParams(res);
+
+    const other = digestAuth({ realm, users: { alice: 'secret' }, secret: 's3cret' });
+    assert.strictEqual((await run(other, createRequest(digest({ nonce, opaque })))).passed, true);
+  });
+
+  it('should mark expired nonces as stale', async () => {
+    const middleware = digestAuth({ realm, users: { alice: 'secret' }, nonceTtl: -1 });
+    const { res } = await run(middleware, createRequest());
+    const { nonce, opaque } = challengeParams(res);
+
+    const retry = await run(middleware, createRequest(digest({ nonce, opaque })));
+
+    assert.strictEqual(retry.passed, false);
+    assert.strictEqual(challengeParams(retry.res).stale, 'true');
+  });
+
+  it('should read HA1 values from an htdigest file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+    const file = join(dir, '.htdigest');
+    writeFileSync(file, `alice:${realm}:${md5(`alice:${realm}:secret`)}\n`);
+
+    const middleware = digestAuth({ realm, file });
+    const { res } = await run(middleware, createRequest());
+    const { nonce, opaque } = challengeParams(res);
+
+    assert.strictEqual((await run(middleware, createRequest(digest({ nonce, opaque })))).passed, true);
+    rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,770 @@
+/**
+ * Response Conformance Tests
+ * The same suite runs against every transport built on BaseResponse
+ */
+
+import { describe, it, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert';
+import { Readable, Writable } from 'node:stream';
+import { chmodSync, existsSync, mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { once } from 'node:events';
+import { constants, gunzipSync, brotliDecompressSync } from 'node:zlib';
+import { BaseResponse, STATUS_MESSAGES } from '../src/base-response.js';
+import { Response } from '../src/response.js';
+import { FCGIResponse } from '../src/fastcgi.js';
+import { Views } from '../src/views.js';
+
+/**
+ * Writable that collects everything written to it
+ */
+function createSink() {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  sink.getWritten = () => Buffer.concat(chunks);
+  return sink;
+}
+
+/**
+ * Concatenate the content of the FCGI_STDOUT records in a FastCGI stream
+ */
+function decodeStdout(buffer) {
+  const content = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt8(offset + 1);
+    const contentLength = buffer.readUInt16BE(offset + 4);
+    const paddingLength = buffer.readUInt8(offset + 6);
+    if (type === 6) {
+      content.push(buffer.subarray(offset + 8, offset + 8 + contentLength));
+    }
+    offset += 8 + contentLength + paddingLength;
+  }
+
+  return Buffer.concat(content);
+}
+
+/**
+ * Split CGI output into status, header lines and body
+ */
+function parseOutput(buffer) {
+  const split = buffer.indexOf('\r\n\r\n');
+  const lines = buffer.subarray(0, split).toString().split('\r\n');
+  const status = Number(/^Status: (\d+)/.exec(lines[0])[1]);
+  const headers = lines.slice(1).map((line) => {
+    const colon = line.indexOf(': ');
+    return [line.slice(0, colon), line.slice(colon + 2)];
+  });
+
+  return {
+    statusLine: lines[0],
+    status,
+    headers,
+    header: (name) => {
+      const found = headers.find(([key]) => key === name);
+      return found ? found[1] : undefined;
+    },
+    body: buffer.subarray(split + 4),
+  };
+}
+
+// Each transport creates a response and reads back what it sent
+const transports = {
+  'Response (CGI)': () => {
+    const stdout = createSink();
+    return { res: new Response(stdout), output: () => parseOutput(stdout.getWritten()) };
+  },
+  'FCGIResponse (FastCGI)': () => {
+    const socket = createSink();
+    return { res: new FCGIResponse(socket, 1), output: () => parseOutput(decodeStdout(socket.getWritten())) };
+  },
+};
+
+let tmpDir;
+let file;
+
+before(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'conformance-'));
+  file = join(tmpDir, 'hello.txt');
+  writeFileSync(file, '0123456789');
+  writeFileSync(join(tmpDir, 'large.bin'), Buffer.alloc(1024 * 1024));
+  mkdirSync(join(tmpDir, '.apps', 'site', 'public'), { recursive: true });
+  writeFileSync(join(tmpDir, '.apps', 'site', 'public', 'a.txt'), 'a');
+  writeFileSync(join(tmpDir, 'greeting.html'), '<p>{{ greeting }}, {{ name }}</p>');
+
+  // A public/ root for sendFile() with files around and inside it
+  const root = join(tmpDir, 'public');
+  mkdirSync(join(root, 'docs'), { recursive: true });
+  mkdirSync(join(root, 'empty'));
+  mkdirSync(join(root, '.git'));
+  writeFileSync(join(root, 'index.html'), '<h1>Home</h1>');
+  writeFileSync(join(root, 'docs', 'guide.md'), '# Guide');
+  writeFileSync(join(root, '.env'), 'SECRET=1');
+  writeFileSync(join(root, '.git', 'config'), '[core]');
+  writeFileSync(join(root, 'locked.txt'), 'locked');
+  chmodSync(join(root, 'locked.txt'), 0o000);
+  writeFileSync(join(tmpDir, 'outside.txt'), 'outside');
+  symlinkSync(join(tmpDir, 'outside.txt'), join(root, 'escape.txt'));
+  symlinkSync(join(root, 'docs', 'guide.md'), join(root, 'guide-link.md'));
+  symlinkSync(join(root, 'loop-a'), join(root, 'loop-b'));
+  symlinkSync(join(root, 'loop-b'), join(root, 'loop-a'));
+});
+
+after(() => {
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+for (const [name, create] of Object.entries(transports)) {
+  describe(name, () => {
+    let res;
+    let output;
+
+    beforeEach(() => {
+      ({ res, output } = create());
+    });
+
+    it('should extend BaseResponse', () => {
+      assert.ok(res instanceof BaseResponse);
+    });
+
+    describe('status', () => {
+      it('should default to 200 with an HTML content type', () => {
+        res.end();
+        assert.strictEqual(output().status, 200);
+        assert.strictEqual(output().header('Content-Type'), 'text/html; charset=utf-8');
+      });
+
+      it('should set the status with status() and statusCode', () => {
+        res.status(201);
+        assert.strictEqual(res.statusCode, 201);
+        res.statusCode = 404;
+        res.end();
+        assert.strictEqual(output().status, 404);
+      });
+
+      it('should include the reason phrase', () => {
+        res.status(416).end();
+        assert.strictEqual(output().statusLine, `Status: 416 ${STATUS_MESSAGES[416]}`);
+      });
+
+      it('should know every registered status', () => {
+        for (const [code, phrase] of [[409, 'Conflict'], [422, 'Unprocessable Content'], [429, 'Too Many Requests'], [307, 'Temporary Redirect']]) {
+          ({ res, output } = create());
+          res.status(code).end();
+          assert.strictEqual(output().statusLine, `Status: ${code} ${phrase}`);
+        }
+      });
+
+      it('should reject invalid status codes', () => {
+        assert.throws(() => res.status(99), RangeError);
+        assert.throws(() => res.status(600), RangeError);
+        assert.throws(() => res.status('404'), TypeError);
+        assert.throws(() => {
+          res.statusCode = 200.5;
+        }, TypeError);
+        assert.strictEqual(res.statusCode, 200);
+      });
+
+      it('should send a custom reason phrase', () => {
+        res.status(422, 'Validation Failed').end();
+        assert.strictEqual(output().statusLine, 'Status: 422 Validation Failed');
+      });
+
+      it('should reset the custom phrase when the status changes', () => {
+        res.statusMessage = 'Almost Done';
+        assert.strictEqual(res.statusMessage, 'Almost Done');
+        res.status(503).end();
+        assert.strictEqual(output().statusLine, 'Status: 503 Service Unavailable');
+      });
+
+      it('should reject reason phrases with line breaks', () => {
+        assert.throws(() => res.status(200, 'OK\r\nX-Injected: 1'), TypeError);
+        assert.throws(() => {
+          res.statusMessage = 'a\nb';
+        }, TypeError);
+      });
+
+      it('should send the reason phrase with sendStatus()', () => {
+        res.sendStatus(429);
+        assert.strictEqual(output().status, 429);
+        assert.strictEqual(output().header('Content-Type'), 'text/plain; charset=utf-8');
+        assert.strictEqual(output().body.toString(), 'Too Many Requests');
+      });
+
+      it('should send no body with sendStatus(204)', () => {
+        res.sendStatus(204);
+        assert.strictEqual(output().statusLine, 'Status: 204 No Content');
+        assert.strictEqual(output().body.length, 0);
+      });
+    });
+
+    describe('headers', () => {
+      it('should set and read headers through every alias', () => {
+        res.set('X-One', '1');
+        res.header('X-Two', '2');
+        res.setHeader('X-Three', '3');
+        res.set({ 'X-Four': '4' });
+
+        assert.strictEqual(res.get('X-One'), '1');
+        assert.strictEqual(res.getHeader('X-Two'), '2');
+        res.end();
+        assert.strictEqual(output().header('X-Three'), '3');
+        assert.strictEqual(output().header('X-Four'), '4');
+      });
+
+      it('should remove headers', () => {
+        res.set('X-Gone', 'yes');
+        res.removeHeader('X-Gone');
+        res.end();
+        assert.strictEqual(output().header('X-Gone'), undefined);
+      });
+
+      it('should send array values as separate lines', () => {
+        res.set('X-Trace', ['a', 'b']);
+        res.end();
+        const traces = output().headers.filter(([key]) => key === 'X-Trace');
+        assert.deepStrictEqual(traces, [['X-Trace', 'a'], ['X-Trace', 'b']]);
+      });
+
+      it('should join list fields on one line', () => {
+        res.set('Link', ['</a>; rel=preload', '</b>; rel=preload']);
+        res.append('Vary', 'Accept').append('vary', 'Origin');
+        res.end();
+        assert.strictEqual(output().header('Link'), '</a>; rel=preload, </b>; rel=preload');
+        assert.strictEqual(output().header('Vary'), 'Accept, Origin');
+      });
+
+      it('should treat header names case-insensitively', () => {
+        res.set('content-type', 'text/plain');
+        assert.strictEqual(res.get('CONTENT-TYPE'), 'text/plain');
+        assert.strictEqual(res.has('Content-Type'), true);
+        res.end();
+        assert.deepStrictEqual(output().headers.filter(([key]) => key.toLowerCase() === 'content-type'),
+          [['content-type', 'text/plain']]);
+      });
+
+      it('should keep a JSON type set in lowercase', () => {
+        res.set('content-type', 'application/vnd.api+json');
+        res.send(Buffer.from('{}'));
+        assert.strictEqual(output().header('content-type'), 'application/vnd.api+json');
+      });
+
+      it('should append values', () => {
+        res.append('Warning', '199 - "one"');
+        res.append('warning', ['199 - "two"', '199 - "three"']);
+        assert.deepStrictEqual(res.get('Warning'), ['199 - "one"', '199 - "two"', '199 - "three"']);
+      });
+
+      it('should list header names and values', () => {
+        res.set('X-Request-Id', 'abc').cookie('a', '1');
+        assert.deepStrictEqual(res.getHeaderNames(), ['content-type', 'x-request-id', 'set-cookie']);
+        const headers = res.getHeaders();
+        assert.strictEqual(headers['x-request-id'], 'abc');
+        assert.strictEqual(headers['set-cookie'], 'a=1');
+      });
+
+      it('should expose the raw header lines', () => {
+        res.set('Vary', ['Accept', 'Origin']).cookie('a', '1').cookie('b', '2');
+        assert.deepStrictEqual(res.getRawHeaders(), [
+          ['Content-Type', 'text/html; charset=utf-8'],
+          ['Vary', 'Accept, Origin'],
+          ['Set-Cookie', 'a=1'],
+          ['Set-Cookie', 'b=2'],
+        ]);
+      });
+
+      it('should reject header injection', () => {
+        assert.throws(() => res.set('X-Bad', 'a\r\nSet-Cookie: x=1'), TypeError);
+        assert.throws(() => res.set('Bad Name', 'a'), TypeError);
+        assert.throws(() => res.append('X-Bad', ['ok', 'no\n']), TypeError);
+        assert.strictEqual(res.has('X-Bad'), false);
+      });
+
+      it('should expand type shorthands', () => {
+        const expected = {
+          html: 'text/html; charset=utf-8',
+          text: 'text/plain; charset=utf-8',
+          json: 'application/json; charset=utf-8',
+          xml: 'application/xml; charset=utf-8',
+          css: 'text/css; charset=utf-8',
+          js: 'application/javascript; charset=utf-8',
+        };
+        for (const [shorthand, type] of Object.entries(expected)) {
+          res.type(shorthand);
+          assert.strictEqual(res.get('Content-Type'), type);
+        }
+      });
+
+      it('should report headersSent', () => {
+        assert.strictEqual(res.headersSent, false);
+        res.write('x');
+        assert.strictEqual(res.headersSent, true);
+      });
+
+      it('should refuse header changes once headers are sent', () => {
+        res.write('x');
+        assert.throws(() => res.status(500), /headers sent/);
+        assert.throws(() => res.set('X-Late', '1'), /headers/);
+        assert.throws(() => res.removeHeader('Content-Type'), /headers/);
+        assert.throws(() => res.cookie('late', '1'), /headers sent/);
+      });
+    });
+
+    describe('cookies', () => {
+      it('should serialize cookie options', () => {
+        const expires = new Date('2030-01-01T00:00:00Z');
+        res.cookie('session', 'a b', {
+          maxAge: 60,
+          expires,
+          path: '/',
+          domain: 'example.com',
+          secure: true,
+          httpOnly: true,
+          sameSite: 'Lax',
+        });
+        res.end();
+
+        assert.strictEqual(
+          output().header('Set-Cookie'),
+          `session=a%20b; Max-Age=60; Expires=${expires.toUTCString()}; Path=/; Domain=example.com; Secure; HttpOnly; SameSite=Lax`,
+        );
+      });
+
+      it('should clear cookies', () => {
+        res.clearCookie('session', { path: '/' });
+        res.end();
+        assert.strictEqual(output().header('Set-Cookie'), 'session=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/');
+      });
+
+      it('should sign cookies with the cookie secret', () => {
+        res.cookieSecret = 'secret';
+        res.cookie('user', 'alice', { signed: true });
+        res.end();
+        assert.match(output().header('Set-Cookie'), /^user=s%3Aalice\./);
+      });
+    });
+
+    describe('body', () => {
+      it('should write chunks and end', () => {
+        res.write('Hello, ');
+        res.write(Buffer.from('World'));
+        res.end('!');
+        assert.strictEqual(output().body.toString(), 'Hello, World!');
+      });
+
+      it('should accept piped streams', async () => {
+        const finished = once(res, 'finish');
+        Readable.from(['one ', Buffer.from('two '), 'three']).pipe(res);
+        await finished;
+        assert.strictEqual(output().body.toString(), 'one two three');
+      });
+
+      it('should send the headers on flush()', () => {
+        res.status(202).flush();
+        assert.strictEqual(res.headersSent, true);
+        assert.strictEqual(output().status, 202);
+      });
+
+      it('should refuse writes after end', () => {
+        res.end();
+        assert.throws(() => res.write('late'), /finished/);
+      });
+
+      it('should emit finish once', () => {
+        let count = 0;
+        res.on('finish', () => count++);
+        res.end();
+        res.end();
+        assert.strictEqual(count, 1);
+      });
+
+      it('should send objects as JSON', () => {
+        res.send({ ok: true });
+        assert.strictEqual(output().body.toString(), '{"ok":true}');
+        assert.strictEqual(output().header('Content-Type'), 'application/json; charset=utf-8');
+      });
+
+      it('should send buffers as octet-stream without a content type', () => {
+        res.removeHeader('Content-Type');
+        res.send(Buffer.from([1, 2, 3]));
+        assert.strictEqual(output().header('Content-Type'), 'application/octet-stream');
+        assert.deepStrictEqual([...output().body], [1, 2, 3]);
+      });
+
+      it('should send an empty body for null', () => {
+        res.send(null);
+        assert.strictEqual(output().body.length, 0);
+      });
+
+      it('should set Content-Length for JSON', () => {
+        res.json({ name: 'é' });
+        assert.strictEqual(output().header('Content-Length'), String(Buffer.byteLength('{"name":"é"}')));
+      });
+
+      it('should redirect', () => {
+        res.redirect('/elsewhere', 301);
+        assert.strictEqual(output().status, 301);
+        assert.strictEqual(output().header('Location'), '/elsewhere');
+      });
+    });
+
+    describe('sendFile()', () => {
+      it('should send a file with validators', async () => {
+        await res.sendFile(file);
+        assert.strictEqual(output().header('Content-Type'), 'text/plain; charset=utf-8');
+        assert.ok(output().header('ETag'));
+        assert.ok(output().header('Last-Modified'));
+        assert.strictEqual(output().body.toString(), '0123456789');
+      });
+
+      it('should answer 404 for a missing file', async () => {
+        await res.sendFile(join(tmpDir, 'missing.txt'));
+        assert.strictEqual(output().status, 404);
+      });
+
+      it('should honor Range requests', async () => {
+        res.req = { method: 'GET', headers: { range: 'bytes=2-4' } };
+        await res.sendFile(file);
+        assert.strictEqual(output().status, 206);
+        assert.strictEqual(output().header('Content-Range'), 'bytes 2-4/10');
+        assert.strictEqual(output().body.toString(), '234');
+      });
+
+      it('should stop reading the file when the client goes away', async () => {
+        let writes = 0;
+        let backedUp;
+        const wrote = new Promise((resolve) => {
+          backedUp = resolve;
+        });
+        res.write = () => {
+          writes++;
+          backedUp();
+          return false;
+        };
+
+        const sending = res.sendFile(join(tmpDir, 'large.bin'));
+        await wrote;
+        res._abort();
+        await sending;
+
+        assert.strictEqual(writes, 1);
+        assert.strictEqual(res._finished, false);
+      });
+    });
+
+    describe('sendFile() hardening', () => {
+      const root = () => join(tmpDir, 'public');
+
+      it('should resolve paths against root', async () => {
+        await res.sendFile('/docs/guide.md', { root: root() });
+        assert.strictEqual(output().status, 200);
+        assert.strictEqual(output().header('Content-Type'), 'text/markdown; charset=utf-8');
+        assert.strictEqual(output().body.toString(), '# Guide');
+      });
+
+      it('should refuse to leave root', async () => {
+        await res.sendFile('../hello.txt', { root: root() });
+        assert.strictEqual(output().status, 403);
+
+        ({ res, output } = create());
+        await res.sendFile('docs/..\\..\\hello.txt', { root: root() });
+        assert.strictEqual(output().status, 403);
+      });
+
+      it('should refuse symlinks that point out of root', async () => {
+        await res.sendFile('escape.txt', { root: root() });
+        assert.strictEqual(output().status, 403);
+
+        ({ res, output } = create());
+        await res.sendFile('guide-link.md', { root: root() });
+        assert.strictEqual(output().status, 200);
+      });
+
+      it('should reject NUL bytes', async () => {
+        await res.sendFile('index.html\0.png', { root: root() });
+        assert.strictEqual(output().status, 400);
+      });
+
+      it('should ignore dotfiles by default', async () => {
+        await res.sendFile('.env', { root: root() });
+        assert.strictEqual(output().status, 404);
+
+        ({ res, output } = create());
+        await res.sendFile('.git/config', { root: root() });
+        assert.strictEqual(output().status, 404);
+      });
+
+      it('should deny or allow dotfiles', async () => {
+        await res.sendFile('.env', { root: root(), dotfiles: 'deny' });
+        assert.strictEqual(output().status, 403);
+
+        ({ res, output } = create());
+        await res.sendFile('.env', { root: root(), dotfiles: 'allow' });
+        assert.strictEqual(output().status, 200);
+        assert.strictEqual(output().body.toString(), 'SECRET=1');
+      });
+
+      it('should apply the dotfiles policy to every directory without root', async () => {
+        await res.sendFile(join(root(), '.git', 'config'), { dotfiles: 'deny' });
+        assert.strictEqual(output().status, 403);
+
+        ({ res, output } = create());
+        await res.sendFile(join(root(), '.git', 'config'));
+        assert.strictEqual(output().status, 404);
+
+        ({ res, output } = create());
+        await res.sendFile(join(root(), '.git', 'config'), { dotfiles: 'allow' });
+        assert.strictEqual(output().body.toString(), '[core]');
+      });
+
+      it('should not count a dotted working directory as a dotfile', async () => {
+        const cwd = process.cwd();
+        process.chdir(join(tmpDir, '.apps', 'site'));
+        try {
+          await res.sendFile('public/a.txt');
+          assert.strictEqual(output().status, 200);
+          assert.strictEqual(output().body.toString(), 'a');
+
+          ({ res, output } = create());
+          await res.sendFile('../site/public/a.txt', { dotfiles: 'deny' });
+          assert.strictEqual(output().status, 200);
+        } finally {
+          process.chdir(cwd);
+        }
+      });
+
+      it('should send the index file for directories', async () => {
+        await res.sendFile('/', { root: root() });
+        assert.strictEqual(output().body.toString(), '<h1>Home</h1>');
+        assert.strictEqual(output().header('Content-Type'), 'text/html; charset=utf-8');
+
+        ({ res, output } = create());
+        await res.sendFile('/', { root: root(), index: ['default.htm', 'index.html'] });
+        assert.strictEqual(output().body.toString(), '<h1>Home</h1>');
+      });
+
+      it('should answer 404 for directories without an index', async () => {
+        await res.sendFile('empty', { root: root() });
+        assert.strictEqual(output().status, 404);
+
+        ({ res, output } = create());
+        await res.sendFile('/', { root: root(), index: false });
+        assert.strictEqual(output().status, 404);
+      });
+
+      it('should answer 403 for unreadable files', { skip: process.getuid?.() === 0 && 'root can read any file' }, async () => {
+        await res.sendFile('locked.txt', { root: root() });
+        assert.strictEqual(output().status, 403);
+      });
+
+      it('should throw other filesystem errors', async () => {
+        await assert.rejects(res.sendFile('loop-a', { root: root() }), { code: 'ELOOP' });
+        assert.strictEqual(res.headersSent, false);
+      });
+
+      it('should set Cache-Control from maxAge and immutable', async () => {
+        await res.sendFile(file, { maxAge: 600 });
+        assert.strictEqual(output().header('Cache-Control'), 'public, max-age=600');
+
+        ({ res, output } = create());
+        await res.sendFile(file, { immutable: true });
+        assert.strictEqual(output().header('Cache-Control'), 'public, max-age=31536000, immutable');
+
+        ({ res, output } = create());
+        res.set('Cache-Control', 'no-store');
+        await res.sendFile(file, { maxAge: 600 });
+        assert.strictEqual(output().header('Cache-Control'), 'no-store');
+      });
+    });
+
+    describe('downloads', () => {
+      it('should set an attachment disposition and type', () => {
+        res.attachment('données.json').end();
+        assert.strictEqual(output().header('Content-Type'), 'application/json; charset=utf-8');
+        assert.strictEqual(output().header('Content-Disposition'),
+          'attachment; filename="donnees.json"; filename*=UTF-8\'\'donn%C3%A9es.json');
+      });
+
+      it('should download a file under its own or a given name', async () => {
+        await res.download(file);
+        assert.strictEqual(output().header('Content-Disposition'), 'attachment; filename="hello.txt"');
+        assert.strictEqual(output().body.toString(), '0123456789');
+
+        ({ res, output } = create());
+        await res.download(file, 'digits.txt');
+        assert.strictEqual(output().header('Content-Disposition'), 'attachment; filename="digits.txt"');
+      });
+
+      it('should not mark a missing file as a download', async () => {
+        await res.download(join(tmpDir, 'missing.txt'));
+        assert.strictEqual(output().status, 404);
+        assert.strictEqual(output().header('Content-Disposition'), undefined);
+      });
+
+      it('should delete temp files after sending', async () => {
+        const temp = join(tmpDir, `export-${name.length}.csv`);
+        writeFileSync(temp, 'a,b\n');
+        await res.download(temp, 'export.csv', { deleteAfter: true });
+        assert.strictEqual(output().body.toString(), 'a,b\n');
+        assert.strictEqual(existsSync(temp), false);
+      });
+    });
+
+    describe('compression', () => {
+      const text = 'compress me '.repeat(200);
+
+      it('should compress a whole body with a matching Content-Length', () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        res.send(text);
+
+        const { header, body } = output();
+        assert.strictEqual(header('Content-Encoding'), 'gzip');
+        assert.strictEqual(header('Vary'), 'Accept-Encoding');
+        assert.strictEqual(header('Content-Length'), String(body.length));
+        assert.strictEqual(gunzipSync(body).toString(), text);
+      });
+
+      it('should compress write() output as it streams', async () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'br' } };
+        const finished = once(res, 'finish');
+        res.write(text);
+        res.write(text);
+        res.end();
+        await finished;
+
+        const { header, body } = output();
+        assert.strictEqual(header('Content-Encoding'), 'br');
+        assert.strictEqual(header('Content-Length'), undefined);
+        assert.strictEqual(brotliDecompressSync(body).toString(), text + text);
+      });
+
+      it('should flush compressed output before the end', async () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        res.write(text);
+        res.flush();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        const partial = gunzipSync(output().body, { finishFlush: constants.Z_SYNC_FLUSH });
+        assert.strictEqual(partial.toString(), text);
+        res.end();
+      });
+
+      it('should compress files and weaken their ETag', async () => {
+        const large = join(tmpDir, 'large.txt');
+        writeFileSync(large, text);
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        const finished = once(res, 'finish');
+        await res.sendFile(large);
+        await finished;
+
+        const { header, body } = output();
+        assert.match(header('ETag'), /^W\//);
+        assert.strictEqual(header('Content-Length'), undefined);
+        assert.strictEqual(gunzipSync(body).toString(), text);
+      });
+
+      it('should not compress small bodies', () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        res.send('tiny');
+        assert.strictEqual(output().header('Content-Encoding'), undefined);
+        assert.strictEqual(output().body.toString(), 'tiny');
+      });
+
+      it('should allow opting out per response', () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        res.compression = false;
+        res.send(text);
+        assert.strictEqual(output().header('Content-Encoding'), undefined);
+        assert.strictEqual(output().body.toString(), text);
+      });
+    });
+
+    describe('render()', () => {
+      it('should render a view with res.locals as HTML', async () => {
+        res.views = new Views({ dir: tmpDir });
+        res.locals.greeting = 'Hello';
+        await res.render('greeting', { name: '<Ada>' });
+
+        assert.strictEqual(output().header('Content-Type'), 'text/html; charset=utf-8');
+        assert.strictEqual(output().body.toString(), '<p>Hello, &lt;Ada&gt;</p>');
+      });
+
+      it('should refuse to render without views', async () => {
+        await assert.rejects(res.render('greeting'), /No views configured/);
+      });
+    });
+
+    describe('sse()', () => {
+      it('should stream events with event-stream headers', () => {
+        res.req = { method: 'GET', headers: {}, lastEventId: '7' };
+        const stream = res.sse({ heartbeat: 0 });
+        stream.send({ event: 'tick', id: 8, data: { n: 1 } });
+        stream.close();
+
+        assert.strictEqual(stream.lastEventId, '7');
+        assert.strictEqual(output().status, 200);
+        assert.strictEqual(output().header('Content-Type'), 'text/event-stream; charset=utf-8');
+        assert.strictEqual(output().header('Cache-Control'), 'no-cache');
+        assert.strictEqual(output().header('X-Accel-Buffering'), 'no');
+        assert.strictEqual(output().body.toString(), 'event: tick\nid: 8\ndata: {"n":1}\n\n');
+        assert.strictEqual(res.writable, false);
+      });
+
+      it('should not compress the stream', () => {
+        res.req = { method: 'GET', headers: { 'accept-encoding': 'gzip' } };
+        const stream = res.sse({ heartbeat: 0 });
+        stream.send('x'.repeat(2048));
+        stream.close();
+        assert.strictEqual(output().header('Content-Encoding'), undefined);
+      });
+
+      it('should close when the client goes away', () => {
+        const stream = res.sse({ heartbeat: 0 });
+        let closed = 0;
+        stream.on('close', () => closed++);
+        res._abort();
+
+        assert.strictEqual(closed, 1);
+        assert.strictEqual(stream.closed, true);
+        assert.strictEqual(stream.send('late'), false);
+      });
+    });
+
+    describe('conditional requests and negotiation', () => {
+      it('should answer 304 when the ETag matches', () => {
+        res.req = { method: 'GET', headers: {} };
+        res.send('cached');
+        const etag = output().header('ETag');
+
+        ({ res, output } = create());
+        res.req = { method: 'GET', headers: { 'if-none-match': etag } };
+        res.send('cached');
+        assert.strictEqual(output().status, 304);
+        assert.strictEqual(output().body.length, 0);
+      });
+
+      it('should add to a Vary set with append()', () => {
+        res.req = { method: 'GET', headers: { accept: 'application/json' } };
+        res.append('Vary', 'Origin').append('Vary', 'Cookie');
+        res.format({ json: () => res.json({}) });
+        assert.strictEqual(output().header('Vary'), 'Origin, Cookie, Accept, Accept-Encoding');
+      });
+
+      it('should format by the Accept header', () => {
+        res.req = { method: 'GET', headers: { accept: 'application/json' } };
+        res.format({
+          html: () => res.send('<p>hi</p>'),
+          json: () => res.json({ hi: true }),
+        });
+        assert.strictEqual(output().body.toString(), '{"hi":true}');
+      });
+    });
+  });
+}
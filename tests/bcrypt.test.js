@@ -0,0 +1,104 @@
+/**
+ * bcrypt Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { hashBcrypt, verifyBcrypt, verifyBcryptAsync } from '../src/bcrypt.js';
+
+// Reference vectors from OpenBSD / Openwall crypt_blowfish and jBCrypt
+const VECTORS = [
+  ['U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'],
+  ['U*U*', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.VGOzA784oUp/Z0DY336zx7pLYAy0lwK'],
+  ['U*U*U', '$2a$05$XXXXXXXXXXXXXXXXXXXXXOAcXxm9kjPGEMsLznoKqmqw7tc8WCx4a'],
+  [
+    '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789chars after 72 are ignored',
+    '$2a$05$abcdefghijklmnopqrstuu5s2v8.iXieOjg/.AySBTTZIIVFJeBui',
+  ],
+  ['', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.7uG0VCzI2bS7j6ymqJi9CdcdxiRTWNy'],
+  ['', '$2a$06$DCq7YPn5Rq63x1Lad4cll.TV4S6ytwfsfvkgY8jIucDrjc8deX1s.'],
+  ['a', '$2a$06$m0CrhHm10qJ3lXRY.5zDGO3rS2KdeeWLuGmsfGlMfOxih58VYVfxe'],
+  ['abc', '$2a$06$If6bvum7DFjUnE9p2uDeDu0YHzrHM6tf.iqN8.yx.jNN1ILEf7h0i'],
+  ['abcdefghijklmnopqrstuvwxyz', '$2a$06$.rCVZVOThsIa97pEDOxvGuRRgzG64bvtJ0938xuqzv18d3ZpQhstC'],
+  ['~!@#$%^&*()      ~!@#$%^&*()PNBFRD', '$2a$06$fPIsBO8qRqkjj273rfaOI.HtSV9jLDpTbZn782DC6/t7qT67P6FfO'],
+  ['a', '$2a$08$cfcvVd2aQ8CMvoMpP2EBfeodLEkkFJ9umNEfPD18.hUF62qqlC/V.'],
+  ['abc', '$2a$08$Ro0CUfOqk6cXEKf3dyaM7OhSCvnwM9s4wIX9JeLapehKK5YdLxKcm'],
+  ['abc', '$2a$10$WvvTPHKwdBJ3uk0Z37EMR.hLA2W6N9AEBhEgrAOljy2Ae5MtaSIUi'],
+  ['', '$2a$10$k1wbIrmNyFAPwPVPSVa/zecw2BCEnBwVS2GbrmgzxFUOqW9dk4TCW'],
+];
+
+describe('verifyBcrypt()', () => {
+  it('should match the reference test vectors', () => {
+    for (const [password, hash] of VECTORS) {
+      assert.strictEqual(verifyBcrypt(password, hash), true, hash);
+    }
+  });
+
+  it('should match hashes from crypt(3)', () => {
+    assert.strictEqual(verifyBcrypt('pässwörd', '$2b$04$abcdefghijklmnopqrstuuyx2n0Zzopyr9QuYTMCfOJJOj526QVoC'), true);
+    assert.strictEqual(verifyBcrypt('x', '$2y$04$abcdefghijklmnopqrstuuPp7HPfoAs8I2dCQCQ/fW7zEJv8I8C8e'), true);
+  });
+
+  it('should only use the first 72 bytes of the password', () => {
+    const hash = '$2b$04$abcdefghijklmnopqrstuuBzzIgyKkz7xMWYSzkIjUSnxEQFQ0WNe';
+
+    assert.strictEqual(verifyBcrypt('a'.repeat(80), hash), true);
+    assert.strictEqual(verifyBcrypt('a'.repeat(72), hash), true);
+    assert.strictEqual(verifyBcrypt('a'.repeat(71), hash), false);
+  });
+
+  it('should reject wrong passwords and malformed hashes', () => {
+    assert.strictEqual(verifyBcrypt('U*V', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'), false);
+    assert.strictEqual(verifyBcrypt('U*U', '$2x$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'), false);
+    assert.strictEqual(verifyBcrypt('U*U', '$2a$05$short'), false);
+  });
+});
+
+describe('verifyBcryptAsync()', () => {
+  it('should match the reference test vectors', async () => {
+    const results = await Promise.all(VECTORS.map(([password, hash]) => verifyBcryptAsync(password, hash)));
+
+    assert.ok(results.every((valid) => valid === true));
+    assert.strictEqual(await verifyBcryptAsync('U*V', VECTORS[0][1]), false);
+    assert.strictEqual(await verifyBcryptAsync('U*U', '$2a$05$short'), false);
+  });
+
+  it('should leave the event loop free while it runs', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => {
+      ticks++;
+    }, 1);
+
+    const valid = await verifyBcryptAsync('abc', '$2a$10$WvvTPHKwdBJ3uk0Z37EMR.hLA2W6N9AEBhEgrAOljy2Ae5MtaSIUi');
+    clearInterval(timer);
+
+    assert.strictEqual(valid, true);
+    assert.ok(ticks > 1, `timer ran ${ticks} times`);
+  });
+
+  it('should let the process exit once it is idle', () => {
+    const script = `
+      import { verifyBcryptAsync } from ${JSON.stringify(new URL('../src/bcrypt.js', import.meta.url).href)};
+      console.log(await verifyBcryptAsync('a', '${VECTORS[6][1]}'));
+    `;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+
+    assert.strictEqual(output.toString().trim(), 'true');
+  });
+});
+
+describe('hashBcrypt()', () => {
+  it('should produce verifiable $2b$ hashes with a random salt', () => {
+    const hash = hashBcrypt('secret', 4);
+
+    assert.match(hash, /^\$2b\$04\$[./A-Za-z0-9]{53}$/);
+    assert.strictEqual(verifyBcrypt('secret', hash), true);
+    assert.strictEqual(verifyBcrypt('Secret', hash), false);
+    assert.notStrictEqual(hashBcrypt('secret', 4), hash);
+  });
+
+  it('should reject invalid costs', () => {
+    assert.throws(() => hashBcrypt('secret', 3), /cost/);
+  });
+});
@@ -5,15 +5,22 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { Readable } from 'node:stream';
+import { gzipSync } from 'node:zlib';
 import {
   parseCGIEnv,
   parseHeaders,
   parseQueryString,
   parseCookies,
   parseBody,
+  parseBodyAsync,
+  buildParams,
+  parseSize,
   readBody,
   createRequest,
 } from '../src/cgi.js';
+import { removeUploads } from '../src/multipart.js';
+import { registerBodyParser } from '../src/parsers.js';
+import { HttpError } from '../src/errors.js';
 
 describe('parseHeaders', () => {
   it('should parse HTTP_* environment variables to headers', () => {
@@ -101,6 +108,64 @@ describe('parseQueryString', () => {
     assert.strictEqual(result.flag, '');
     assert.strictEqual(result.name, 'test');
   });
+
+  it('should decode nested objects (PHP-style)', () => {
+    const result = parseQueryString('user[name]=a&user[address][city]=b');
+
+    assert.deepStrictEqual(result, { user: { name: 'a', address: { city: 'b' } } });
+  });
+
+  it('should decode indexed arrays of objects', () => {
+    const result = parseQueryString('items[0][sku]=x&items[1][sku]=y');
+
+    assert.deepStrictEqual(result.items, [{ sku: 'x' }, { sku: 'y' }]);
+  });
+
+  it('should append with [] at any depth', () => {
+    const result = parseQueryString('rows[][id]=1&rows[][id]=2&user[tags][]=a&user[tags][]=b');
+
+    assert.deepStrictEqual(result.rows, [{ id: '1' }, { id: '2' }]);
+    assert.deepStrictEqual(result.user.tags, ['a', 'b']);
+  });
+
+  it('should turn lists into maps when given named or sparse keys', () => {
+    assert.deepStrictEqual(parseQueryString('a[]=1&a[x]=2').a, { 0: '1', x: '2' });
+    assert.deepStrictEqual(parseQueryString('a[5]=1&a[]=2').a, { 5: '1', 6: '2' });
+  });
+
+  it('should decode encoded brackets', () => {
+    const result = parseQueryString('user%5Bname%5D=a');
+
+    assert.deepStrictEqual(result, { user: { name: 'a' } });
+  });
+
+  it('should keep keys with unmatched brackets literal', () => {
+    assert.deepStrictEqual(parseQueryString('a[b=1'), { 'a[b': '1' });
+  });
+
+  it('should ignore text after the last bracket', () => {
+    assert.deepStrictEqual(parseQueryString('a[b]c=1'), { a: { b: '1' } });
+  });
+
+  it('should drop keys deeper than maxInputNestingLevel', () => {
+    const result = parseQueryString('a[b][c]=1&ok[x]=2', { maxInputNestingLevel: 1 });
+
+    assert.deepStrictEqual(result, { ok: { x: '2' } });
+  });
+
+  it('should ignore parameters past maxInputVars', () => {
+    const result = parseQueryString('a=1&b=2&c=3', { maxInputVars: 2 });
+
+    assert.deepStrictEqual(result, { a: '1', b: '2' });
+  });
+
+  it('should not allow prototype pollution', () => {
+    const result = parseQueryString('__proto__[polluted]=1&a[__proto__][polluted]=1&constructor=x');
+
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(result.constructor, 'x');
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+  });
 });
 
 describe('parseCookies', () => {
@@ -154,6 +219,34 @@ describe('parseBody', () => {
     assert.strictEqual(parsed.age, '30');
   });
 
+  it('should parse nested form-urlencoded body', () => {
+    const body = Buffer.from('user%5Bname%5D=John&user%5Broles%5D%5B%5D=admin');
+    const { parsed } = parseBody(body, 'application/x-www-form-urlencoded');
+
+    assert.deepStrictEqual(parsed, { user: { name: 'John', roles: ['admin'] } });
+  });
+
+  it('should decode form bodies in the declared charset', () => {
+    const body = Buffer.from('name=Jos%E9');
+    const { parsed } = parseBody(body, 'application/x-www-form-urlencoded; charset=ISO-8859-1');
+
+    assert.deepStrictEqual(parsed, { name: 'José' });
+  });
+
+  it('should decode text bodies in the declared charset', () => {
+    const body = Buffer.from([0x93, 0x71, 0x75, 0x6f, 0x74, 0x65, 0x94]);
+    const { parsed } = parseBody(body, 'text/plain; charset=windows-1252');
+
+    assert.strictEqual(parsed, '\u201cquote\u201d');
+  });
+
+  it('should reject unknown charsets with 415', () => {
+    assert.throws(
+      () => parseBody(Buffer.from('hi'), 'text/plain; charset=klingon'),
+      { statusCode: 415 },
+    );
+  });
+
   it('should return string for text content types', () => {
     const body = Buffer.from('<html><body>Hello</body></html>');
     const { parsed } = parseBody(body, 'text/html');
@@ -163,9 +256,57 @@ describe('parseBody', () => {
 
   it('should handle invalid JSON gracefully', () => {
     const body = Buffer.from('not valid json');
-    const { parsed } = parseBody(body, 'application/json');
+    const { parsed, error } = parseBody(body, 'application/json');
 
     assert.strictEqual(parsed, 'not valid json');
+    assert.ok(error instanceof HttpError);
+    assert.strictEqual(error.statusCode, 400);
+  });
+
+  it('should throw a 400 for invalid JSON in strict mode', () => {
+    assert.throws(
+      () => parseBody(Buffer.from('{"a":'), 'application/json', { strictBody: true }),
+      (err) => err instanceof HttpError && err.statusCode === 400 && err.message === 'Malformed JSON body',
+    );
+  });
+
+  it('should only include the error position in development mode', () => {
+    const body = Buffer.from('{\n  "a": 1,\n}');
+    const { error } = parseBody(body, 'application/json', { development: false });
+    assert.deepStrictEqual(error.details, {});
+
+    const { error: devError } = parseBody(body, 'application/json', { development: true });
+    assert.strictEqual(devError.details.position, 12);
+    assert.strictEqual(devError.details.line, 3);
+    assert.strictEqual(devError.details.column, 1);
+    assert.ok(devError.details.detail);
+  });
+
+  it('should locate errors in NDJSON bodies', () => {
+    const body = Buffer.from('{"a":1}\n{"a":1,}\n');
+    const { error } = parseBody(body, 'application/x-ndjson', { development: true });
+
+    assert.strictEqual(error.details.position, 15);
+    assert.strictEqual(error.details.line, 2);
+    assert.strictEqual(error.details.column, 8);
+  });
+
+  it('should require a Content-Type in strict mode', () => {
+    assert.throws(
+      () => parseBody(Buffer.from('data'), undefined, { strictBody: true }),
+      (err) => err.statusCode === 400,
+    );
+  });
+
+  it('should reject urlencoded bodies over the input limits in strict mode', () => {
+    const body = Buffer.from('a=1&b=2&c=3');
+    const { parsed } = parseBody(body, 'application/x-www-form-urlencoded', { maxInputVars: 2 });
+    assert.deepStrictEqual(parsed, { a: '1', b: '2' });
+
+    assert.throws(
+      () => parseBody(body, 'application/x-www-form-urlencoded', { maxInputVars: 2, strictBody: true }),
+      (err) => err.statusCode === 400,
+    );
   });
 
   it('should return null for binary content types', () => {
@@ -189,6 +330,85 @@ describe('parseBody', () => {
 
     assert.deepStrictEqual(parsed, { test: true });
   });
+
+  it('should parse +json media types as JSON', () => {
+    const body = Buffer.from('{"data":{"id":"1"}}');
+    const { parsed } = parseBody(body, 'application/vnd.api+json');
+
+    assert.deepStrictEqual(parsed, { data: { id: '1' } });
+  });
+
+  it('should parse NDJSON into an array', () => {
+    const body = Buffer.from('{"a":1}\n\n{"a":2}\r\n');
+    const { parsed } = parseBody(body, 'application/x-ndjson');
+
+    assert.deepStrictEqual(parsed, [{ a: 1 }, { a: 2 }]);
+  });
+
+  it('should use parsers from options.bodyParsers', () => {
+    const body = Buffer.from('a,b\n1,2');
+    const { parsed } = parseBody(body, 'text/csv', {
+      bodyParsers: { 'text/csv': (raw, { text }) => text().split('\n').map((line) => line.split(',')) },
+    });
+
+    assert.deepStrictEqual(parsed, [['a', 'b'], ['1', '2']]);
+  });
+
+  it('should use registered parsers', () => {
+    const remove = registerBodyParser('application/x-reverse', (raw) => Buffer.from(raw).reverse().toString());
+    try {
+      const { parsed } = parseBody(Buffer.from('abc'), 'application/x-reverse');
+      assert.strictEqual(parsed, 'cba');
+    } finally {
+      remove();
+    }
+  });
+});
+
+describe('parseBodyAsync', () => {
+  it('should wait for async parsers', async () => {
+    const { parsed } = await parseBodyAsync(Buffer.from('a,b'), 'text/csv', {
+      bodyParsers: { 'text/csv': async (raw, { text }) => text().split(',') },
+    });
+
+    assert.deepStrictEqual(parsed, ['a', 'b']);
+  });
+
+  it('should fall back to the text when an async parser rejects', async () => {
+    const bodyParsers = {
+      'text/csv': async () => {
+        throw new HttpError(400, 'Bad CSV');
+      },
+    };
+    const { parsed, error } = await parseBodyAsync(Buffer.from('a,b'), 'text/csv', { bodyParsers });
+
+    assert.strictEqual(parsed, 'a,b');
+    assert.strictEqual(error.message, 'Bad CSV');
+    await assert.rejects(
+      parseBodyAsync(Buffer.from('a,b'), 'text/csv', { bodyParsers, strictBody: true }),
+      { statusCode: 400, message: 'Bad CSV' },
+    );
+  });
+
+  it('should parse like parseBody for built-in types', async () => {
+    const { parsed } = await parseBodyAsync(Buffer.from('{"a":1}'), 'application/json');
+
+    assert.deepStrictEqual(parsed, { a: 1 });
+  });
+});
+
+describe('buildParams', () => {
+  it('should drop keys nested too deeply', () => {
+    const params = buildParams([['a[b][c]', '1'], ['d', '2']], { maxInputNestingLevel: 1 });
+    assert.deepStrictEqual(params, { d: '2' });
+  });
+
+  it('should throw for keys nested too deeply in strict mode', () => {
+    assert.throws(
+      () => buildParams([['a[b][c]', '1']], { maxInputNestingLevel: 1 }, true),
+      (err) => err.statusCode === 400 && err.details.name === 'a[b][c]',
+    );
+  });
 });
 
 describe('readBody', () => {
@@ -220,6 +440,53 @@ describe('readBody', () => {
 
     assert.strictEqual(body.toString(), '{"name":"John"}');
   });
+
+  it('should reject bodies over maxBodySize with 413', async () => {
+    const stdin = Readable.from(['12345', '67890']);
+
+    await assert.rejects(readBody(stdin, undefined, 8), { statusCode: 413 });
+  });
+
+  it('should reject a declared Content-Length over maxBodySize without reading', async () => {
+    let read = false;
+    const stdin = new Readable({
+      read() {
+        read = true;
+        this.push(null);
+      },
+    });
+
+    await assert.rejects(readBody(stdin, '100', 10), { statusCode: 413 });
+    assert.strictEqual(read, false);
+  });
+
+  it('should accept bodies exactly at maxBodySize', async () => {
+    const body = await readBody(Readable.from(['12345']), undefined, 5);
+
+    assert.strictEqual(body.toString(), '12345');
+  });
+});
+
+describe('parseSize', () => {
+  it('should pass numbers through', () => {
+    assert.strictEqual(parseSize(2048), 2048);
+  });
+
+  it('should parse unit suffixes', () => {
+    assert.strictEqual(parseSize('100'), 100);
+    assert.strictEqual(parseSize('512kb'), 512 * 1024);
+    assert.strictEqual(parseSize('10MB'), 10 * 1024 * 1024);
+    assert.strictEqual(parseSize('1g'), 1024 ** 3);
+  });
+
+  it('should return undefined for empty values', () => {
+    assert.strictEqual(parseSize(undefined), undefined);
+    assert.strictEqual(parseSize(''), undefined);
+  });
+
+  it('should throw on invalid sizes', () => {
+    assert.throws(() => parseSize('lots'), /Invalid size/);
+  });
 });
 
 describe('parseCGIEnv', () => {
@@ -253,6 +520,11 @@ describe('parseCGIEnv', () => {
     assert.deepStrictEqual(request.cookies, { session: 'abc123' });
   });
 
+  it('should expose Last-Event-ID', () => {
+    assert.strictEqual(parseCGIEnv({ HTTP_LAST_EVENT_ID: '42' }).lastEventId, '42');
+    assert.strictEqual(parseCGIEnv({}).lastEventId, null);
+  });
+
   it('should build correct URL for HTTPS', () => {
     const env = {
       HTTPS: 'on',
@@ -334,6 +606,63 @@ describe('createRequest', () => {
     assert.deepStrictEqual(request.body, { name: 'Updated' });
   });
 
+  it('should keep the parse error of a malformed body', async () => {
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'application/json',
+    };
+
+    const request = await createRequest(env, Readable.from(['{oops']));
+
+    assert.strictEqual(request.body, '{oops');
+    assert.strictEqual(request.bodyError.statusCode, 400);
+  });
+
+  it('should reject a malformed body in strict mode', async () => {
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'application/json',
+    };
+
+    await assert.rejects(
+      createRequest(env, Readable.from(['{oops']), { strictBody: true }),
+      (err) => err.statusCode === 400,
+    );
+  });
+
+  it('should await async body parsers', async () => {
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'text/csv',
+    };
+
+    const stdin = Readable.from(['a,b']);
+    const request = await createRequest(env, stdin, {
+      bodyParsers: { 'text/csv': async (raw, { text }) => text().split(',') },
+    });
+
+    assert.deepStrictEqual(request.body, ['a', 'b']);
+  });
+
+  it('should fall back to the text when an async parser rejects in lenient mode', async () => {
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'text/csv',
+    };
+
+    const stdin = Readable.from(['a,b']);
+    const request = await createRequest(env, stdin, {
+      bodyParsers: {
+        'text/csv': async () => {
+          throw new HttpError(400, 'Bad CSV');
+        },
+      },
+    });
+
+    assert.strictEqual(request.body, 'a,b');
+    assert.strictEqual(request.bodyError.message, 'Bad CSV');
+  });
+
   it('should parse body for PATCH requests', async () => {
     const env = {
       REQUEST_METHOD: 'PATCH',
@@ -346,4 +675,129 @@ describe('createRequest', () => {
     assert.strictEqual(request.method, 'PATCH');
     assert.deepStrictEqual(request.body, { status: 'active' });
   });
+
+  it('should parse multipart/form-data into body and files', async () => {
+    const boundary = 'XyZ';
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: `multipart/form-data; boundary=${boundary}`,
+    };
+
+    const stdin = Readable.from([
+      `--${boundary}\r\n`,
+      'Content-Disposition: form-data; name="title"\r\n\r\nHello\r\n',
+      `--${boundary}\r\n`,
+      'Content-Disposition: form-data; name="upload"; filename="a.txt"\r\n',
+      'Content-Type: text/plain\r\n\r\nfile body\r\n',
+      `--${boundary}--\r\n`,
+    ]);
+    const request = await createRequest(env, stdin);
+
+    assert.deepStrictEqual(request.body, { title: 'Hello' });
+    assert.strictEqual(request.files.upload.filename, 'a.txt');
+    assert.strictEqual(request.files.upload.mimeType, 'text/plain');
+    assert.strictEqual(request.files.upload.size, 9);
+    assert.strictEqual(request.rawBody.length, 0);
+
+    await removeUploads(request.files);
+  });
+
+  it('should reject bodies over maxBodySize with 413', async () => {
+    const env = { REQUEST_METHOD: 'POST', CONTENT_TYPE: 'text/plain' };
+
+    await assert.rejects(
+      createRequest(env, Readable.from(['x'.repeat(100)]), { maxBodySize: 10 }),
+      { statusCode: 413 },
+    );
+  });
+
+  it('should decode gzip bodies before parsing', async () => {
+    const compressed = gzipSync('{"zipped":true}');
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'application/json',
+      CONTENT_LENGTH: String(compressed.length),
+      HTTP_CONTENT_ENCODING: 'gzip',
+    };
+
+    const request = await createRequest(env, Readable.from([compressed]));
+
+    assert.deepStrictEqual(request.body, { zipped: true });
+  });
+
+  it('should reject unsupported encodings with 415', async () => {
+    const env = {
+      REQUEST_METHOD: 'POST',
+      CONTENT_TYPE: 'application/json',
+      HTTP_CONTENT_ENCODING: 'zstd',
+    };
+
+    await assert.rejects(createRequest(env, Readable.from(['{}'])), { statusCode: 415 });
+  });
+
+  it('should default files to an empty object', async () => {
+    const request = await createRequest({ REQUEST_METHOD: 'GET' }, Readable.from([]));
+
+    assert.deepStrictEqual(request.files, {});
+  });
+});
+
+describe('createRequest (streamBody)', () => {
+  it('should expose stdin as req.stream without reading it', async () => {
+    const stdin = Readable.from(['chunk1', 'chunk2']);
+    const request = await createRequest({ REQUEST_METHOD: 'POST' }, stdin, { streamBody: true });
+
+    assert.strictEqual(request.stream, stdin);
+    assert.strictEqual(request.body, null);
+    assert.strictEqual(request.rawBody, null);
+
+    const chunks = [];
+    for await (const chunk of request.stream) {
+      chunks.push(chunk);
+    }
+    assert.deepStrictEqual(chunks, ['chunk1', 'chunk2']);
+  });
+
+  it('should read the body lazily with buffer() and text()', async () => {
+    const stdin = Readable.from(['Hello', ' World']);
+    const request = await createRequest({ REQUEST_METHOD: 'POST' }, stdin, { streamBody: true });
+
+    const buffer = await request.buffer();
+    assert.ok(Buffer.isBuffer(buffer));
+    assert.strictEqual(await request.text(), 'Hello World');
+  });
+
+  it('should parse JSON with json()', async () => {
+    const stdin = Readable.from(['{"name":', '"John"}']);
+    const request = await createRequest({ REQUEST_METHOD: 'PUT' }, stdin, { streamBody: true });
+
+    assert.deepStrictEqual(await request.json(), { name: 'John' });
+  });
+
+  it('should apply maxBodySize when the body is read', async () => {
+    const stdin = Readable.from(['x'.repeat(100)]);
+    const request = await createRequest({ REQUEST_METHOD: 'POST' }, stdin, { streamBody: true, maxBodySize: 10 });
+
+    await assert.rejects(request.buffer(), { statusCode: 413 });
+  });
+
+  it('should expose the decoded stream for encoded bodies', async () => {
+    const env = { REQUEST_METHOD: 'POST', HTTP_CONTENT_ENCODING: 'gzip' };
+    const request = await createRequest(env, Readable.from([gzipSync('streamed')]), { streamBody: true });
+
+    assert.strictEqual(await request.text(), 'streamed');
+  });
+
+  it('should reject malformed JSON with a 400 error', async () => {
+    const stdin = Readable.from(['{oops']);
+    const request = await createRequest({ REQUEST_METHOD: 'POST' }, stdin, { streamBody: true });
+
+    await assert.rejects(request.json(), { statusCode: 400 });
+  });
+
+  it('should give GET requests an empty stream', async () => {
+    const request = await createRequest({ REQUEST_METHOD: 'GET' }, Readable.from(['ignored']), { streamBody: true });
+
+    assert.strictEqual(await request.text(), '');
+  });
 });
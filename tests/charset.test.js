@@ -0,0 +1,72 @@
+/**
+ * Charset Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getCharset, createDecoder, decodeText, decodeFormBody } from '../src/charset.js';
+
+describe('getCharset()', () => {
+  it('should extract the charset parameter', () => {
+    assert.strictEqual(getCharset('text/plain; charset=ISO-8859-1'), 'iso-8859-1');
+    assert.strictEqual(getCharset('text/plain;charset="windows-1252"; format=flowed'), 'windows-1252');
+  });
+
+  it('should return null without a charset', () => {
+    assert.strictEqual(getCharset('text/plain'), null);
+    assert.strictEqual(getCharset('text/plain; charset='), null);
+    assert.strictEqual(getCharset(undefined), null);
+  });
+});
+
+describe('createDecoder()', () => {
+  it('should reject unknown charsets with 415', () => {
+    assert.throws(() => createDecoder('klingon'), { statusCode: 415 });
+  });
+});
+
+describe('decodeText()', () => {
+  it('should default to UTF-8', () => {
+    assert.strictEqual(decodeText(Buffer.from('héllo')), 'héllo');
+  });
+
+  it('should decode legacy charsets', () => {
+    assert.strictEqual(decodeText(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'iso-8859-1'), 'café');
+    assert.strictEqual(decodeText(Buffer.from([0x93, 0x68, 0x69, 0x94, 0x80]), 'windows-1252'), '“hi”€');
+  });
+});
+
+describe('decodeFormBody()', () => {
+  it('should decode percent escapes in the given charset', () => {
+    const entries = decodeFormBody(Buffer.from('name=caf%E9&city=K%F6ln+Mitte'), 'iso-8859-1');
+
+    assert.deepStrictEqual(entries, [['name', 'café'], ['city', 'Köln Mitte']]);
+  });
+
+  it('should decode raw bytes in the given charset', () => {
+    const entries = decodeFormBody(Buffer.from([0x61, 0x3d, 0xe9]), 'iso-8859-1');
+
+    assert.deepStrictEqual(entries, [['a', 'é']]);
+  });
+
+  it('should default to UTF-8', () => {
+    assert.deepStrictEqual(decodeFormBody(Buffer.from('a=caf%C3%A9&b')), [['a', 'café'], ['b', '']]);
+  });
+
+  it('should honor the _charset_ field', () => {
+    const entries = decodeFormBody(Buffer.from('_charset_=ISO-8859-1&name=caf%E9'));
+
+    assert.deepStrictEqual(entries, [['_charset_', 'ISO-8859-1'], ['name', 'café']]);
+  });
+
+  it('should prefer an explicit charset over _charset_', () => {
+    const entries = decodeFormBody(Buffer.from('_charset_=ISO-8859-1&name=caf%C3%A9'), 'utf-8');
+
+    assert.strictEqual(entries[1][1], 'café');
+  });
+
+  it('should reject unknown charsets with 415', () => {
+    assert.throws(() => decodeFormBody(Buffer.from('a=1'), 'klingon'), { statusCode: 415 });
+    assert.throws(() => decodeFormBody(Buffer.from('_charset_=klingon&a=1')), { statusCode: 415 });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Compression Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { gzipSync, deflateSync, brotliCompressSync, gunzipSync, inflateSync, brotliDecompressSync } from 'node:zlib';
+import {
+  parseContentEncoding,
+  decodeBody,
+  isCompressible,
+  applyCompression,
+  compressSync,
+  createEncoder,
+} from '../src/compression.js';
+
+/**
+ * Collect a stream into a string
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('parseContentEncoding()', () => {
+  it('should return no codings for missing or identity encoding', () => {
+    assert.deepStrictEqual(parseContentEncoding(undefined), []);
+    assert.deepStrictEqual(parseContentEncoding('identity'), []);
+  });
+
+  it('should list codings outermost first', () => {
+    assert.deepStrictEqual(parseContentEncoding('deflate, GZIP'), ['gzip', 'deflate']);
+  });
+
+  it('should throw 415 for unsupported codings', () => {
+    assert.throws(() => parseContentEncoding('compress'), { statusCode: 415 });
+  });
+});
+
+describe('decodeBody()', () => {
+  it('should return the stream untouched without an encoding', () => {
+    const stream = Readable.from(['plain']);
+    assert.strictEqual(decodeBody(stream, undefined), stream);
+  });
+
+  it('should decode gzip', async () => {
+    const stream = Readable.from([gzipSync('hello gzip')]);
+    assert.strictEqual(await collect(decodeBody(stream, 'gzip')), 'hello gzip');
+  });
+
+  it('should decode deflate', async () => {
+    const stream = Readable.from([deflateSync('hello deflate')]);
+    assert.strictEqual(await collect(decodeBody(stream, 'deflate')), 'hello deflate');
+  });
+
+  it('should decode brotli', async () => {
+    const stream = Readable.from([brotliCompressSync('hello br')]);
+    assert.strictEqual(await collect(decodeBody(stream, 'br')), 'hello br');
+  });
+
+  it('should undo stacked codings in reverse order', async () => {
+    const stream = Readable.from([brotliCompressSync(gzipSync('layered'))]);
+    assert.strictEqual(await collect(decodeBody(stream, 'gzip, br')), 'layered');
+  });
+
+  it('should reject corrupt data with 400', async () => {
+    const stream = Readable.from([Buffer.from('definitely not gzip')]);
+    await assert.rejects(collect(decodeBody(stream, 'gzip')), { statusCode: 400 });
+  });
+
+  it('should reject a malformed brotli body with 400', async () => {
+    const stream = Readable.from([Buffer.from('definitely not brotli')]);
+    await assert.rejects(collect(decodeBody(stream, 'br')), { statusCode: 400 });
+  });
+
+  it('should reject a truncated brotli body with 400', async () => {
+    const stream = Readable.from([brotliCompressSync('x'.repeat(1000)).subarray(0, 5)]);
+    await assert.rejects(collect(decodeBody(stream, 'br')), { statusCode: 400 });
+  });
+
+  it('should pass read errors from the source through unchanged', async () => {
+    const stream = new Readable({
+      read() {
+        this.destroy(new Error('Connection closed'));
+      },
+    });
+    await assert.rejects(collect(decodeBody(stream, 'gzip')), (err) => {
+      assert.strictEqual(err.message, 'Connection closed');
+      assert.strictEqual(err.statusCode, undefined);
+      return true;
+    });
+  });
+
+  it('should stop at maxInflatedSize with 413', async () => {
+    const bomb = gzipSync(Buffer.alloc(1024 * 1024));
+    const stream = Readable.from([bomb]);
+
+    await assert.rejects(
+      collect(decodeBody(stream, 'gzip', { maxInflatedSize: 1024 })),
+      { statusCode: 413 },
+    );
+  });
+});
+
+/**
+ * Minimal response stand-in for applyCompression()
+ */
+function mockResponse(headers = {}, req = { method: 'GET', headers: { 'accept-encoding': 'gzip, br' } }) {
+  const res = {
+    req,
+    statusCode: 200,
+    compression: true,
+    _headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers },
+    get: (name) => res._headers[name],
+    set: (name, value) => {
+      res._headers[name] = value;
+      return res;
+    },
+    removeHeader: (name) => {
+      delete res._headers[name];
+      return res;
+    },
+  };
+  return res;
+}
+
+describe('isCompressible()', () => {
+  it('should accept textual types', () => {
+    for (const type of ['text/html; charset=utf-8', 'application/json', 'application/vnd.api+json', 'image/svg+xml', 'application/javascript']) {
+      assert.ok(isCompressible(type), type);
+    }
+  });
+
+  it('should reject already compressed types', () => {
+    for (const type of ['image/png', 'application/zip', 'video/mp4', 'application/octet-stream', undefined]) {
+      assert.ok(!isCompressible(type), type);
+    }
+  });
+});
+
+describe('applyCompression()', () => {
+  it('should pick the preferred encoding and adjust headers', () => {
+    const res = mockResponse({ 'Content-Length': 5000, ETag: '"abc"' });
+
+    assert.strictEqual(applyCompression(res), 'gzip');
+    assert.strictEqual(res._headers['Content-Encoding'], 'gzip');
+    assert.strictEqual(res._headers['Content-Length'], undefined);
+    assert.strictEqual(res._headers.ETag, 'W/"abc"');
+    assert.strictEqual(res._headers.Vary, 'Accept-Encoding');
+  });
+
+  it('should honor client q-values', () => {
+    const res = mockResponse({}, { method: 'GET', headers: { 'accept-encoding': 'br;q=0.5, gzip' } });
+    assert.strictEqual(applyCompression(res, 2048), 'gzip');
+  });
+
+  it('should prefer brotli for a wildcard', () => {
+    const res = mockResponse({}, { method: 'GET', headers: { 'accept-encoding': '*' } });
+    assert.strictEqual(applyCompression(res, 2048), 'br');
+  });
+
+  it('should skip bodies under the threshold', () => {
+    const res = mockResponse();
+    assert.strictEqual(applyCompression(res, 100), null);
+
+    res.compression = { threshold: 50 };
+    assert.strictEqual(applyCompression(res, 100), 'gzip');
+  });
+
+  it('should vary without compressing when the client accepts nothing', () => {
+    const res = mockResponse({}, { method: 'GET', headers: {} });
+    assert.strictEqual(applyCompression(res, 5000), null);
+    assert.strictEqual(res._headers.Vary, 'Accept-Encoding');
+  });
+
+  it('should leave incompressible types alone', () => {
+    const res = mockResponse({ 'Content-Type': 'image/png' });
+    assert.strictEqual(applyCompression(res, 5000), null);
+    assert.strictEqual(res._headers.Vary, undefined);
+  });
+
+  it('should respect opt-outs, no-transform, HEAD and partial responses', () => {
+    const disabled = mockResponse();
+    disabled.compression = false;
+    assert.strictEqual(applyCompression(disabled, 5000), null);
+
+    assert.strictEqual(applyCompression(mockResponse({ 'Cache-Control': 'public, no-transform' }), 5000), null);
+    assert.strictEqual(applyCompression(mockResponse({ 'Content-Encoding': 'gzip' }), 5000), null);
+
+    const head = mockResponse({}, { method: 'HEAD', headers: { 'accept-encoding': 'gzip' } });
+    assert.strictEqual(applyCompression(head, 5000), null);
+
+    const partial = mockResponse();
+    partial.statusCode = 206;
+    assert.strictEqual(applyCompression(partial, 5000), null);
+  });
+});
+
+describe('compressSync() / createEncoder()', () => {
+  const body = Buffer.from('hello '.repeat(100));
+
+  it('should round-trip every encoding', () => {
+    assert.deepStrictEqual(gunzipSync(compressSync('gzip', body)), body);
+    assert.deepStrictEqual(inflateSync(compressSync('deflate', body, { level: 1 })), body);
+    assert.deepStrictEqual(brotliDecompressSync(compressSync('br', body)), body);
+  });
+
+  it('should stream compressed output', async () => {
+    const encoder = createEncoder('gzip');
+    const chunks = [];
+    encoder.on('data', (chunk) => chunks.push(chunk));
+    encoder.end(body);
+    await new Promise((resolve) => encoder.on('end', resolve));
+
+    assert.deepStrictEqual(gunzipSync(Buffer.concat(chunks)), body);
+  });
+});
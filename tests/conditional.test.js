@@ -0,0 +1,179 @@
+/**
+ * Conditional Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  generateETag,
+  fileETag,
+  evaluatePreconditions,
+  isFresh,
+  attachFreshness,
+  respondConditionally,
+} from '../src/conditional.js';
+import { FCGIResponse } from '../src/fastcgi.js';
+
+const LAST_MODIFIED = 'Wed, 21 Oct 2015 07:28:00 GMT';
+const EARLIER = 'Tue, 20 Oct 2015 07:28:00 GMT';
+
+/**
+ * Response wired to a GET request with the given headers
+ */
+function createResponse(headers = {}, method = 'GET') {
+  const written = [];
+  const res = new FCGIResponse({ write: (chunk) => written.push(chunk) }, 1);
+  res.req = attachFreshness({ method, headers });
+  res.req.res = res;
+  res.getWritten = () => Buffer.concat(written).toString();
+  return res;
+}
+
+describe('generateETag()', () => {
+  it('should create a stable weak tag', () => {
+    const etag = generateETag('hello');
+
+    assert.match(etag, /^W\/"5-[\w-]{27}"$/);
+    assert.strictEqual(generateETag(Buffer.from('hello')), etag);
+    assert.notStrictEqual(generateETag('hellO'), etag);
+  });
+});
+
+describe('fileETag()', () => {
+  it('should create a strong tag from mtime and size', () => {
+    assert.strictEqual(fileETag({ mtimeMs: 0x5f5e1000 * 1000, size: 255 }), '"5f5e1000-ff"');
+  });
+});
+
+describe('evaluatePreconditions()', () => {
+  const validators = { etag: '"v2"', lastModified: LAST_MODIFIED };
+  const evaluate = (headers, method = 'GET') => evaluatePreconditions({ method, headers }, validators);
+
+  it('should carry on without preconditions', () => {
+    assert.strictEqual(evaluate({}), 200);
+  });
+
+  it('should answer 304 for a matching If-None-Match', () => {
+    assert.strictEqual(evaluate({ 'if-none-match': '"v1", "v2"' }), 304);
+    assert.strictEqual(evaluate({ 'if-none-match': 'W/"v2"' }), 304);
+    assert.strictEqual(evaluate({ 'if-none-match': '*' }), 304);
+    assert.strictEqual(evaluate({ 'if-none-match': '"v1"' }), 200);
+  });
+
+  it('should answer 412 for a matching If-None-Match on unsafe methods', () => {
+    assert.strictEqual(evaluate({ 'if-none-match': '*' }, 'PUT'), 412);
+  });
+
+  it('should answer 304 when not modified since', () => {
+    assert.strictEqual(evaluate({ 'if-modified-since': LAST_MODIFIED }), 304);
+    assert.strictEqual(evaluate({ 'if-modified-since': EARLIER }), 200);
+    assert.strictEqual(evaluate({ 'if-modified-since': 'garbage' }), 200);
+  });
+
+  it('should ignore If-Modified-Since when If-None-Match is present', () => {
+    assert.strictEqual(evaluate({ 'if-none-match': '"v1"', 'if-modified-since': LAST_MODIFIED }), 200);
+  });
+
+  it('should answer 412 when If-Match fails', () => {
+    assert.strictEqual(evaluate({ 'if-match': '"v1"' }, 'PUT'), 412);
+    assert.strictEqual(evaluate({ 'if-match': 'W/"v2"' }, 'PUT'), 412);
+    assert.strictEqual(evaluate({ 'if-match': '"v2"' }, 'PUT'), 200);
+    assert.strictEqual(evaluate({ 'if-match': '*' }, 'PUT'), 200);
+  });
+
+  it('should answer 412 when modified since If-Unmodified-Since', () => {
+    assert.strictEqual(evaluate({ 'if-unmodified-since': EARLIER }, 'DELETE'), 412);
+    assert.strictEqual(evaluate({ 'if-unmodified-since': LAST_MODIFIED }, 'DELETE'), 200);
+  });
+});
+
+describe('req.fresh / req.stale', () => {
+  it('should be fresh when the client has the current version', () => {
+    const res = createResponse({ 'if-none-match': '"v2"' });
+    res.set('ETag', '"v2"');
+
+    assert.strictEqual(res.req.fresh, true);
+    assert.strictEqual(res.req.stale, false);
+  });
+
+  it('should be stale for other versions, methods and statuses', () => {
+    const res = createResponse({ 'if-none-match': '"v1"' });
+    res.set('ETag', '"v2"');
+    assert.strictEqual(res.req.stale, true);
+
+    const post = createResponse({ 'if-none-match': '"v2"' }, 'POST');
+    post.set('ETag', '"v2"');
+    assert.strictEqual(post.req.fresh, false);
+
+    const notFound = createResponse({ 'if-none-match': '"v2"' });
+    notFound.set('ETag', '"v2"').status(404);
+    assert.strictEqual(notFound.req.fresh, false);
+  });
+
+  it('should be stale when the client sends Cache-Control: no-cache', () => {
+    const res = createResponse({ 'if-none-match': '"v2"', 'cache-control': 'no-cache' });
+    res.set('ETag', '"v2"');
+
+    assert.strictEqual(isFresh(res.req, res), false);
+  });
+
+  it('should be stale before a response exists', () => {
+    assert.strictEqual(attachFreshness({ method: 'GET', headers: {} }).fresh, false);
+  });
+});
+
+describe('respondConditionally()', () => {
+  it('should tag the body and carry on', () => {
+    const res = createResponse();
+
+    assert.strictEqual(respondConditionally(res, 'hello'), false);
+    assert.strictEqual(res.get('ETag'), generateETag('hello'));
+  });
+
+  it('should answer 304 without body headers', () => {
+    const res = createResponse({ 'if-none-match': generateETag('hello') });
+    res.set('Content-Length', 5);
+
+    assert.strictEqual(respondConditionally(res, 'hello'), true);
+    assert.strictEqual(res.statusCode, 304);
+    assert.strictEqual(res.get('Content-Type'), undefined);
+    assert.strictEqual(res.get('Content-Length'), undefined);
+    assert.ok(res.getWritten().includes('Status: 304 Not Modified'));
+  });
+
+  it('should answer 412 for a failed If-Match', () => {
+    const res = createResponse({ 'if-match': '"other"' });
+
+    res.set('Content-Length', 5);
+
+    assert.strictEqual(respondConditionally(res, 'hello'), true);
+    assert.strictEqual(res.statusCode, 412);
+    assert.strictEqual(res.get('Content-Length'), undefined);
+    assert.ok(!res.getWritten().includes('Content-Length: 5'));
+  });
+
+  it('should keep an ETag set by the handler', () => {
+    const res = createResponse({ 'if-none-match': '"v7"' });
+    res.set('ETag', '"v7"');
+
+    assert.strictEqual(respondConditionally(res, 'hello'), true);
+    assert.strictEqual(res.statusCode, 304);
+  });
+
+  it('should not generate ETags when disabled', () => {
+    const res = createResponse();
+    res.etag = false;
+    respondConditionally(res, 'hello');
+
+    assert.strictEqual(res.get('ETag'), undefined);
+  });
+
+  it('should leave errors and unsafe methods alone', () => {
+    const error = createResponse({ 'if-none-match': '*' });
+    error.status(500);
+    assert.strictEqual(respondConditionally(error, 'oops'), false);
+
+    const post = createResponse({ 'if-none-match': '*' }, 'POST');
+    assert.strictEqual(respondConditionally(post, 'ok'), false);
+  });
+});
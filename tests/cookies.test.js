@@ -0,0 +1,179 @@
+/**
+ * Cookies Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeSecrets,
+  signCookie,
+  unsignCookie,
+  encryptCookie,
+  decryptCookie,
+  encodeCookieValue,
+  parseSignedCookies,
+} from '../src/cookies.js';
+import { parseCGIEnv } from '../src/cgi.js';
+import { Response } from '../src/response.js';
+
+/**
+ * Pull the decoded value of a Set-Cookie line out of CGI output
+ */
+function setCookieValue(output, name) {
+  const match = new RegExp(`Set-Cookie: ${name}=([^;\\r]*)`).exec(output);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+describe('normalizeSecrets()', () => {
+  it('should accept a string or an array', () => {
+    assert.deepStrictEqual(normalizeSecrets('a'), ['a']);
+    assert.deepStrictEqual(normalizeSecrets(['a', 'b']), ['a', 'b']);
+  });
+
+  it('should drop empty secrets', () => {
+    assert.deepStrictEqual(normalizeSecrets(undefined), []);
+    assert.deepStrictEqual(normalizeSecrets(['', 'b']), ['b']);
+  });
+});
+
+describe('signCookie() / unsignCookie()', () => {
+  it('should round-trip a value', () => {
+    const signed = signCookie('user=42', 'secret');
+
+    assert.ok(signed.startsWith('s:user=42.'));
+    assert.strictEqual(unsignCookie(signed, 'secret'), 'user=42');
+  });
+
+  it('should reject a tampered value', () => {
+    const signed = signCookie('42', 'secret');
+
+    assert.strictEqual(unsignCookie(signed.replace('42', '43'), 'secret'), false);
+    assert.strictEqual(unsignCookie(signed, 'other'), false);
+    assert.strictEqual(unsignCookie('42', 'secret'), false);
+  });
+
+  it('should verify with rotated-out secrets', () => {
+    const signed = signCookie('42', 'old');
+
+    assert.strictEqual(unsignCookie(signed, ['new', 'old']), '42');
+  });
+
+  it('should bind the signature to the cookie name', () => {
+    const signed = signCookie('42', 'secret', 'user');
+
+    assert.strictEqual(unsignCookie(signed, 'secret', 'user'), '42');
+    assert.strictEqual(unsignCookie(signed, 'secret', 'admin'), false);
+  });
+});
+
+describe('encryptCookie() / decryptCookie()', () => {
+  it('should round-trip a value without exposing it', () => {
+    const encrypted = encryptCookie('card=4111', 'secret');
+
+    assert.ok(encrypted.startsWith('e:'));
+    assert.ok(!encrypted.includes('4111'));
+    assert.strictEqual(decryptCookie(encrypted, 'secret'), 'card=4111');
+  });
+
+  it('should use a fresh IV for every value', () => {
+    assert.notStrictEqual(encryptCookie('a', 'secret'), encryptCookie('a', 'secret'));
+  });
+
+  it('should reject tampered or truncated values', () => {
+    const encrypted = encryptCookie('42', 'secret');
+    const last = encrypted.at(-1) === 'A' ? 'B' : 'A';
+
+    assert.strictEqual(decryptCookie(encrypted.slice(0, -1) + last, 'secret'), false);
+    assert.strictEqual(decryptCookie('e:abc', 'secret'), false);
+    assert.strictEqual(decryptCookie(encrypted, 'other'), false);
+  });
+
+  it('should decrypt with rotated-out secrets', () => {
+    assert.strictEqual(decryptCookie(encryptCookie('42', 'old'), ['new', 'old']), '42');
+  });
+
+  it('should authenticate the cookie name', () => {
+    const encrypted = encryptCookie('42', 'secret', 'user');
+
+    assert.strictEqual(decryptCookie(encrypted, 'secret', 'user'), '42');
+    assert.strictEqual(decryptCookie(encrypted, 'secret', 'admin'), false);
+    assert.strictEqual(decryptCookie(encrypted, 'secret'), false);
+  });
+});
+
+describe('encodeCookieValue()', () => {
+  it('should leave plain values alone', () => {
+    assert.strictEqual(encodeCookieValue(42, {}, null), '42');
+  });
+
+  it('should sign with the first secret', () => {
+    const value = encodeCookieValue('42', { signed: true }, ['new', 'old']);
+
+    assert.strictEqual(unsignCookie(value, 'new'), '42');
+    assert.strictEqual(unsignCookie(value, 'old'), false);
+  });
+
+  it('should throw without a secret', () => {
+    assert.throws(() => encodeCookieValue('42', { signed: true }, undefined), /cookieSecret/);
+    assert.throws(() => encodeCookieValue('42', { encrypted: true }, []), /cookieSecret/);
+  });
+});
+
+describe('parseSignedCookies()', () => {
+  it('should move verified cookies to signedCookies', () => {
+    const result = parseSignedCookies({
+      theme: 'dark',
+      user: signCookie('42', 'secret', 'user'),
+      card: encryptCookie('4111', 'secret', 'card'),
+    }, 'secret');
+
+    assert.deepStrictEqual(result.cookies, { theme: 'dark' });
+    assert.deepStrictEqual(result.signedCookies, { user: '42', card: '4111' });
+  });
+
+  it('should drop protected values copied into another cookie', () => {
+    const result = parseSignedCookies({
+      admin: signCookie('42', 'secret', 'user'),
+      session: encryptCookie('4111', 'secret', 'card'),
+    }, 'secret');
+
+    assert.deepStrictEqual(result, { cookies: {}, signedCookies: {} });
+  });
+
+  it('should drop tampered cookies', () => {
+    const result = parseSignedCookies({ user: 's:42.forged' }, 'secret');
+
+    assert.deepStrictEqual(result, { cookies: {}, signedCookies: {} });
+  });
+
+  it('should leave cookies untouched without a secret', () => {
+    const result = parseSignedCookies({ user: 's:42.sig' }, undefined);
+
+    assert.deepStrictEqual(result, { cookies: { user: 's:42.sig' }, signedCookies: {} });
+  });
+});
+
+describe('signed cookie round trip', () => {
+  it('should read back cookies set by res.cookie()', () => {
+    let output = '';
+    const res = new Response({
+      write: (chunk) => {
+        output += chunk;
+      },
+    });
+    res.cookieSecret = 'secret';
+
+    res.cookie('user', '42', { signed: true });
+    res.cookie('card', '4111', { encrypted: true });
+    res.cookie('theme', 'dark');
+    res.end();
+
+    const cookie = ['user', 'card', 'theme']
+      .map((name) => `${name}=${encodeURIComponent(setCookieValue(output, name))}`)
+      .join('; ');
+    const req = parseCGIEnv({ HTTP_COOKIE: cookie }, { cookieSecret: ['newer', 'secret'] });
+
+    assert.deepStrictEqual(req.cookies, { theme: 'dark' });
+    assert.deepStrictEqual(req.signedCookies, { user: '42', card: '4111' });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Content-Disposition Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { contentDisposition } from '../src/disposition.js';
+
+describe('contentDisposition()', () => {
+  it('should return the bare type without a filename', () => {
+    assert.strictEqual(contentDisposition(), 'attachment');
+    assert.strictEqual(contentDisposition('', { type: 'inline' }), 'inline');
+  });
+
+  it('should quote plain ASCII filenames', () => {
+    assert.strictEqual(contentDisposition('report 2026.pdf'), 'attachment; filename="report 2026.pdf"');
+  });
+
+  it('should escape quotes and backslashes', () => {
+    assert.strictEqual(contentDisposition('say "hi".txt'), 'attachment; filename="say \\"hi\\".txt"');
+  });
+
+  it('should add filename* for non-ASCII names', () => {
+    assert.strictEqual(
+      contentDisposition('résumé.pdf'),
+      'attachment; filename="resume.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf',
+    );
+    assert.strictEqual(
+      contentDisposition('数据 (1).csv'),
+      'attachment; filename="__ (1).csv"; filename*=UTF-8\'\'%E6%95%B0%E6%8D%AE%20%281%29.csv',
+    );
+  });
+
+  it('should use only the last path segment', () => {
+    assert.strictEqual(contentDisposition('/etc/passwd'), 'attachment; filename="passwd"');
+    assert.strictEqual(contentDisposition('C:\\Users\\me\\notes.txt'), 'attachment; filename="notes.txt"');
+  });
+
+  it('should drop control characters', () => {
+    assert.strictEqual(contentDisposition('a\r\nSet-Cookie: x.txt'), 'attachment; filename="aSet-Cookie: x.txt"');
+  });
+
+  it('should build inline dispositions', () => {
+    assert.strictEqual(contentDisposition('photo.png', { type: 'inline' }), 'inline; filename="photo.png"');
+  });
+});
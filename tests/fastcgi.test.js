@@ -5,15 +5,23 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { Socket } from 'node:net';
-import { Writable } from 'node:stream';
+import { Readable, Writable } from 'node:stream';
+import { EventEmitter, once } from 'node:events';
+import { setImmediate } from 'node:timers';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gzipSync } from 'node:zlib';
 import { FastCGIServer, FCGIResponse, createFastCGIServer } from '../src/fastcgi.js';
 
 // FastCGI constants for testing
 const FCGI_VERSION_1 = 1;
 const FCGI_BEGIN_REQUEST = 1;
+const FCGI_ABORT_REQUEST = 2;
 const FCGI_END_REQUEST = 3;
 const FCGI_PARAMS = 4;
 const FCGI_STDIN = 5;
+const FCGI_STDOUT = 6;
 const FCGI_RESPONDER = 1;
 
 /**
@@ -78,6 +86,24 @@ function buildStdin(requestId, data = '') {
   return Buffer.concat([header, content]);
 }
 
+/**
+ * Concatenate the content of the FCGI_STDOUT records written to a socket
+ */
+function readStdout(buffer) {
+  const content = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const contentLength = buffer.readUInt16BE(offset + 4);
+    if (buffer.readUInt8(offset + 1) === FCGI_STDOUT) {
+      content.push(buffer.subarray(offset + 8, offset + 8 + contentLength));
+    }
+    offset += 8 + contentLength + buffer.readUInt8(offset + 6);
+  }
+
+  return Buffer.concat(content).toString();
+}
+
 /**
  * Create a mock socket for testing
  */
@@ -118,42 +144,119 @@ describe('FCGIResponse', () => {
   describe('set() / header()', () => {
     it('should set headers', () => {
       res.set('X-Custom', 'value');
-      assert.strictEqual(res._headers['X-Custom'], 'value');
+      assert.strictEqual(res.get('X-Custom'), 'value');
     });
 
     it('should set multiple headers from object', () => {
       res.set({ 'X-One': '1', 'X-Two': '2' });
-      assert.strictEqual(res._headers['X-One'], '1');
-      assert.strictEqual(res._headers['X-Two'], '2');
+      assert.strictEqual(res.get('X-One'), '1');
+      assert.strictEqual(res.get('X-Two'), '2');
     });
   });
 
   describe('type()', () => {
     it('should set Content-Type for shorthand', () => {
       res.type('json');
-      assert.strictEqual(res._headers['Content-Type'], 'application/json; charset=utf-8');
+      assert.strictEqual(res.get('Content-Type'), 'application/json; charset=utf-8');
     });
   });
 
   describe('cookie()', () => {
     it('should add cookie to list', () => {
       res.cookie('session', 'abc123');
-      assert.strictEqual(res._cookies.length, 1);
-      assert.ok(res._cookies[0].includes('session=abc123'));
+      assert.ok(res.get('Set-Cookie').includes('session=abc123'));
+    });
+
+    it('should sign cookies with the cookie secret', () => {
+      res.cookieSecret = 'secret';
+      res.cookie('user', '42', { signed: true });
+      assert.ok(res.get('Set-Cookie').startsWith('user=s%3A42.'));
+    });
+
+    it('should refuse signed cookies without a secret', () => {
+      assert.throws(() => res.cookie('user', '42', { signed: true }), /cookieSecret/);
     });
 
     it('should handle cookie options', () => {
       res.cookie('token', 'xyz', { httpOnly: true, secure: true });
-      assert.ok(res._cookies[0].includes('HttpOnly'));
-      assert.ok(res._cookies[0].includes('Secure'));
+      assert.ok(res.get('Set-Cookie').includes('HttpOnly'));
+      assert.ok(res.get('Set-Cookie').includes('Secure'));
     });
   });
 
   describe('write()', () => {
-    it('should buffer content', () => {
+    it('should send STDOUT records immediately', () => {
       res.write('Hello');
+      assert.ok(socket.getWritten().toString().includes('Hello'));
       res.write(' World');
-      assert.strictEqual(res._buffer.length, 3); // headers + 2 writes
+      assert.ok(socket.getWritten().toString().includes(' World'));
+    });
+
+    it('should coalesce small writes until they reach the limit', () => {
+      res.coalesce = 1024;
+      res.write('Hello');
+      assert.strictEqual(socket.getWritten().length, 0);
+
+      res.write(Buffer.alloc(1024, 'x'));
+      assert.ok(socket.getWritten().toString().includes('Hello'));
+    });
+
+    it('should send coalesced writes at the end of the tick', async () => {
+      res.coalesce = 1024;
+      res.write('Hello');
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.ok(socket.getWritten().toString().includes('Hello'));
+    });
+
+    it('should send coalesced writes on flush()', () => {
+      res.coalesce = 1024;
+      res.write('Hello');
+      res.flush();
+      assert.ok(socket.getWritten().toString().includes('Hello'));
+    });
+
+    it('should send the headers on flush()', () => {
+      res.flush();
+      assert.strictEqual(res.headersSent, true);
+      assert.ok(socket.getWritten().toString().includes('Status: 200 OK'));
+    });
+
+    it('should wait for the socket to drain', async () => {
+      const writes = [];
+      const slow = new EventEmitter();
+      slow.destroyed = false;
+      slow.write = (record) => {
+        writes.push(record);
+        return false;
+      };
+      res = new FCGIResponse(slow, 1);
+
+      let drained = false;
+      res.on('drain', () => {
+        drained = true;
+      });
+
+      assert.strictEqual(res.write('Hello'), false);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(drained, false);
+
+      slow.emit('drain');
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(drained, true);
+    });
+
+    it('should stop writing to a destroyed socket', () => {
+      socket.destroyed = true;
+      res.end('Hello');
+      assert.strictEqual(socket.getWritten().length, 0);
+    });
+
+    it('should accept piped streams', async () => {
+      const finished = once(res, 'finish');
+      Readable.from(['one ', 'two ', 'three']).pipe(res);
+      await finished;
+
+      assert.ok(socket.getWritten().toString().includes('three'));
     });
 
     it('should add headers on first write', () => {
@@ -210,14 +313,74 @@ describe('FCGIResponse', () => {
 
     it('should send object as JSON', () => {
       res.send({ test: true });
-      assert.strictEqual(res._headers['Content-Type'], 'application/json; charset=utf-8');
+      assert.strictEqual(res.get('Content-Type'), 'application/json; charset=utf-8');
     });
   });
 
   describe('json()', () => {
     it('should set JSON content type', () => {
       res.json({ data: 123 });
-      assert.strictEqual(res._headers['Content-Type'], 'application/json; charset=utf-8');
+      assert.strictEqual(res.get('Content-Type'), 'application/json; charset=utf-8');
+    });
+  });
+
+  describe('sendFile()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+      writeFileSync(join(dir, 'clip.txt'), '0123456789');
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should send the whole file', async () => {
+      await res.sendFile(join(dir, 'clip.txt'));
+      const written = readStdout(socket.getWritten());
+
+      assert.ok(written.includes('Status: 200 OK'));
+      assert.ok(written.includes('Content-Type: text/plain'));
+      assert.ok(written.includes('Accept-Ranges: bytes'));
+      assert.ok(written.includes('\r\n\r\n0123456789'));
+    });
+
+    it('should send a requested range as 206', async () => {
+      res.req = { method: 'GET', headers: { range: 'bytes=-3' } };
+      await res.sendFile(join(dir, 'clip.txt'));
+      const written = readStdout(socket.getWritten());
+
+      assert.ok(written.includes('Status: 206 Partial Content'));
+      assert.ok(written.includes('Content-Range: bytes 7-9/10'));
+      assert.ok(written.includes('\r\n\r\n789'));
+    });
+
+    it('should answer 404 for missing files', async () => {
+      await res.sendFile(join(dir, 'missing.txt'));
+
+      assert.strictEqual(res.statusCode, 404);
+    });
+  });
+
+  describe('format()', () => {
+    it('should pick the handler from the Accept header', () => {
+      res.req = { headers: { accept: 'text/html' } };
+      res.format({
+        json: () => res.json({}),
+        html: () => res.send('<p>hi</p>'),
+      });
+
+      assert.strictEqual(res.get('Content-Type'), 'text/html; charset=utf-8');
+      assert.strictEqual(res.get('Vary'), 'Accept, Accept-Encoding');
+    });
+
+    it('should respond 406 when nothing matches', () => {
+      res.req = { headers: { accept: 'image/png' } };
+      res.format({ json: () => res.json({}) });
+
+      assert.strictEqual(res.statusCode, 406);
+      assert.ok(socket.getWritten().toString().includes('Status: 406 Not Acceptable'));
     });
   });
 
@@ -225,7 +388,7 @@ describe('FCGIResponse', () => {
     it('should set location header and status', () => {
       res.redirect('/new-path');
       assert.strictEqual(res._statusCode, 302);
-      assert.strictEqual(res._headers['Location'], '/new-path');
+      assert.strictEqual(res.get('Location'), '/new-path');
     });
 
     it('should support custom status code', () => {
@@ -354,6 +517,372 @@ describe('FastCGIServer', () => {
         });
       });
     });
+
+    it('should decode gzip request bodies', (_, done) => {
+      server = new FastCGIServer();
+
+      server.on('request', (req, res) => {
+        assert.deepStrictEqual(req.body, { name: 'Zip' });
+        res.end();
+        done();
+      });
+
+      server.listen(19011, () => {
+        const client = new Socket();
+        client.connect(19011, '127.0.0.1', () => {
+          const body = gzipSync('{"name":"Zip"}');
+
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, {
+            REQUEST_METHOD: 'POST',
+            CONTENT_TYPE: 'application/json',
+            HTTP_CONTENT_ENCODING: 'gzip',
+          }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, body));
+          client.write(buildStdin(1, ''));
+        });
+      });
+    });
+
+    it('should parse multipart uploads and remove temp files on finish', (_, done) => {
+      server = new FastCGIServer();
+
+      server.on('request', (req, res) => {
+        assert.deepStrictEqual(req.body, { title: 'Hi' });
+        const { path } = req.files.doc;
+        assert.strictEqual(readFileSync(path, 'utf8'), 'contents');
+
+        res.end();
+        setTimeout(() => {
+          assert.strictEqual(existsSync(path), false);
+          done();
+        }, 50);
+      });
+
+      server.listen(19006, () => {
+        const client = new Socket();
+        client.connect(19006, '127.0.0.1', () => {
+          const body = [
+            '--b1\r\nContent-Disposition: form-data; name="title"\r\n\r\nHi\r\n',
+            '--b1\r\nContent-Disposition: form-data; name="doc"; filename="d.txt"\r\n\r\ncontents\r\n',
+            '--b1--\r\n',
+          ].join('');
+
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, {
+            REQUEST_METHOD: 'POST',
+            CONTENT_TYPE: 'multipart/form-data; boundary=b1',
+          }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, body));
+          client.write(buildStdin(1, ''));
+        });
+      });
+    });
+
+    it('should stream stdin to the handler when streamBody is set', (_, done) => {
+      server = new FastCGIServer({ streamBody: true });
+      let client;
+
+      server.on('request', async (req, res) => {
+        // Emitted before stdin has completed
+        const first = await new Promise((resolve) => req.stream.once('data', resolve));
+        assert.strictEqual(first.toString(), 'part one,');
+        client.write(buildStdin(1, 'part two'));
+        client.write(buildStdin(1, ''));
+
+        const rest = [];
+        for await (const chunk of req.stream) {
+          rest.push(chunk);
+        }
+        assert.strictEqual(Buffer.concat(rest).toString(), 'part two');
+        res.end();
+        client.destroy();
+        done();
+      });
+
+      server.listen(19008, () => {
+        client = new Socket();
+        client.connect(19008, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, { REQUEST_METHOD: 'POST' }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, 'part one,'));
+        });
+      });
+    });
+
+    it('should keep serving a connection after a handler ignores its streamed body', (_, done) => {
+      server = new FastCGIServer({ streamBody: true });
+
+      server.on('request', (req, res) => {
+        if (req.uri === '/upload') {
+          // Answer once the body has backed up, without reading it
+          setTimeout(() => res.status(401).end('denied'), 50);
+        } else {
+          res.end('second');
+        }
+      });
+
+      server.listen(19016, () => {
+        const client = new Socket();
+        const received = [];
+        client.on('data', (chunk) => received.push(chunk));
+        client.connect(19016, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1, FCGI_RESPONDER, true));
+          client.write(buildParams(1, { REQUEST_METHOD: 'POST', REQUEST_URI: '/upload' }));
+          client.write(buildParams(1, {}));
+          for (let i = 0; i < 4; i++) {
+            client.write(buildStdin(1, 'x'.repeat(60000)));
+          }
+          client.write(buildStdin(1, ''));
+
+          client.write(buildBeginRequest(2, FCGI_RESPONDER, true));
+          client.write(buildParams(2, { REQUEST_METHOD: 'GET', REQUEST_URI: '/next' }));
+          client.write(buildParams(2, {}));
+          client.write(buildStdin(2, ''));
+        });
+
+        setTimeout(() => {
+          const output = readStdout(Buffer.concat(received));
+          assert.ok(output.includes('denied'));
+          assert.ok(output.includes('second'));
+          client.end();
+          done();
+        }, 300);
+      });
+    });
+
+    it('should answer 413 when stdin exceeds maxBodySize', (_, done) => {
+      server = new FastCGIServer({ maxBodySize: 10 });
+      let handlerCalled = false;
+
+      server.on('request', () => {
+        handlerCalled = true;
+      });
+
+      server.listen(19009, () => {
+        const client = new Socket();
+        const received = [];
+        client.on('data', (chunk) => received.push(chunk));
+        client.connect(19009, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, { REQUEST_METHOD: 'POST' }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, 'x'.repeat(8)));
+          client.write(buildStdin(1, 'x'.repeat(8)));
+        });
+
+        setTimeout(() => {
+          const output = Buffer.concat(received).toString();
+          assert.ok(output.includes('Status: 413 Content Too Large'));
+          assert.strictEqual(handlerCalled, false);
+          client.destroy();
+          done();
+        }, 100);
+      });
+    });
+
+    it('should look up a per-request maxBodySize before reading stdin', (_, done) => {
+      server = new FastCGIServer({ maxBodySize: (req) => (req.path === '/upload' ? 64 : undefined) });
+
+      server.on('request', (req, res) => {
+        res.end(`read ${req.rawBody.length}`);
+      });
+
+      server.listen(19017, () => {
+        const client = new Socket();
+        const received = [];
+        client.on('data', (chunk) => received.push(chunk));
+        client.connect(19017, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, { REQUEST_METHOD: 'POST', REQUEST_URI: '/upload' }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, 'x'.repeat(40)));
+          client.write(buildStdin(1, ''));
+
+          client.write(buildBeginRequest(2));
+          client.write(buildParams(2, { REQUEST_METHOD: 'POST', REQUEST_URI: '/upload', CONTENT_LENGTH: '100' }));
+          client.write(buildParams(2, {}));
+        });
+
+        setTimeout(() => {
+          const output = readStdout(Buffer.concat(received));
+          assert.ok(output.includes('read 40'));
+          assert.ok(output.includes('Status: 413 Content Too Large'));
+          client.end();
+          done();
+        }, 100);
+      });
+    });
+
+    it('should answer 400 for a malformed multipart body', (_, done) => {
+      server = new FastCGIServer();
+      let handlerCalled = false;
+
+      server.on('request', () => {
+        handlerCalled = true;
+      });
+
+      server.listen(19007, () => {
+        const client = new Socket();
+        const received = [];
+        client.on('data', (chunk) => received.push(chunk));
+        client.connect(19007, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, {
+            REQUEST_METHOD: 'POST',
+            CONTENT_TYPE: 'multipart/form-data',
+          }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, 'garbage'));
+          client.write(buildStdin(1, ''));
+        });
+
+        setTimeout(() => {
+          const output = Buffer.concat(received).toString();
+          assert.ok(output.includes('Status: 400 Bad Request'));
+          assert.strictEqual(handlerCalled, false);
+          client.destroy();
+          done();
+        }, 100);
+      });
+    });
+  });
+
+  describe('sse()', () => {
+    it('should close the event stream on FCGI_ABORT_REQUEST', (_, done) => {
+      server = new FastCGIServer();
+
+      server.on('request', (req, res) => {
+        const stream = res.sse({ heartbeat: 0 });
+        assert.strictEqual(stream.lastEventId, '41');
+        stream.send({ id: 42, data: 'hello' });
+        stream.on('close', () => {
+          assert.strictEqual(res.aborted, true);
+          assert.strictEqual(stream.send('late'), false);
+          client.destroy();
+          done();
+        });
+      });
+
+      let client;
+      server.listen(19013, () => {
+        client = new Socket();
+        client.once('data', (chunk) => {
+          assert.ok(chunk.toString().includes('text/event-stream'));
+          client.write(buildHeader(FCGI_ABORT_REQUEST, 1, 0));
+        });
+        client.connect(19013, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1, FCGI_RESPONDER, true));
+          client.write(buildParams(1, {
+            REQUEST_METHOD: 'GET',
+            HTTP_ACCEPT: 'text/event-stream',
+            HTTP_LAST_EVENT_ID: '41',
+          }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, ''));
+        });
+      });
+    });
+
+    it('should close the event stream when the connection drops', (_, done) => {
+      server = new FastCGIServer();
+
+      server.on('request', (req, res) => {
+        const stream = res.sse({ heartbeat: 0 });
+        stream.on('close', () => done());
+        setImmediate(() => client.end());
+      });
+
+      let client;
+      server.listen(19014, () => {
+        client = new Socket();
+        client.connect(19014, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1, FCGI_RESPONDER, true));
+          client.write(buildParams(1, { REQUEST_METHOD: 'GET' }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, ''));
+        });
+      });
+    });
+  });
+
+  describe('strictBody', () => {
+    it('should answer a structured 400 for malformed JSON', (_, done) => {
+      server = new FastCGIServer({ strictBody: true, development: true });
+      let handlerCalled = false;
+
+      server.on('request', () => {
+        handlerCalled = true;
+      });
+
+      server.listen(19012, () => {
+        const client = new Socket();
+        const received = [];
+        client.on('data', (chunk) => received.push(chunk));
+        client.connect(19012, '127.0.0.1', () => {
+          client.write(buildBeginRequest(1));
+          client.write(buildParams(1, {
+            REQUEST_METHOD: 'POST',
+            CONTENT_TYPE: 'application/json',
+          }));
+          client.write(buildParams(1, {}));
+          client.write(buildStdin(1, '{"a":1,}'));
+          client.write(buildStdin(1, ''));
+        });
+
+        setTimeout(() => {
+          const output = Buffer.concat(received).toString();
+          assert.ok(output.includes('Status: 400 Bad Request'));
+          assert.ok(output.includes('"error":"Malformed JSON body","position":7,"line":1,"column":8'));
+          assert.strictEqual(handlerCalled, false);
+          client.destroy();
+          done();
+        }, 100);
+      });
+    });
+  });
+
+  describe('render()', () => {
+    it('should reuse compiled templates across requests', (_, done) => {
+      const dir = mkdtempSync(join(tmpdir(), 'fcgi-views-'));
+      writeFileSync(join(dir, 'page.txt'), 'Hello NAME');
+      let compiled = 0;
+      const engine = {
+        compile(source) {
+          compiled++;
+          return (locals) => source.replace('NAME', locals.name);
+        },
+      };
+
+      server = new FastCGIServer({ views: { dir, ext: '.txt', engines: { txt: engine } } });
+      let rendered = 0;
+
+      server.on('request', async (req, res) => {
+        await res.render('page', { name: req.query.name });
+        if (++rendered === 2) {
+          assert.strictEqual(compiled, 1);
+          client.destroy();
+          rmSync(dir, { recursive: true, force: true });
+          done();
+        }
+      });
+
+      let client;
+      server.listen(19015, () => {
+        client = new Socket();
+        client.connect(19015, '127.0.0.1', () => {
+          for (const requestId of [1, 2]) {
+            client.write(buildBeginRequest(requestId, FCGI_RESPONDER, true));
+            client.write(buildParams(requestId, { REQUEST_METHOD: 'GET', QUERY_STRING: `name=${requestId}` }));
+            client.write(buildParams(requestId, {}));
+            client.write(buildStdin(requestId, ''));
+          }
+        });
+      });
+    });
   });
 
   describe('close()', () => {
@@ -0,0 +1,96 @@
+/**
+ * Header Collection Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { HeaderMap, validateHeader } from '../src/headers.js';
+
+describe('validateHeader()', () => {
+  it('should accept tokens and visible values', () => {
+    validateHeader('X-Custom_Header.1', 'value\twith tab');
+    validateHeader('Content-Length', 42);
+    validateHeader('Vary', ['Accept', 'Origin']);
+  });
+
+  it('should reject bad names', () => {
+    for (const name of ['', 'Bad Name', 'Colon:', 'Ünicode', undefined]) {
+      assert.throws(() => validateHeader(name, 'v'), TypeError, String(name));
+    }
+  });
+
+  it('should reject control characters and missing values', () => {
+    assert.throws(() => validateHeader('X', 'a\r\nb'), /Invalid character in header X/);
+    assert.throws(() => validateHeader('X', 'nul\0'), TypeError);
+    assert.throws(() => validateHeader('X', undefined), TypeError);
+    assert.throws(() => validateHeader('X', ['ok', null]), TypeError);
+  });
+});
+
+describe('HeaderMap', () => {
+  it('should look names up in any case', () => {
+    const headers = new HeaderMap({ 'Content-Type': 'text/html' });
+    assert.strictEqual(headers.get('content-type'), 'text/html');
+    assert.strictEqual(headers.has('CONTENT-TYPE'), true);
+    assert.strictEqual(headers.get('X-Missing'), undefined);
+  });
+
+  it('should replace a header set in another case, keeping the new case', () => {
+    const headers = new HeaderMap({ 'Content-Type': 'text/html' });
+    headers.set('content-type', 'text/plain');
+    assert.deepStrictEqual(headers.lines(), [['content-type', 'text/plain']]);
+  });
+
+  it('should append to existing values', () => {
+    const headers = new HeaderMap();
+    headers.append('Link', '</a>');
+    assert.strictEqual(headers.get('Link'), '</a>');
+    headers.append('link', ['</b>', '</c>']);
+    assert.deepStrictEqual(headers.get('Link'), ['</a>', '</b>', '</c>']);
+  });
+
+  it('should copy arrays it is given', () => {
+    const values = ['a'];
+    const headers = new HeaderMap({ 'X-List': values });
+    values.push('b');
+    assert.deepStrictEqual(headers.get('X-List'), ['a']);
+  });
+
+  it('should delete in any case', () => {
+    const headers = new HeaderMap({ ETag: '"x"' });
+    assert.strictEqual(headers.delete('etag'), true);
+    assert.strictEqual(headers.has('ETag'), false);
+  });
+
+  it('should list lowercase names and an object of values', () => {
+    const headers = new HeaderMap({ 'Content-Type': 'text/html', 'X-Id': 7 });
+    assert.deepStrictEqual(headers.keys(), ['content-type', 'x-id']);
+    assert.deepStrictEqual({ ...headers.toObject() }, { 'content-type': 'text/html', 'x-id': 7 });
+    assert.strictEqual(Object.getPrototypeOf(headers.toObject()), null);
+  });
+
+  it('should join list fields and repeat the others', () => {
+    const headers = new HeaderMap({
+      Vary: ['Accept', 'Origin'],
+      'Cache-Control': ['no-cache', 'no-store'],
+      'Set-Cookie': ['a=1', 'b=2; Expires=Thu, 01 Jan 1970 00:00:00 GMT'],
+      'WWW-Authenticate': ['Basic realm="a"', 'Bearer'],
+      'Content-Length': 10,
+    });
+
+    assert.deepStrictEqual(headers.lines(), [
+      ['Vary', 'Accept, Origin'],
+      ['Cache-Control', 'no-cache, no-store'],
+      ['Set-Cookie', 'a=1'],
+      ['Set-Cookie', 'b=2; Expires=Thu, 01 Jan 1970 00:00:00 GMT'],
+      ['WWW-Authenticate', 'Basic realm="a"'],
+      ['WWW-Authenticate', 'Bearer'],
+      ['Content-Length', '10'],
+    ]);
+  });
+
+  it('should send nothing for an empty list', () => {
+    const headers = new HeaderMap({ Vary: [] });
+    assert.deepStrictEqual(headers.lines(), []);
+  });
+});
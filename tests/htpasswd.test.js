@@ -0,0 +1,69 @@
+/**
+ * htpasswd Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseHtpasswd, parseHtdigest, md5Crypt, safeEqual, verifyPassword } from '../src/htpasswd.js';
+
+describe('parseHtpasswd()', () => {
+  it('should map users to hashes, skipping comments and blanks', () => {
+    const users = parseHtpasswd('# admins\nalice:{SHA}abc\n\nbob:$apr1$x$y\r\n');
+
+    assert.deepStrictEqual([...users], [['alice', '{SHA}abc'], ['bob', '$apr1$x$y']]);
+  });
+});
+
+describe('parseHtdigest()', () => {
+  it('should key entries by user and realm', () => {
+    const entries = parseHtdigest('alice:Admin:0123ABCD\nbroken line\n');
+
+    assert.deepStrictEqual([...entries], [['alice:Admin', '0123abcd']]);
+  });
+});
+
+describe('md5Crypt()', () => {
+  it('should match Apache APR1 hashes', () => {
+    assert.strictEqual(md5Crypt('secret', 'abcdefgh'), '$apr1$abcdefgh$h9FWgUz3n9YxylKLlR5SQ/');
+    assert.strictEqual(md5Crypt('x', 'ab'), '$apr1$ab$eIePjsejfBGR8ITtu2z0U1');
+  });
+
+  it('should match $1$ MD5-crypt hashes', () => {
+    assert.strictEqual(md5Crypt('pässwörd', 'saltsalt', '$1$'), '$1$saltsalt$VReRfkQ8Hs1aayf/oxMkG/');
+  });
+});
+
+describe('safeEqual()', () => {
+  it('should compare strings of any length', () => {
+    assert.strictEqual(safeEqual('abc', 'abc'), true);
+    assert.strictEqual(safeEqual('abc', 'abd'), false);
+    assert.strictEqual(safeEqual('abc', 'abcd'), false);
+    assert.strictEqual(safeEqual('é', 'é'), true);
+  });
+});
+
+describe('verifyPassword()', () => {
+  it('should verify bcrypt hashes', async () => {
+    const hash = '$2y$04$abcdefghijklmnopqrstuuPp7HPfoAs8I2dCQCQ/fW7zEJv8I8C8e';
+
+    assert.strictEqual(await verifyPassword('x', hash), true);
+    assert.strictEqual(await verifyPassword('y', hash), false);
+  });
+
+  it('should verify {SHA} hashes', async () => {
+    const hash = '{SHA}5en6G6MezRroT3XKqkdPOmY/BfQ=';
+
+    assert.strictEqual(await verifyPassword('secret', hash), true);
+    assert.strictEqual(await verifyPassword('Secret', hash), false);
+  });
+
+  it('should verify APR1 hashes', async () => {
+    assert.strictEqual(await verifyPassword('secret', '$apr1$abcdefgh$h9FWgUz3n9YxylKLlR5SQ/'), true);
+    assert.strictEqual(await verifyPassword('secrets', '$apr1$abcdefgh$h9FWgUz3n9YxylKLlR5SQ/'), false);
+  });
+
+  it('should never match unsupported formats', async () => {
+    assert.strictEqual(await verifyPassword('secret', 'secret'), false);
+    assert.strictEqual(await verifyPassword('secret', 'abJnggxhB/yWI'), false);
+  });
+});
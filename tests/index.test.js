@@ -4,6 +4,9 @@
 
 import { describe, it, afterEach, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { Readable, Writable } from 'node:stream';
+import { execFileSync } from 'node:child_process';
+import { once } from 'node:events';
 import {
   handle,
   createServer,
@@ -13,8 +16,56 @@ import {
   createResponse,
   Response,
   FastCGIServer,
+  HttpError,
+  FCGIResponse,
 } from '../src/index.js';
 
+/**
+ * Run a CGI script body that calls handle() and return its stdout
+ * The script gets `handle` and `Readable` in scope
+ */
+function runCGI(script) {
+  const source = `
+    import { Readable } from 'node:stream';
+    import { handle } from ${JSON.stringify(new URL('../src/index.js', import.meta.url).href)};
+    ${script}
+  `;
+  return execFileSync(process.execPath, ['--input-type=module', '-e', source], {
+    env: { ...process.env, REQUEST_METHOD: 'GET', REQUEST_URI: '/stream' },
+    input: '',
+    timeout: 10000,
+  }).toString();
+}
+
+/**
+ * FastCGI response over a socket that keeps what was written
+ * body() concatenates the FCGI_STDOUT records after the headers
+ */
+function createFCGIResponse() {
+  const records = [];
+  const socket = new Writable({
+    write(chunk, encoding, callback) {
+      records.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  const res = new FCGIResponse(socket, 1);
+  res.body = () => {
+    const buffer = Buffer.concat(records);
+    const content = [];
+    for (let offset = 0; offset + 8 <= buffer.length;) {
+      const length = buffer.readUInt16BE(offset + 4);
+      if (buffer.readUInt8(offset + 1) === 6) {
+        content.push(buffer.subarray(offset + 8, offset + 8 + length));
+      }
+      offset += 8 + length + buffer.readUInt8(offset + 6);
+    }
+    const output = Buffer.concat(content).toString();
+    return output.slice(output.indexOf('\r\n\r\n') + 4);
+  };
+  return res;
+}
+
 describe('createRouter()', () => {
   let router;
 
@@ -159,6 +210,276 @@ describe('createRouter()', () => {
     });
   });
 
+  describe('maxBodySize', () => {
+    it('should answer 413 when the body exceeds the route limit', async () => {
+      let called = false;
+      let statusCode = null;
+      router.post('/upload', { maxBodySize: 4 }, () => {
+        called = true;
+      });
+
+      const res = {
+        status: (code) => {
+          statusCode = code;
+          return res;
+        },
+        type: () => res,
+        send: () => {},
+      };
+
+      await router.handle({ method: 'POST', path: '/upload', rawBody: Buffer.from('too long') }, res);
+      assert.strictEqual(called, false);
+      assert.strictEqual(statusCode, 413);
+    });
+
+    it('should use the router-wide limit when the route has none', async () => {
+      router = createRouter({ maxBodySize: 4 });
+      let statusCode = null;
+      router.post('/data', () => {});
+
+      const res = {
+        status: (code) => {
+          statusCode = code;
+          return res;
+        },
+        type: () => res,
+        send: () => {},
+      };
+
+      await router.handle({ method: 'POST', path: '/data', contentLength: '100' }, res);
+      assert.strictEqual(statusCode, 413);
+    });
+
+    it('should expose the route limit to streamed bodies', async () => {
+      let limit = null;
+      router.post('/stream', { maxBodySize: 1024 }, (req) => {
+        limit = req.maxBodySize;
+      });
+
+      await router.handle({ method: 'POST', path: '/stream', rawBody: null }, {});
+      assert.strictEqual(limit, 1024);
+    });
+
+    it('should answer 413 in the same plain text format as handle()', async () => {
+      let type = null;
+      let body = null;
+      router.post('/upload', { maxBodySize: 4 }, () => {});
+
+      const res = {
+        status: () => res,
+        type: (value) => {
+          type = value;
+          return res;
+        },
+        send: (value) => {
+          body = value;
+        },
+      };
+
+      await router.handle({ method: 'POST', path: '/upload', rawBody: Buffer.from('too long') }, res);
+      assert.strictEqual(type, 'text/plain');
+      assert.strictEqual(body, 'Request body exceeds the maximum size of 4 bytes');
+    });
+
+    it('should report the limit of the matching route through bodyLimit()', () => {
+      router = createRouter({ maxBodySize: 16 });
+      router.post('/upload', { maxBodySize: 1024 }, () => {});
+      router.post('/data', () => {});
+
+      assert.strictEqual(router.bodyLimit({ method: 'POST', path: '/upload' }), 1024);
+      assert.strictEqual(router.bodyLimit({ method: 'POST', path: '/data' }), 16);
+      assert.strictEqual(router.bodyLimit({ method: 'GET', path: '/missing' }), 16);
+      assert.strictEqual(createRouter().bodyLimit({ method: 'GET', path: '/' }), undefined);
+    });
+
+    it('should let a route limit above the global one apply while reading', async () => {
+      router = createRouter({ maxBodySize: 4 });
+      router.post('/upload', { maxBodySize: 64 }, () => {});
+      const options = { maxBodySize: router.bodyLimit };
+      const env = { REQUEST_METHOD: 'POST', REQUEST_URI: '/upload', CONTENT_TYPE: 'text/plain' };
+
+      const req = await createRequest(env, Readable.from([Buffer.from('x'.repeat(20))]), options);
+      assert.strictEqual(req.rawBody.length, 20);
+
+      await assert.rejects(
+        createRequest({ ...env, REQUEST_URI: '/other' }, Readable.from([Buffer.from('x'.repeat(20))]), options),
+        { statusCode: 413 },
+      );
+    });
+  });
+
+  describe('strictBody', () => {
+    function mockResponse() {
+      const res = {
+        statusCode: null,
+        body: null,
+        status: (code) => {
+          res.statusCode = code;
+          return res;
+        },
+        json: (body) => {
+          res.body = body;
+        },
+      };
+      return res;
+    }
+
+    it('should answer 400 for a body that failed to parse', async () => {
+      let called = false;
+      router.post('/items', () => {
+        called = true;
+      });
+
+      const res = mockResponse();
+      const bodyError = new HttpError(400, 'Malformed JSON body', { line: 1 });
+      await router.handle({ method: 'POST', path: '/items', rawBody: Buffer.from('{'), body: '{', bodyError }, res);
+
+      assert.strictEqual(called, false);
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body, { error: 'Malformed JSON body', line: 1 });
+    });
+
+    it('should let routes opt out', async () => {
+      let body = null;
+      router.post('/raw', { strictBody: false }, (req) => {
+        body = req.body;
+      });
+
+      const bodyError = new HttpError(400, 'Malformed JSON body', {});
+      await router.handle({ method: 'POST', path: '/raw', rawBody: Buffer.from('{'), body: '{', bodyError }, mockResponse());
+      assert.strictEqual(body, '{');
+    });
+
+    it('should check the body after the route parsers ran', async () => {
+      let body = null;
+      router.post('/items', { bodyParsers: { 'application/json': (raw, { text }) => ({ loose: text() }) } }, (req) => {
+        body = req.body;
+      });
+
+      const req = {
+        method: 'POST',
+        path: '/items',
+        contentType: 'application/json',
+        rawBody: Buffer.from('{'),
+        body: '{',
+        bodyError: new HttpError(400, 'Malformed JSON body', {}),
+      };
+      await router.handle(req, mockResponse());
+
+      assert.deepStrictEqual(body, { loose: '{' });
+      assert.strictEqual(req.bodyError, undefined);
+    });
+
+    it('should answer 400 when a route parser rejects the body', async () => {
+      let called = false;
+      const parseCsv = () => {
+        throw new HttpError(400, 'Malformed CSV body', { row: 2 });
+      };
+      router.post('/csv', { bodyParsers: { 'text/csv': parseCsv } }, () => {
+        called = true;
+      });
+
+      const res = mockResponse();
+      await router.handle({ method: 'POST', path: '/csv', contentType: 'text/csv', rawBody: Buffer.from('a\n"'), body: 'a\n"' }, res);
+
+      assert.strictEqual(called, false);
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body, { error: 'Malformed CSV body', row: 2 });
+    });
+
+    it('should use the server default below the router and route', async () => {
+      let body = null;
+      router.post('/raw', (req) => {
+        body = req.body;
+      });
+
+      const bodyError = new HttpError(400, 'Malformed JSON body', {});
+      const req = { method: 'POST', path: '/raw', rawBody: Buffer.from('{'), body: '{', bodyError, strictBody: false };
+      await router.handle(req, mockResponse());
+      assert.strictEqual(body, '{');
+    });
+
+    it('should answer 400 for a body of the wrong type', async () => {
+      let called = false;
+      router.post('/items', { type: ['application/json', 'application/*+json'] }, () => {
+        called = true;
+      });
+
+      const res = mockResponse();
+      await router.handle({ method: 'POST', path: '/items', contentType: 'text/plain', rawBody: Buffer.from('hi') }, res);
+
+      assert.strictEqual(called, false);
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body, {
+        error: 'Expected a application/json or application/*+json body',
+        contentType: 'text/plain',
+      });
+    });
+
+    it('should accept a body of the route type', async () => {
+      let called = false;
+      router.post('/items', { type: 'application/*+json' }, () => {
+        called = true;
+      });
+
+      await router.handle({
+        method: 'POST',
+        path: '/items',
+        contentType: 'application/vnd.api+json',
+        rawBody: Buffer.from('{}'),
+      }, mockResponse());
+      assert.strictEqual(called, true);
+    });
+  });
+
+  describe('bodyParsers', () => {
+    it('should re-parse the body with route parsers', async () => {
+      router = createRouter({ bodyParsers: { 'text/*': () => 'router' } });
+      let body = null;
+      router.post('/csv', { bodyParsers: { 'text/csv': (raw, { text }) => text().split(',') } }, (req) => {
+        body = req.body;
+      });
+
+      await router.handle({ method: 'POST', path: '/csv', contentType: 'text/csv', rawBody: Buffer.from('a,b'), body: 'a,b' }, {});
+      assert.deepStrictEqual(body, ['a', 'b']);
+    });
+
+    it('should fall back to router-wide parsers', async () => {
+      router = createRouter({ bodyParsers: { 'text/*': async () => 'router' } });
+      let body = null;
+      router.post('/csv', (req) => {
+        body = req.body;
+      });
+
+      await router.handle({ method: 'POST', path: '/csv', contentType: 'text/csv', rawBody: Buffer.from('a,b'), body: 'a,b' }, {});
+      assert.strictEqual(body, 'router');
+    });
+
+    it('should pass the router and route options to the parser', async () => {
+      let parserOptions = null;
+      const parseCsv = async (raw, { options }) => {
+        parserOptions = options;
+        return 'parsed';
+      };
+      router = createRouter({ maxInputVars: 10, bodyParsers: { 'text/*': () => 'router' } });
+      router.post('/csv', { bodyParsers: { 'text/csv': parseCsv }, delimiter: ';' }, () => {});
+
+      await router.handle({ method: 'POST', path: '/csv', contentType: 'text/csv', rawBody: Buffer.from('a;b'), body: 'a;b' }, {});
+      assert.strictEqual(parserOptions.maxInputVars, 10);
+      assert.strictEqual(parserOptions.delimiter, ';');
+    });
+
+    it('should leave other content types alone', async () => {
+      let body = null;
+      router.post('/json', { bodyParsers: { 'text/csv': () => 'csv' } }, (req) => {
+        body = req.body;
+      });
+
+      await router.handle({ method: 'POST', path: '/json', contentType: 'application/json', rawBody: Buffer.from('{}'), body: {} }, {});
+      assert.deepStrictEqual(body, {});
+    });
+  });
+
   describe('route execution order', () => {
     it('should match first registered route', async () => {
       let which = null;
@@ -313,6 +634,51 @@ describe('createServer()', () => {
     assert.ok(server instanceof FastCGIServer);
   });
 
+  it('should parse bodies strictly by default', () => {
+    server = createServer(() => {});
+    assert.strictEqual(server.options.strictBody, true);
+    server = createServer(() => {}, { strictBody: false });
+    assert.strictEqual(server.options.strictBody, false);
+  });
+
+  it('should leave strict body handling of a router to its routes', async () => {
+    const router = createRouter();
+    const bodies = [];
+    router.post('/strict', (req) => {
+      bodies.push(req.body);
+    });
+    router.post('/raw', { strictBody: false }, (req) => {
+      bodies.push(req.body);
+    });
+    server = createServer(router);
+    assert.strictEqual(server.options.strictBody, false);
+
+    const statuses = [];
+    const mockRes = {
+      status(code) {
+        statuses.push(code);
+        return this;
+      },
+      json() {},
+      end() {},
+      async _settled() {},
+    };
+    const request = (path) => ({
+      method: 'POST',
+      path,
+      rawBody: Buffer.from('{'),
+      body: '{',
+      bodyError: new HttpError(400, 'Malformed JSON body', {}),
+    });
+
+    server.emit('request', request('/strict'), mockRes);
+    server.emit('request', request('/raw'), mockRes);
+    await new Promise(r => setTimeout(r, 10));
+
+    assert.deepStrictEqual(statuses, [400]);
+    assert.deepStrictEqual(bodies, ['{']);
+  });
+
   it('should handle requests with provided handler', async () => {
     let handlerCalled = false;
 
@@ -341,6 +707,7 @@ describe('createServer()', () => {
       send: function() {
         this.end(); 
       },
+      _settled: async function() {},
     };
 
     server.emit('request', { method: 'GET', path: '/' }, mockRes);
@@ -374,6 +741,7 @@ describe('createServer()', () => {
       end: function() {
         this._finished = true; 
       },
+      _settled: async function() {},
     };
 
     server.emit('request', { method: 'GET', path: '/' }, mockRes);
@@ -385,6 +753,59 @@ describe('createServer()', () => {
   });
 });
 
+describe('streaming responses', () => {
+  it('should let a piped readable finish under handle()', () => {
+    const output = runCGI(`
+      handle((req, res) => {
+        Readable.from(['one,', 'two,', 'three']).pipe(res);
+      });
+    `);
+
+    assert.ok(output.endsWith('\r\n\r\none,two,three'), output);
+  });
+
+  it('should let a piped readable finish under createServer()', async () => {
+    const server = createServer((req, res) => {
+      Readable.from(['one,', 'two,', 'three']).pipe(res);
+    });
+    const res = createFCGIResponse();
+
+    server.emit('request', { method: 'GET', path: '/stream' }, res);
+    await once(res, 'finish');
+
+    assert.strictEqual(res.body(), 'one,two,three');
+  });
+
+  // As in the README: events sent from a timer after the handler returned
+  const sendTicks = (req, res) => {
+    const events = res.sse({ heartbeat: 0 });
+    let id = 0;
+    const timer = setInterval(() => {
+      events.send({ id: ++id, data: 'tick' });
+      if (id === 3) {
+        events.close();
+      }
+    }, 5);
+    events.on('close', () => clearInterval(timer));
+  };
+
+  it('should keep an event stream open under handle()', () => {
+    const output = runCGI(`handle(${sendTicks});`);
+
+    assert.ok(output.endsWith('\r\n\r\nid: 1\ndata: tick\n\nid: 2\ndata: tick\n\nid: 3\ndata: tick\n\n'), output);
+  });
+
+  it('should keep an event stream open under createServer()', async () => {
+    const server = createServer(sendTicks);
+    const res = createFCGIResponse();
+
+    server.emit('request', { method: 'GET', path: '/stream', headers: {} }, res);
+    await once(res, 'finish');
+
+    assert.strictEqual(res.body(), 'id: 1\ndata: tick\n\nid: 2\ndata: tick\n\nid: 3\ndata: tick\n\n');
+  });
+});
+
 describe('integration', () => {
   it('should create working router with multiple routes', async () => {
     const router = createRouter();
@@ -0,0 +1,54 @@
+/**
+ * MIME Type Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { lookupType, isTextual, contentTypeFor } from '../src/mime.js';
+
+describe('lookupType()', () => {
+  it('should look up file names case-insensitively', () => {
+    assert.strictEqual(lookupType('/srv/photo.JPG'), 'image/jpeg');
+    assert.strictEqual(lookupType('font.woff2'), 'font/woff2');
+    assert.strictEqual(lookupType('report.xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  });
+
+  it('should accept bare extensions', () => {
+    assert.strictEqual(lookupType('.wasm'), 'application/wasm');
+    assert.strictEqual(lookupType('mp4'), 'video/mp4');
+  });
+
+  it('should return null for unknown extensions', () => {
+    assert.strictEqual(lookupType('archive.unknownext'), null);
+  });
+});
+
+describe('isTextual()', () => {
+  it('should treat text, JSON and XML types as textual', () => {
+    for (const type of ['text/csv', 'application/json', 'application/ld+json', 'image/svg+xml', 'text/javascript']) {
+      assert.strictEqual(isTextual(type), true, type);
+    }
+  });
+
+  it('should not treat binary types as textual', () => {
+    for (const type of ['image/png', 'application/pdf', 'font/woff2', 'application/octet-stream']) {
+      assert.strictEqual(isTextual(type), false, type);
+    }
+  });
+});
+
+describe('contentTypeFor()', () => {
+  it('should add a UTF-8 charset to textual types', () => {
+    assert.strictEqual(contentTypeFor('index.html'), 'text/html; charset=utf-8');
+    assert.strictEqual(contentTypeFor('app.mjs'), 'text/javascript; charset=utf-8');
+    assert.strictEqual(contentTypeFor('data.csv', 'iso-8859-1'), 'text/csv; charset=iso-8859-1');
+  });
+
+  it('should leave binary types alone', () => {
+    assert.strictEqual(contentTypeFor('logo.png'), 'image/png');
+  });
+
+  it('should fall back to application/octet-stream', () => {
+    assert.strictEqual(contentTypeFor('blob'), 'application/octet-stream');
+  });
+});
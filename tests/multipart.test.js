@@ -0,0 +1,257 @@
+/**
+ * Multipart Module Tests
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  isMultipart,
+  getBoundary,
+  parseMultipart,
+  removeUploads,
+} from '../src/multipart.js';
+
+const BOUNDARY = '----node-cgi-test';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+/**
+ * Build a multipart body from part descriptions
+ */
+function buildMultipart(parts) {
+  let body = '';
+  for (const part of parts) {
+    body += `--${BOUNDARY}\r\n`;
+    if (part.filename !== undefined) {
+      body += `Content-Disposition: form-data; name="${part.name}"; filename="${part.filename}"\r\n`;
+      body += `Content-Type: ${part.type || 'application/octet-stream'}\r\n`;
+    } else {
+      body += `Content-Disposition: form-data; name="${part.name}"\r\n`;
+    }
+    body += `\r\n${part.value}\r\n`;
+  }
+  body += `--${BOUNDARY}--\r\n`;
+  return Buffer.from(body);
+}
+
+/**
+ * Split a buffer into fixed-size chunks to exercise boundary handling
+ */
+function chunked(buffer, size) {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+describe('isMultipart()', () => {
+  it('should detect multipart/form-data', () => {
+    assert.strictEqual(isMultipart(CONTENT_TYPE), true);
+    assert.strictEqual(isMultipart('Multipart/Form-Data; boundary=x'), true);
+  });
+
+  it('should reject other content types', () => {
+    assert.strictEqual(isMultipart('application/json'), false);
+    assert.strictEqual(isMultipart(undefined), false);
+  });
+});
+
+describe('getBoundary()', () => {
+  it('should extract plain boundary', () => {
+    assert.strictEqual(getBoundary(CONTENT_TYPE), BOUNDARY);
+  });
+
+  it('should extract quoted boundary', () => {
+    assert.strictEqual(getBoundary('multipart/form-data; boundary="a b;c"'), 'a b;c');
+  });
+
+  it('should return null when missing', () => {
+    assert.strictEqual(getBoundary('multipart/form-data'), null);
+  });
+});
+
+describe('parseMultipart()', () => {
+  let uploadDir;
+
+  beforeEach(() => {
+    uploadDir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('should parse text fields', async () => {
+    const body = buildMultipart([
+      { name: 'name', value: 'John' },
+      { name: 'bio', value: 'line one\r\nline two' },
+    ]);
+
+    const { fields, files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+
+    assert.deepStrictEqual(fields, [['name', 'John'], ['bio', 'line one\r\nline two']]);
+    assert.deepStrictEqual(files, []);
+  });
+
+  it('should decode fields using the _charset_ field', async () => {
+    const body = Buffer.concat([
+      buildMultipart([{ name: '_charset_', value: 'windows-1252' }]).subarray(0, -(BOUNDARY.length + 6)),
+      Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="name"\r\n\r\n`),
+      Buffer.from([0x4a, 0x6f, 0x73, 0xe9]),
+      Buffer.from(`\r\n--${BOUNDARY}--\r\n`),
+    ]);
+
+    const { fields } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+
+    assert.deepStrictEqual(fields, [['_charset_', 'windows-1252'], ['name', 'José']]);
+  });
+
+  it('should reject an unknown field charset with 415', async () => {
+    const body = buildMultipart([{ name: '_charset_', value: 'klingon' }]);
+
+    await assert.rejects(
+      parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir }),
+      { statusCode: 415 },
+    );
+  });
+
+  it('should write file uploads to temp files', async () => {
+    const body = buildMultipart([
+      { name: 'avatar', filename: 'me.png', type: 'image/png', value: 'PNGDATA' },
+    ]);
+
+    const { files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+    const [[fieldName, file]] = files;
+
+    assert.strictEqual(fieldName, 'avatar');
+    assert.strictEqual(file.fieldName, 'avatar');
+    assert.strictEqual(file.filename, 'me.png');
+    assert.strictEqual(file.mimeType, 'image/png');
+    assert.strictEqual(file.size, 7);
+    assert.ok(file.path.startsWith(uploadDir));
+    assert.strictEqual(readFileSync(file.path, 'utf8'), 'PNGDATA');
+  });
+
+  it('should handle data split across tiny chunks', async () => {
+    const content = 'x'.repeat(500) + `\r\n--${BOUNDARY.slice(0, 5)}` + 'y'.repeat(500);
+    const body = buildMultipart([
+      { name: 'title', value: 'Report' },
+      { name: 'doc', filename: 'report.txt', type: 'text/plain', value: content },
+    ]);
+
+    const { fields, files } = await parseMultipart(chunked(body, 3), CONTENT_TYPE, { uploadDir });
+
+    assert.deepStrictEqual(fields, [['title', 'Report']]);
+    assert.strictEqual(readFileSync(files[0][1].path, 'utf8'), content);
+  });
+
+  it('should strip directory components from filenames', async () => {
+    const body = buildMultipart([
+      { name: 'doc', filename: 'C:\\\\Users\\\\me\\\\notes.txt', value: 'hi' },
+    ]);
+
+    const { files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+
+    assert.strictEqual(files[0][1].filename, 'notes.txt');
+  });
+
+  it('should strip the full Windows path IE and Edge send', async () => {
+    const body = buildMultipart([
+      { name: 'doc', filename: 'C:\\dir\\résumé.txt', value: 'hi' },
+      { name: 'doc2', filename: 'C:\\temp\\a;b.txt', value: 'hi' },
+    ]);
+
+    const { files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+
+    assert.strictEqual(files[0][1].filename, 'résumé.txt');
+    assert.strictEqual(files[1][1].filename, 'a;b.txt');
+  });
+
+  it('should skip file inputs with no file chosen', async () => {
+    const body = buildMultipart([
+      { name: 'doc', filename: '', value: '' },
+    ]);
+
+    const { files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+
+    assert.deepStrictEqual(files, []);
+    assert.deepStrictEqual(readdirSync(uploadDir), []);
+  });
+
+  it('should reject a missing boundary with 400', async () => {
+    await assert.rejects(
+      parseMultipart(Readable.from([]), 'multipart/form-data'),
+      { statusCode: 400 },
+    );
+  });
+
+  it('should reject a truncated body with 400 and remove temp files', async () => {
+    const body = buildMultipart([
+      { name: 'doc', filename: 'a.txt', value: 'partial content' },
+    ]);
+    const truncated = body.subarray(0, body.length - 30);
+
+    await assert.rejects(
+      parseMultipart(Readable.from([truncated]), CONTENT_TYPE, { uploadDir }),
+      { statusCode: 400 },
+    );
+    assert.deepStrictEqual(readdirSync(uploadDir), []);
+  });
+
+  it('should enforce maxFileSize with 413', async () => {
+    const body = buildMultipart([
+      { name: 'doc', filename: 'big.bin', value: 'x'.repeat(100) },
+    ]);
+
+    await assert.rejects(
+      parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir, maxFileSize: 10 }),
+      { statusCode: 413 },
+    );
+    assert.deepStrictEqual(readdirSync(uploadDir), []);
+  });
+
+  it('should enforce maxBodySize across the whole body with 413', async () => {
+    const body = buildMultipart([
+      { name: 'a', value: 'x'.repeat(200) },
+    ]);
+
+    await assert.rejects(
+      parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir, maxBodySize: 100 }),
+      { statusCode: 413 },
+    );
+  });
+
+  it('should enforce maxFiles with 413', async () => {
+    const body = buildMultipart([
+      { name: 'a', filename: 'a.txt', value: 'a' },
+      { name: 'b', filename: 'b.txt', value: 'b' },
+    ]);
+
+    await assert.rejects(
+      parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir, maxFiles: 1 }),
+      { statusCode: 413 },
+    );
+  });
+});
+
+describe('removeUploads()', () => {
+  it('should delete temp files referenced by req.files', async () => {
+    const uploadDir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+    const body = buildMultipart([
+      { name: 'docs[]', filename: 'a.txt', value: 'a' },
+      { name: 'docs[]', filename: 'b.txt', value: 'b' },
+    ]);
+
+    const { files } = await parseMultipart(Readable.from([body]), CONTENT_TYPE, { uploadDir });
+    const paths = files.map(([, file]) => file.path);
+
+    await removeUploads({ docs: files.map(([, file]) => file) });
+
+    assert.ok(paths.every((path) => !existsSync(path)));
+    rmSync(uploadDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Negotiation Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseAcceptHeader,
+  accepts,
+  acceptsCharsets,
+  acceptsEncodings,
+  acceptsLanguages,
+} from '../src/negotiation.js';
+import { parseCGIEnv } from '../src/cgi.js';
+
+describe('parseAcceptHeader()', () => {
+  it('should parse values, q and parameters', () => {
+    const result = parseAcceptHeader('text/html;level=1, application/json;q=0.5');
+
+    assert.deepStrictEqual(result, [
+      { value: 'text/html', q: 1, params: { level: '1' }, index: 0 },
+      { value: 'application/json', q: 0.5, params: {}, index: 1 },
+    ]);
+  });
+
+  it('should return an empty list for no header', () => {
+    assert.deepStrictEqual(parseAcceptHeader(undefined), []);
+  });
+});
+
+describe('accepts()', () => {
+  it('should pick the type with the highest q', () => {
+    const header = 'text/html;q=0.8, application/json';
+    assert.strictEqual(accepts(header, ['html', 'json']), 'json');
+  });
+
+  it('should return the type as given', () => {
+    assert.strictEqual(accepts('application/json', ['application/json']), 'application/json');
+    assert.strictEqual(accepts('application/json', ['json']), 'json');
+  });
+
+  it('should match wildcards with lower specificity', () => {
+    const header = 'text/*;q=0.5, text/plain';
+    assert.strictEqual(accepts(header, ['html', 'text']), 'text');
+    assert.strictEqual(accepts('image/*', ['json', 'image/png']), 'image/png');
+  });
+
+  it('should prefer the more specific range over a wildcard q', () => {
+    const header = '*/*;q=0.9, application/json;q=0.1';
+    assert.strictEqual(accepts(header, ['json', 'html']), 'html');
+  });
+
+  it('should honor q=0 as not acceptable', () => {
+    assert.strictEqual(accepts('*/*, application/json;q=0', ['json']), false);
+  });
+
+  it('should accept anything without a header', () => {
+    assert.strictEqual(accepts(undefined, ['xml', 'json']), 'xml');
+  });
+
+  it('should return false when nothing matches', () => {
+    assert.strictEqual(accepts('image/png', ['json', 'html']), false);
+  });
+
+  it('should list accepted types in preference order without arguments', () => {
+    assert.deepStrictEqual(accepts('text/html;q=0.5, application/json'), ['application/json', 'text/html']);
+  });
+});
+
+describe('acceptsCharsets()', () => {
+  it('should pick the preferred charset', () => {
+    assert.strictEqual(acceptsCharsets('iso-8859-1;q=0.5, utf-8', ['iso-8859-1', 'utf-8']), 'utf-8');
+  });
+
+  it('should accept anything without a header', () => {
+    assert.strictEqual(acceptsCharsets(undefined, ['utf-8']), 'utf-8');
+  });
+});
+
+describe('acceptsEncodings()', () => {
+  it('should pick the preferred encoding', () => {
+    assert.strictEqual(acceptsEncodings('gzip;q=0.5, br', ['gzip', 'br']), 'br');
+  });
+
+  it('should fall back to identity', () => {
+    assert.strictEqual(acceptsEncodings('br', ['gzip', 'identity']), 'identity');
+    assert.strictEqual(acceptsEncodings(undefined, ['gzip', 'identity']), 'identity');
+  });
+
+  it('should respect refused identity', () => {
+    assert.strictEqual(acceptsEncodings('gzip, identity;q=0', ['identity']), false);
+  });
+});
+
+describe('acceptsLanguages()', () => {
+  it('should match exact tags first', () => {
+    assert.strictEqual(acceptsLanguages('en-GB, en;q=0.8, fr;q=0.5', ['fr', 'en-US', 'en-GB']), 'en-GB');
+  });
+
+  it('should match language prefixes both ways', () => {
+    assert.strictEqual(acceptsLanguages('en', ['de', 'en-US']), 'en-US');
+    assert.strictEqual(acceptsLanguages('en-US', ['de', 'en']), 'en');
+  });
+
+  it('should list languages without arguments', () => {
+    assert.deepStrictEqual(acceptsLanguages('fr;q=0.4, de'), ['de', 'fr']);
+  });
+});
+
+describe('request helpers', () => {
+  it('should be attached by parseCGIEnv', () => {
+    const req = parseCGIEnv({
+      HTTP_ACCEPT: 'application/json',
+      HTTP_ACCEPT_CHARSET: 'utf-8',
+      HTTP_ACCEPT_ENCODING: 'gzip',
+      HTTP_ACCEPT_LANGUAGE: 'de-DE',
+    });
+
+    assert.strictEqual(req.accepts('html', 'json'), 'json');
+    assert.strictEqual(req.accepts(['html', 'json']), 'json');
+    assert.strictEqual(req.acceptsCharsets('utf-8'), 'utf-8');
+    assert.strictEqual(req.acceptsEncodings('br', 'gzip'), 'gzip');
+    assert.strictEqual(req.acceptsLanguages('en', 'de'), 'de');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Body Parser Registry Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  mediaType,
+  matchType,
+  registerBodyParser,
+  matchBodyParser,
+  findBodyParser,
+  runBodyParser,
+} from '../src/parsers.js';
+
+describe('mediaType', () => {
+  it('should strip parameters and lowercase', () => {
+    assert.strictEqual(mediaType('Text/CSV; charset=utf-8'), 'text/csv');
+  });
+
+  it('should handle a missing content type', () => {
+    assert.strictEqual(mediaType(undefined), '');
+  });
+});
+
+describe('matchType', () => {
+  it('should match exact types', () => {
+    assert.ok(matchType('text/csv', 'text/csv'));
+    assert.ok(!matchType('text/csv', 'text/plain'));
+  });
+
+  it('should match wildcards', () => {
+    assert.ok(matchType('application/*+json', 'application/vnd.api+json'));
+    assert.ok(matchType('text/*', 'text/csv'));
+    assert.ok(!matchType('application/*+json', 'application/json'));
+  });
+
+  it('should match regular expressions', () => {
+    assert.ok(matchType(/^image\//, 'image/png'));
+  });
+
+  it('should treat dots and pluses literally', () => {
+    assert.ok(!matchType('application/vnd.a', 'application/vndxa'));
+  });
+});
+
+describe('registerBodyParser', () => {
+  it('should register parsers, latest first', () => {
+    const first = () => 'first';
+    const second = () => 'second';
+    const removeFirst = registerBodyParser('application/x-test', first);
+    const removeSecond = registerBodyParser('application/x-*', second);
+
+    assert.strictEqual(findBodyParser('application/x-test'), second);
+
+    removeSecond();
+    assert.strictEqual(findBodyParser('application/x-test'), first);
+
+    removeFirst();
+    assert.strictEqual(findBodyParser('application/x-test'), null);
+  });
+
+  it('should reject non-function parsers', () => {
+    assert.throws(() => registerBodyParser('text/csv', 'nope'), TypeError);
+  });
+});
+
+describe('matchBodyParser', () => {
+  it('should look up objects and Maps', () => {
+    const parse = () => {};
+    assert.strictEqual(matchBodyParser('text/csv', { 'text/csv': parse }), parse);
+    assert.strictEqual(matchBodyParser('text/csv', new Map([[/csv$/, parse]])), parse);
+    assert.strictEqual(matchBodyParser('text/csv', { 'text/plain': parse }), null);
+    assert.strictEqual(matchBodyParser('text/csv', undefined), null);
+  });
+
+  it('should prefer overrides over registered parsers', () => {
+    const registered = () => {};
+    const override = () => {};
+    const remove = registerBodyParser('text/csv', registered);
+
+    assert.strictEqual(findBodyParser('text/csv', { 'text/csv': override }), override);
+    remove();
+  });
+});
+
+describe('runBodyParser', () => {
+  it('should pass the content type details', () => {
+    const details = runBodyParser(
+      (body, info) => ({ ...info, text: info.text() }),
+      Buffer.from([0xe9]),
+      'text/csv; charset=latin1',
+      { strict: true },
+    );
+
+    assert.strictEqual(details.type, 'text/csv');
+    assert.strictEqual(details.charset, 'latin1');
+    assert.strictEqual(details.text, 'é');
+    assert.deepStrictEqual(details.options, { strict: true });
+  });
+});
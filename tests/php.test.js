@@ -0,0 +1,258 @@
+/**
+ * PHP Compatibility Module Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { Writable } from 'node:stream';
+import { createPHPContext, withPHP, PHPExit } from '../src/php.js';
+import { parseCGIEnv } from '../src/cgi.js';
+import { Response } from '../src/response.js';
+
+const ENV = {
+  REQUEST_METHOD: 'POST',
+  REQUEST_URI: '/shop/cart.php/items?page=2&sort=asc',
+  QUERY_STRING: 'page=2&sort=asc',
+  SCRIPT_NAME: '/shop/cart.php',
+  PATH_INFO: '/items',
+  CONTENT_TYPE: 'application/x-www-form-urlencoded',
+  HTTP_HOST: 'example.com',
+  HTTP_COOKIE: 'sort=desc; sid=abc',
+  REMOTE_ADDR: '203.0.113.7',
+};
+
+/**
+ * Create a mock stdout that captures output
+ */
+function createMockStdout() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+  });
+  stream.getOutput = () => chunks.join('');
+  return stream;
+}
+
+/**
+ * Request as handle() would build it, with a parsed form body
+ */
+function createRequest(env = ENV, body = { page: '9', item: 'apple' }) {
+  const req = parseCGIEnv(env);
+  req.body = body;
+  req.files = {};
+  return req;
+}
+
+describe('createPHPContext()', () => {
+  let stdout;
+  let res;
+
+  beforeEach(() => {
+    stdout = createMockStdout();
+    res = new Response(stdout);
+  });
+
+  describe('superglobals', () => {
+    it('should expose raw CGI meta-variables in $_SERVER', () => {
+      const { $_SERVER } = createPHPContext(createRequest(), res);
+
+      assert.strictEqual($_SERVER.REQUEST_METHOD, 'POST');
+      assert.strictEqual($_SERVER.REMOTE_ADDR, '203.0.113.7');
+      assert.strictEqual($_SERVER.HTTP_HOST, 'example.com');
+      assert.strictEqual($_SERVER.PHP_SELF, '/shop/cart.php/items');
+      assert.strictEqual(typeof $_SERVER.REQUEST_TIME, 'number');
+    });
+
+    it('should keep the raw env out of the request JSON', () => {
+      assert.ok(!('env' in JSON.parse(JSON.stringify(createRequest()))));
+    });
+
+    it('should expose $_GET, $_POST and $_COOKIE', () => {
+      const { $_GET, $_POST, $_COOKIE } = createPHPContext(createRequest(), res);
+
+      assert.deepStrictEqual($_GET, { page: '2', sort: 'asc' });
+      assert.deepStrictEqual($_POST, { page: '9', item: 'apple' });
+      assert.deepStrictEqual($_COOKIE, { sort: 'desc', sid: 'abc' });
+    });
+
+    it('should leave $_POST empty for non-form bodies', () => {
+      const req = createRequest({ ...ENV, CONTENT_TYPE: 'application/json' }, { page: '9' });
+
+      assert.deepStrictEqual(createPHPContext(req, res).$_POST, {});
+    });
+
+    it('should merge $_REQUEST in GP order by default', () => {
+      const { $_REQUEST } = createPHPContext(createRequest(), res);
+
+      assert.deepStrictEqual($_REQUEST, { page: '9', sort: 'asc', item: 'apple' });
+    });
+
+    it('should honor requestOrder', () => {
+      const { $_REQUEST } = createPHPContext(createRequest(), res, { requestOrder: 'PGC' });
+
+      assert.deepStrictEqual($_REQUEST, { page: '2', sort: 'desc', item: 'apple', sid: 'abc' });
+    });
+
+    it('should shape $_FILES like PHP', () => {
+      const upload = (name) => ({
+        fieldName: 'docs',
+        filename: `${name}.txt`,
+        mimeType: 'text/plain',
+        size: 3,
+        path: `/tmp/ncgi-${name}`,
+      });
+      const req = createRequest();
+      req.files = { avatar: { ...upload('me'), fieldName: 'avatar' }, docs: [upload('a'), upload('b')] };
+
+      const { $_FILES } = createPHPContext(req, res);
+
+      assert.deepStrictEqual($_FILES.avatar, {
+        name: 'me.txt', type: 'text/plain', tmp_name: '/tmp/ncgi-me', error: 0, size: 3,
+      });
+      assert.deepStrictEqual($_FILES.docs, {
+        name: ['a.txt', 'b.txt'],
+        type: ['text/plain', 'text/plain'],
+        tmp_name: ['/tmp/ncgi-a', '/tmp/ncgi-b'],
+        error: [0, 0],
+        size: [3, 3],
+      });
+    });
+  });
+
+  describe('header()', () => {
+    it('should set headers with canonical names', () => {
+      const { header } = createPHPContext(createRequest(), res);
+      header('content-type: text/plain');
+
+      assert.strictEqual(res.get('Content-Type'), 'text/plain');
+    });
+
+    it('should append when replace is false', () => {
+      const { header } = createPHPContext(createRequest(), res);
+      header('X-Tag: a');
+      header('X-Tag: b', false);
+      res.end();
+
+      assert.ok(stdout.getOutput().includes('X-Tag: a\r\nX-Tag: b\r\n'));
+    });
+
+    it('should set the status from status lines', () => {
+      const { header } = createPHPContext(createRequest(), res);
+
+      header('HTTP/1.1 404 Not Found');
+      assert.strictEqual(res.statusCode, 404);
+
+      header('Status: 503 Service Unavailable');
+      assert.strictEqual(res.statusCode, 503);
+    });
+
+    it('should keep custom reason phrases from status lines', () => {
+      const { header } = createPHPContext(createRequest(), res);
+
+      header('HTTP/1.1 404 Nothing Here');
+      assert.strictEqual(res.statusMessage, 'Nothing Here');
+
+      header('Status: 410');
+      assert.strictEqual(res.statusMessage, 'Gone');
+    });
+
+    it('should imply 302 for Location', () => {
+      const { header } = createPHPContext(createRequest(), res);
+      header('Location: /login');
+
+      assert.strictEqual(res.statusCode, 302);
+      assert.strictEqual(res.get('Location'), '/login');
+    });
+
+    it('should keep an explicit redirect or response code', () => {
+      const { header } = createPHPContext(createRequest(), res);
+      header('Location: /moved', true, 301);
+      assert.strictEqual(res.statusCode, 301);
+
+      const created = new Response(createMockStdout()).status(201);
+      createPHPContext(createRequest(), created).header('Location: /items/1');
+      assert.strictEqual(created.statusCode, 201);
+    });
+  });
+
+  describe('setcookie()', () => {
+    it('should accept positional arguments', () => {
+      const { setcookie } = createPHPContext(createRequest(), res);
+      setcookie('sid', 'xyz', 1700000000, '/', '', true, true);
+      res.end();
+
+      const output = stdout.getOutput();
+      assert.ok(output.includes('Set-Cookie: sid=xyz; Expires=Tue, 14 Nov 2023 22:13:20 GMT; Path=/; Secure; HttpOnly'));
+    });
+
+    it('should accept an options object', () => {
+      const { setcookie } = createPHPContext(createRequest(), res);
+      setcookie('sid', 'xyz', { path: '/', samesite: 'Strict' });
+      res.end();
+
+      assert.ok(stdout.getOutput().includes('Set-Cookie: sid=xyz; Path=/; SameSite=Strict'));
+    });
+  });
+
+  describe('http_response_code()', () => {
+    it('should get and set the status', () => {
+      const { http_response_code } = createPHPContext(createRequest(), res);
+
+      assert.strictEqual(http_response_code(), 200);
+      assert.strictEqual(http_response_code(404), 200);
+      assert.strictEqual(http_response_code(), 404);
+    });
+  });
+
+  describe('exit()', () => {
+    it('should send output, finish and throw PHPExit', () => {
+      const { exit } = createPHPContext(createRequest(), res);
+
+      assert.throws(() => exit('Bye'), PHPExit);
+      assert.ok(stdout.getOutput().endsWith('\r\n\r\nBye'));
+      assert.strictEqual(res._finished, true);
+    });
+  });
+});
+
+describe('withPHP()', () => {
+  it('should pass the context, req and res to the handler', async () => {
+    const res = new Response(createMockStdout());
+    const req = createRequest();
+    let received;
+
+    await withPHP((...args) => {
+      received = args;
+    })(req, res);
+
+    assert.deepStrictEqual(received[0].$_GET, { page: '2', sort: 'asc' });
+    assert.strictEqual(received[1], req);
+    assert.strictEqual(received[2], res);
+  });
+
+  it('should stop the handler at exit()', async () => {
+    const stdout = createMockStdout();
+    const res = new Response(stdout);
+    let reachedEnd = false;
+
+    await withPHP(({ header, exit }) => {
+      header('HTTP/1.1 400 Bad Request');
+      exit('Missing id');
+      reachedEnd = true;
+    })(createRequest(), res);
+
+    assert.strictEqual(reachedEnd, false);
+    assert.ok(stdout.getOutput().startsWith('Status: 400 Bad Request'));
+  });
+
+  it('should rethrow other errors', async () => {
+    const res = new Response(createMockStdout());
+
+    await assert.rejects(withPHP(() => {
+      throw new Error('boom');
+    })(createRequest(), res), /boom/);
+  });
+});
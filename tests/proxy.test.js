@@ -0,0 +1,179 @@
+/**
+ * Proxy Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compileTrust, parseForwarded, resolveProxy } from '../src/proxy.js';
+import { parseCGIEnv } from '../src/cgi.js';
+
+/**
+ * Build a minimal request as parseCGIEnv would
+ */
+function request(remoteAddr, headers = {}, extra = {}) {
+  return { remoteAddr, headers: { host: 'backend.local', ...headers }, ...extra };
+}
+
+describe('compileTrust()', () => {
+  it('should trust nothing by default', () => {
+    const trust = compileTrust(undefined);
+    assert.strictEqual(trust('127.0.0.1', 0), false);
+  });
+
+  it('should trust everything with true', () => {
+    assert.strictEqual(compileTrust(true)('203.0.113.1', 5), true);
+  });
+
+  it('should trust a number of hops', () => {
+    const trust = compileTrust(2);
+    assert.strictEqual(trust('203.0.113.1', 1), true);
+    assert.strictEqual(trust('203.0.113.1', 2), false);
+  });
+
+  it('should match presets, CIDRs and single addresses', () => {
+    const trust = compileTrust('loopback, 10.0.0.0/8, 2001:db8::1');
+    assert.strictEqual(trust('127.0.0.1'), true);
+    assert.strictEqual(trust('::1'), true);
+    assert.strictEqual(trust('::ffff:127.0.0.1'), true);
+    assert.strictEqual(trust('10.20.30.40'), true);
+    assert.strictEqual(trust('2001:db8::1'), true);
+    assert.strictEqual(trust('192.168.1.1'), false);
+    assert.strictEqual(trust('unknown'), false);
+  });
+
+  it('should accept arrays and functions', () => {
+    assert.strictEqual(compileTrust(['uniquelocal'])('192.168.0.9'), true);
+    const fn = () => true;
+    assert.strictEqual(compileTrust(fn), fn);
+  });
+
+  it('should throw on invalid addresses', () => {
+    assert.throws(() => compileTrust('not-an-ip'), /Invalid trusted proxy address/);
+  });
+});
+
+describe('parseForwarded()', () => {
+  it('should parse RFC 7239 elements', () => {
+    const result = parseForwarded('for=192.0.2.60;proto=https;host=example.com, for="[2001:db8:cafe::17]:4711"');
+
+    assert.deepStrictEqual(result, [
+      { for: '192.0.2.60', proto: 'https', host: 'example.com' },
+      { for: '2001:db8:cafe::17' },
+    ]);
+  });
+
+  it('should return an empty list without a header', () => {
+    assert.deepStrictEqual(parseForwarded(undefined), []);
+  });
+});
+
+describe('resolveProxy()', () => {
+  it('should ignore forwarding headers from untrusted peers', () => {
+    const result = resolveProxy(request('203.0.113.9', {
+      'x-forwarded-for': '1.2.3.4',
+      'x-forwarded-proto': 'https',
+      'x-forwarded-host': 'evil.example',
+    }), 'loopback');
+
+    assert.strictEqual(result.ip, '203.0.113.9');
+    assert.deepStrictEqual(result.ips, []);
+    assert.strictEqual(result.protocol, 'http');
+    assert.strictEqual(result.hostname, 'backend.local');
+  });
+
+  it('should honor X-Forwarded-* from a trusted peer', () => {
+    const result = resolveProxy(request('127.0.0.1', {
+      'x-forwarded-for': '198.51.100.7',
+      'x-forwarded-proto': 'https',
+      'x-forwarded-host': 'www.example.com:8443',
+    }), 'loopback');
+
+    assert.strictEqual(result.ip, '198.51.100.7');
+    assert.deepStrictEqual(result.ips, ['198.51.100.7']);
+    assert.strictEqual(result.protocol, 'https');
+    assert.strictEqual(result.secure, true);
+    assert.strictEqual(result.hostname, 'www.example.com');
+  });
+
+  it('should take the X-Forwarded-Proto/Host value added by the nearest proxy', () => {
+    const result = resolveProxy(request('127.0.0.1', {
+      'x-forwarded-for': '198.51.100.7',
+      'x-forwarded-proto': 'https, http',
+      'x-forwarded-host': 'evil.example, www.example.com',
+    }), 'loopback');
+
+    assert.strictEqual(result.protocol, 'http');
+    assert.strictEqual(result.secure, false);
+    assert.strictEqual(result.hostname, 'www.example.com');
+  });
+
+  it('should stop at the first untrusted hop', () => {
+    const result = resolveProxy(request('127.0.0.1', {
+      'x-forwarded-for': 'spoofed, 198.51.100.7, 10.0.0.2',
+    }), 'loopback, 10.0.0.0/8');
+
+    assert.strictEqual(result.ip, '198.51.100.7');
+    assert.deepStrictEqual(result.ips, ['198.51.100.7', '10.0.0.2']);
+  });
+
+  it('should trust a fixed number of hops', () => {
+    const result = resolveProxy(request('10.0.0.1', {
+      'x-forwarded-for': '1.1.1.1, 2.2.2.2, 3.3.3.3',
+    }), 2);
+
+    assert.strictEqual(result.ip, '2.2.2.2');
+  });
+
+  it('should prefer the Forwarded header', () => {
+    const result = resolveProxy(request('127.0.0.1', {
+      forwarded: 'for=198.51.100.7;proto=https;host=shop.example',
+      'x-forwarded-for': '6.6.6.6',
+    }), 'loopback');
+
+    assert.strictEqual(result.ip, '198.51.100.7');
+    assert.strictEqual(result.protocol, 'https');
+    assert.strictEqual(result.hostname, 'shop.example');
+  });
+
+  it('should use the HTTPS variable without a proxy', () => {
+    const result = resolveProxy(request('203.0.113.9', {}, { https: 'on' }));
+
+    assert.strictEqual(result.protocol, 'https');
+    assert.strictEqual(result.secure, true);
+  });
+
+  it('should keep IPv6 literal hostnames intact', () => {
+    const result = resolveProxy(request('::1', { host: '[::1]:8080' }));
+
+    assert.strictEqual(result.hostname, '[::1]');
+  });
+});
+
+describe('parseCGIEnv() with trustProxy', () => {
+  it('should expose ip, ips, protocol, secure and hostname', () => {
+    const env = {
+      REMOTE_ADDR: '127.0.0.1',
+      REQUEST_URI: '/path',
+      HTTP_HOST: 'backend.local',
+      HTTP_X_FORWARDED_FOR: '198.51.100.7',
+      HTTP_X_FORWARDED_PROTO: 'https',
+      HTTP_X_FORWARDED_HOST: 'www.example.com',
+    };
+
+    const req = parseCGIEnv(env, { trustProxy: 'loopback' });
+
+    assert.strictEqual(req.ip, '198.51.100.7');
+    assert.deepStrictEqual(req.ips, ['198.51.100.7']);
+    assert.strictEqual(req.protocol, 'https');
+    assert.strictEqual(req.secure, true);
+    assert.strictEqual(req.hostname, 'www.example.com');
+    assert.strictEqual(req.url, 'https://www.example.com/path');
+  });
+
+  it('should default to the peer address', () => {
+    const req = parseCGIEnv({ REMOTE_ADDR: '127.0.0.1', HTTP_X_FORWARDED_FOR: '6.6.6.6' });
+
+    assert.strictEqual(req.ip, '127.0.0.1');
+    assert.strictEqual(req.remoteAddr, '127.0.0.1');
+  });
+});
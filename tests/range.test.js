@@ -0,0 +1,143 @@
+/**
+ * Range Module Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseRange, ifRangeMatches, prepareFileRanges } from '../src/range.js';
+import { FCGIResponse } from '../src/fastcgi.js';
+
+/**
+ * Response stub for prepareFileRanges - only headers and status matter
+ */
+function createResponse(headers = {}, method = 'GET') {
+  const res = new FCGIResponse({ write() {} }, 1);
+  res.req = { method, headers };
+  res.set('Content-Type', 'text/plain');
+  return res;
+}
+
+describe('parseRange()', () => {
+  it('should parse a single range', () => {
+    assert.deepStrictEqual(parseRange(1000, 'bytes=0-499'), [{ start: 0, end: 499 }]);
+  });
+
+  it('should parse open-ended and suffix ranges', () => {
+    assert.deepStrictEqual(parseRange(1000, 'bytes=900-'), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRange(1000, 'bytes=-100'), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRange(10, 'bytes=-100'), [{ start: 0, end: 9 }]);
+  });
+
+  it('should clamp the end to the size', () => {
+    assert.deepStrictEqual(parseRange(100, 'bytes=50-5000'), [{ start: 50, end: 99 }]);
+  });
+
+  it('should parse multiple ranges in order', () => {
+    assert.deepStrictEqual(parseRange(1000, 'bytes=500-599, 0-99'), [
+      { start: 0, end: 99 },
+      { start: 500, end: 599 },
+    ]);
+  });
+
+  it('should merge overlapping and adjacent ranges', () => {
+    assert.deepStrictEqual(parseRange(1000, 'bytes=0-99,50-149,150-199'), [{ start: 0, end: 199 }]);
+  });
+
+  it('should return -1 when no range is satisfiable', () => {
+    assert.strictEqual(parseRange(100, 'bytes=100-200'), -1);
+    assert.strictEqual(parseRange(0, 'bytes=-10'), -1);
+    assert.strictEqual(parseRange(100, 'bytes=-0'), -1);
+  });
+
+  it('should skip unsatisfiable ranges next to satisfiable ones', () => {
+    assert.deepStrictEqual(parseRange(100, 'bytes=0-9,500-600'), [{ start: 0, end: 9 }]);
+  });
+
+  it('should return -2 for malformed headers', () => {
+    assert.strictEqual(parseRange(100, 'items=0-5'), -2);
+    assert.strictEqual(parseRange(100, 'bytes=abc'), -2);
+    assert.strictEqual(parseRange(100, 'bytes=-'), -2);
+    assert.strictEqual(parseRange(100, 'bytes=50-10'), -2);
+    assert.strictEqual(parseRange(100, undefined), -2);
+  });
+});
+
+describe('ifRangeMatches()', () => {
+  const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+  it('should pass without If-Range', () => {
+    assert.strictEqual(ifRangeMatches(undefined, {}), true);
+  });
+
+  it('should compare entity tags strongly', () => {
+    assert.strictEqual(ifRangeMatches('"abc"', { etag: '"abc"' }), true);
+    assert.strictEqual(ifRangeMatches('"abc"', { etag: '"def"' }), false);
+    assert.strictEqual(ifRangeMatches('W/"abc"', { etag: 'W/"abc"' }), false);
+    assert.strictEqual(ifRangeMatches('"abc"', {}), false);
+  });
+
+  it('should compare dates exactly', () => {
+    assert.strictEqual(ifRangeMatches(lastModified, { lastModified }), true);
+    assert.strictEqual(ifRangeMatches('Thu, 22 Oct 2015 07:28:00 GMT', { lastModified }), false);
+    assert.strictEqual(ifRangeMatches('not a date', { lastModified }), false);
+  });
+});
+
+describe('prepareFileRanges()', () => {
+  it('should serve the whole file without a Range header', () => {
+    const res = createResponse();
+    const parts = prepareFileRanges(res, 100);
+
+    assert.deepStrictEqual(parts, [{ start: 0, end: 99 }]);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.get('Accept-Ranges'), 'bytes');
+    assert.strictEqual(res.get('Content-Length'), 100);
+  });
+
+  it('should answer a single range with 206', () => {
+    const res = createResponse({ range: 'bytes=10-19' });
+    const parts = prepareFileRanges(res, 100);
+
+    assert.deepStrictEqual(parts, [{ start: 10, end: 19 }]);
+    assert.strictEqual(res.statusCode, 206);
+    assert.strictEqual(res.get('Content-Range'), 'bytes 10-19/100');
+    assert.strictEqual(res.get('Content-Length'), 10);
+  });
+
+  it('should answer several ranges with multipart/byteranges', () => {
+    const res = createResponse({ range: 'bytes=0-9,50-59' });
+    const parts = prepareFileRanges(res, 100);
+    const boundary = /boundary=(\w+)/.exec(res.get('Content-Type'))[1];
+    const length = parts.reduce((sum, part) =>
+      sum + (Buffer.isBuffer(part) ? part.length : part.end - part.start + 1), 0);
+
+    assert.strictEqual(res.statusCode, 206);
+    assert.ok(res.get('Content-Type').startsWith('multipart/byteranges; boundary='));
+    assert.strictEqual(res.get('Content-Length'), length);
+    assert.strictEqual(parts.length, 5);
+    assert.ok(parts[0].toString().includes(`--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-9/100`));
+    assert.strictEqual(parts[4].toString(), `\r\n--${boundary}--\r\n`);
+  });
+
+  it('should answer unsatisfiable ranges with 416', () => {
+    const res = createResponse({ range: 'bytes=200-300' });
+
+    assert.strictEqual(prepareFileRanges(res, 100), null);
+    assert.strictEqual(res.statusCode, 416);
+    assert.strictEqual(res.get('Content-Range'), 'bytes */100');
+  });
+
+  it('should serve the whole file when If-Range does not match', () => {
+    const res = createResponse({ range: 'bytes=0-9', 'if-range': '"old"' });
+    res.set('ETag', '"new"');
+
+    assert.deepStrictEqual(prepareFileRanges(res, 100), [{ start: 0, end: 99 }]);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  it('should ignore ranges on methods other than GET', () => {
+    const res = createResponse({ range: 'bytes=0-9' }, 'POST');
+
+    assert.deepStrictEqual(prepareFileRanges(res, 100), [{ start: 0, end: 99 }]);
+  });
+});
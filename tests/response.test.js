@@ -2,10 +2,13 @@
  * Response Module Tests
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { Writable } from 'node:stream';
-import { Response, createResponse } from '../src/response.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Response, createResponse, isNPHScript } from '../src/response.js';
 
 /**
  * Create a mock stdout that captures output
@@ -198,9 +201,8 @@ describe('Response', () => {
       assert.ok(output.includes('Binary'));
     });
 
-    it('should be chainable', () => {
-      const result = res.write('test');
-      assert.strictEqual(result, res);
+    it('should return true while the output keeps up', () => {
+      assert.strictEqual(res.write('test'), true);
     });
 
     it('should throw if response finished', () => {
@@ -230,6 +232,14 @@ describe('Response', () => {
       assert.strictEqual(res._finished, true);
     });
 
+    it('should emit finish once', () => {
+      let finished = 0;
+      res.on('finish', () => finished++);
+      res.end();
+      res.end();
+      assert.strictEqual(finished, 1);
+    });
+
     it('should be idempotent', () => {
       res.end('First');
       res.end('Second'); // Should not throw or write more
@@ -303,6 +313,176 @@ describe('Response', () => {
     });
   });
 
+  describe('conditional GET', () => {
+    it('should add an ETag to send() and json() bodies', () => {
+      res.req = { method: 'GET', headers: {} };
+      res.json({ ok: true });
+
+      assert.match(stdout.getOutput(), /ETag: W\/"b-[\w-]+"/);
+    });
+
+    it('should answer 304 when the client has the current body', () => {
+      const first = new Response(createMockStdout());
+      first.req = { method: 'GET', headers: {} };
+      first.send('cached page');
+
+      res.req = { method: 'GET', headers: { 'if-none-match': first.get('ETag') } };
+      res.send('cached page');
+      const output = stdout.getOutput();
+
+      assert.ok(output.startsWith('Status: 304 Not Modified'));
+      assert.ok(!output.includes('Content-Type'));
+      assert.ok(!output.includes('cached page'));
+    });
+
+    it('should answer 412 when If-Match fails', () => {
+      res.req = { method: 'GET', headers: { 'if-match': '"stale"' } };
+      res.send('page');
+
+      assert.ok(stdout.getOutput().startsWith('Status: 412 Precondition Failed'));
+    });
+
+    it('should not announce a body on a 412 from json()', () => {
+      res.req = { method: 'GET', headers: { 'if-match': '"stale"' } };
+      res.json({ ok: true });
+      const output = stdout.getOutput();
+
+      assert.ok(output.startsWith('Status: 412 Precondition Failed'));
+      assert.ok(!output.includes('Content-Length: 11'));
+      assert.ok(!output.includes('Content-Type'));
+      assert.ok(output.endsWith('\r\n\r\n'));
+    });
+  });
+
+  describe('format()', () => {
+    it('should run the handler for the accepted type', () => {
+      res.req = { headers: { accept: 'application/json' } };
+      res.format({
+        html: () => res.send('<p>hi</p>'),
+        json: () => res.send({ hi: true }),
+      });
+
+      const output = stdout.getOutput();
+      assert.ok(output.includes('{"hi":true}'));
+      assert.ok(output.includes('Content-Type: application/json; charset=utf-8'));
+      assert.ok(output.includes('Vary: Accept'));
+    });
+
+    it('should pass req and res to the handler', () => {
+      const req = { headers: { accept: 'text/plain' } };
+      res.req = req;
+      let args = null;
+      res.format({
+        text: (...received) => {
+          args = received;
+          res.end();
+        },
+      });
+
+      assert.strictEqual(args[0], req);
+      assert.strictEqual(args[1], res);
+    });
+
+    it('should append to an existing Vary header', () => {
+      res.req = { headers: { accept: 'text/html' } };
+      res.set('Vary', 'Accept-Encoding');
+      res.format({ html: () => res.end() });
+
+      assert.strictEqual(res.get('Vary'), 'Accept-Encoding, Accept');
+    });
+
+    it('should fall back to default', () => {
+      res.req = { headers: { accept: 'image/png' } };
+      let usedDefault = false;
+      res.format({
+        json: () => res.end(),
+        default: () => {
+          usedDefault = true;
+          res.end();
+        },
+      });
+
+      assert.strictEqual(usedDefault, true);
+    });
+
+    it('should respond 406 when nothing matches', () => {
+      res.req = { headers: { accept: 'image/png' } };
+      res.format({ json: () => res.end() });
+
+      assert.ok(stdout.getOutput().startsWith('Status: 406 Not Acceptable'));
+    });
+  });
+
+  describe('sendFile()', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'ncgi-test-'));
+      file = join(dir, 'data.txt');
+      writeFileSync(file, '0123456789abcdefghij');
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should send the whole file with Accept-Ranges', async () => {
+      await res.sendFile(file);
+      const output = stdout.getOutput();
+
+      assert.ok(output.startsWith('Status: 200 OK'));
+      assert.ok(output.includes('Accept-Ranges: bytes'));
+      assert.ok(output.includes('Last-Modified: '));
+      assert.ok(output.endsWith('\r\n\r\n0123456789abcdefghij'));
+    });
+
+    it('should send a single range as 206', async () => {
+      res.req = { method: 'GET', headers: { range: 'bytes=5-9' } };
+      await res.sendFile(file);
+      const output = stdout.getOutput();
+
+      assert.ok(output.startsWith('Status: 206 Partial Content'));
+      assert.ok(output.includes('Content-Range: bytes 5-9/20'));
+      assert.ok(output.endsWith('\r\n\r\n56789'));
+    });
+
+    it('should send several ranges as multipart/byteranges', async () => {
+      res.req = { method: 'GET', headers: { range: 'bytes=0-1,-2' } };
+      await res.sendFile(file);
+      const output = stdout.getOutput();
+      const boundary = /boundary=(\w+)/.exec(output)[1];
+
+      assert.ok(output.includes(`--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 0-1/20\r\n\r\n01\r\n`));
+      assert.ok(output.includes(`Content-Range: bytes 18-19/20\r\n\r\nij\r\n--${boundary}--\r\n`));
+    });
+
+    it('should answer 416 for unsatisfiable ranges', async () => {
+      res.req = { method: 'GET', headers: { range: 'bytes=50-' } };
+      await res.sendFile(file);
+      const output = stdout.getOutput();
+
+      assert.ok(output.startsWith('Status: 416 Range Not Satisfiable'));
+      assert.ok(output.includes('Content-Range: bytes */20'));
+    });
+
+    it('should answer 404 for missing files', async () => {
+      await res.sendFile(join(dir, 'missing.txt'));
+
+      assert.ok(stdout.getOutput().startsWith('Status: 404 Not Found'));
+    });
+
+    it('should answer 304 for a matching If-None-Match', async () => {
+      await new Response(createMockStdout()).sendFile(file).then((first) => {
+        res.req = { method: 'GET', headers: { 'if-none-match': first.get('ETag') } };
+      });
+      await res.sendFile(file);
+
+      assert.ok(stdout.getOutput().startsWith('Status: 304 Not Modified'));
+      assert.ok(!stdout.getOutput().includes('abcdefghij'));
+    });
+  });
+
   describe('redirect()', () => {
     it('should redirect with 302 by default', () => {
       res.redirect('/new-location');
@@ -403,3 +583,90 @@ describe('CGI Output Format', () => {
     assert.strictEqual(cookieMatches.length, 2);
   });
 });
+
+describe('NPH Output Format', () => {
+  let stdout;
+  let res;
+
+  beforeEach(() => {
+    stdout = createMockStdout();
+    res = new Response(stdout, { nph: true });
+    res.req = { method: 'GET', headers: {}, serverProtocol: 'HTTP/1.1' };
+  });
+
+  it('should send an HTTP status line with Date and Connection', () => {
+    res.status(404).json({ missing: true });
+    const output = stdout.getOutput();
+
+    assert.ok(output.startsWith('HTTP/1.1 404 Not Found\r\n'));
+    assert.ok(!output.includes('Status:'));
+    assert.match(output, /\r\nDate: \w{3}, \d{2} \w{3} \d{4} [\d:]{8} GMT\r\n/);
+    assert.ok(output.includes('Connection: close\r\n'));
+    assert.ok(output.endsWith('\r\n\r\n{"missing":true}'));
+  });
+
+  it('should chunk bodies of unknown length', () => {
+    res.write('Hello, ');
+    res.write('');
+    res.end('World!');
+    const head = stdout.getOutput().split('\r\n\r\n')[0];
+
+    assert.ok(head.includes('Transfer-Encoding: chunked'));
+    assert.strictEqual(stdout.getOutput().slice(head.length + 4), '7\r\nHello, \r\n6\r\nWorld!\r\n0\r\n\r\n');
+  });
+
+  it('should not chunk when Content-Length is known', () => {
+    res.set('Content-Length', 2).end('ok');
+    const output = stdout.getOutput();
+    assert.ok(!output.includes('Transfer-Encoding'));
+    assert.ok(output.endsWith('\r\n\r\nok'));
+  });
+
+  it('should answer HTTP/1.0 clients without chunking', () => {
+    res.req.serverProtocol = 'HTTP/1.0';
+    res.write('streamed');
+    res.end();
+    const output = stdout.getOutput();
+
+    assert.ok(output.startsWith('HTTP/1.0 200 OK\r\n'));
+    assert.ok(!output.includes('Transfer-Encoding'));
+    assert.ok(output.endsWith('\r\n\r\nstreamed'));
+  });
+
+  it('should drop the body for HEAD and 304', () => {
+    res.req.method = 'HEAD';
+    res.set('Content-Length', 4).end('body');
+    assert.ok(stdout.getOutput().endsWith('\r\n\r\n'));
+
+    stdout = createMockStdout();
+    res = new Response(stdout, { nph: true });
+    res.status(304).end('body');
+    assert.ok(stdout.getOutput().startsWith('HTTP/1.1 304 Not Modified\r\n'));
+    assert.ok(!stdout.getOutput().includes('Transfer-Encoding'));
+    assert.ok(stdout.getOutput().endsWith('\r\n\r\n'));
+  });
+
+  it('should put a custom reason phrase on the status line', () => {
+    res.status(503, 'Back Soon').end();
+    assert.ok(stdout.getOutput().startsWith('HTTP/1.1 503 Back Soon\r\n'));
+  });
+
+  it('should keep headers set by the handler', () => {
+    res.set({ Date: 'Thu, 01 Jan 2026 00:00:00 GMT', Connection: 'keep-alive' }).end();
+    const output = stdout.getOutput();
+    assert.ok(output.includes('Date: Thu, 01 Jan 2026 00:00:00 GMT\r\n'));
+    assert.ok(output.includes('Connection: keep-alive\r\n'));
+  });
+});
+
+describe('isNPHScript()', () => {
+  it('should match nph- script names', () => {
+    assert.strictEqual(isNPHScript('/var/www/cgi-bin/nph-stream.js'), true);
+    assert.strictEqual(isNPHScript('nph-status'), true);
+  });
+
+  it('should not match other scripts', () => {
+    assert.strictEqual(isNPHScript('/var/www/nph-dir/index.js'), false);
+    assert.strictEqual(isNPHScript(undefined), false);
+  });
+});
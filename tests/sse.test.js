@@ -0,0 +1,143 @@
+/**
+ * Server-Sent Events Tests
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Writable } from 'node:stream';
+import { formatEvent, formatComment, EventStream } from '../src/sse.js';
+import { Response } from '../src/response.js';
+
+/**
+ * Response over a stdout that collects everything written to it
+ */
+function createResponse() {
+  const chunks = [];
+  const stdout = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  const res = new Response(stdout);
+  res.getBody = () => {
+    const output = Buffer.concat(chunks).toString();
+    return output.slice(output.indexOf('\r\n\r\n') + 4);
+  };
+  return res;
+}
+
+describe('formatEvent()', () => {
+  it('should frame data with a blank line', () => {
+    assert.strictEqual(formatEvent({ data: 'hello' }), 'data: hello\n\n');
+  });
+
+  it('should send objects as JSON', () => {
+    assert.strictEqual(formatEvent({ data: { a: [1, 2] } }), 'data: {"a":[1,2]}\n\n');
+  });
+
+  it('should split multi-line data into data lines', () => {
+    assert.strictEqual(formatEvent({ data: 'one\ntwo\r\nthree' }), 'data: one\ndata: two\ndata: three\n\n');
+  });
+
+  it('should write event, id and retry fields', () => {
+    assert.strictEqual(
+      formatEvent({ event: 'update', id: 5, retry: 3000.7, data: 'x' }),
+      'event: update\nid: 5\nretry: 3000\ndata: x\n\n',
+    );
+  });
+
+  it('should strip line breaks from event and id', () => {
+    assert.strictEqual(formatEvent({ event: 'a\nb', id: '1\r\n2' }), 'event: ab\nid: 12\n\n');
+  });
+});
+
+describe('formatComment()', () => {
+  it('should frame a comment', () => {
+    assert.strictEqual(formatComment('ping'), ': ping\n\n');
+  });
+
+  it('should frame an empty heartbeat', () => {
+    assert.strictEqual(formatComment(), ':\n\n');
+  });
+});
+
+describe('EventStream', () => {
+  let stream;
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  it('should send the headers right away', () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 0 });
+    assert.strictEqual(res.headersSent, true);
+    assert.strictEqual(res.get('Content-Type'), 'text/event-stream; charset=utf-8');
+  });
+
+  it('should send plain values as data', () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 0 });
+    stream.send('hi');
+    stream.send({ id: 1, data: 'there' });
+    assert.strictEqual(res.getBody(), 'data: hi\n\nid: 1\ndata: there\n\n');
+  });
+
+  it('should send a retry hint up front', () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 0, retry: 5000 });
+    assert.strictEqual(res.getBody(), 'retry: 5000\n\n');
+  });
+
+  it('should send heartbeat comments', async () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 5 });
+    // Real timers: a slow event loop can hold the interval back
+    for (let i = 0; i < 200 && res.getBody().length < 6; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.match(res.getBody(), /^(:\n\n){2,}$/);
+  });
+
+  it('should stop the heartbeat when the response is ended', async () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 5 });
+    let closed = false;
+    stream.on('close', () => {
+      closed = true;
+    });
+    res.end();
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(closed, true);
+    assert.strictEqual(res.getBody(), '');
+    assert.strictEqual(stream.send('late'), false);
+  });
+
+  it('should expose the Last-Event-ID of the request', () => {
+    const res = createResponse();
+    res.req = { headers: {}, lastEventId: 'abc' };
+    stream = new EventStream(res, { heartbeat: 0 });
+    assert.strictEqual(stream.lastEventId, 'abc');
+  });
+
+  it('should end the response and emit close once', () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 0 });
+    let closed = 0;
+    stream.on('close', () => closed++);
+    stream.close();
+    stream.close();
+    assert.strictEqual(closed, 1);
+    assert.strictEqual(res.writable, false);
+    assert.strictEqual(stream.comment('late'), false);
+  });
+
+  it('should close when stdout closes', () => {
+    const res = createResponse();
+    stream = new EventStream(res, { heartbeat: 0 });
+    res.stdout.destroy();
+    return new Promise((resolve) => stream.on('close', resolve));
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * HTTP Status Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { STATUS_CODES } from 'node:http';
+import { STATUS_MESSAGES, validateStatus, validateReason, statusMessage } from '../src/status.js';
+
+describe('STATUS_MESSAGES', () => {
+  it('should cover every status Node.js knows', () => {
+    // 509 Bandwidth Limit Exceeded was never registered with IANA
+    for (const code of Object.keys(STATUS_CODES).filter((code) => code !== '509')) {
+      assert.ok(STATUS_MESSAGES[code], `missing ${code}`);
+    }
+  });
+
+  it('should use the RFC 9110 names', () => {
+    assert.strictEqual(STATUS_MESSAGES[413], 'Content Too Large');
+    assert.strictEqual(STATUS_MESSAGES[422], 'Unprocessable Content');
+  });
+});
+
+describe('validateStatus()', () => {
+  it('should accept integers from 100 to 599', () => {
+    assert.strictEqual(validateStatus(100), 100);
+    assert.strictEqual(validateStatus(599), 599);
+  });
+
+  it('should reject other values', () => {
+    assert.throws(() => validateStatus(99), RangeError);
+    assert.throws(() => validateStatus(1000), RangeError);
+    assert.throws(() => validateStatus(NaN), TypeError);
+    assert.throws(() => validateStatus('200'), TypeError);
+    assert.throws(() => validateStatus(undefined), TypeError);
+  });
+});
+
+describe('validateReason()', () => {
+  it('should accept visible text, spaces and tabs', () => {
+    assert.strictEqual(validateReason('Gone\tFishing'), 'Gone\tFishing');
+    assert.strictEqual(validateReason('Überlastet'), 'Überlastet');
+  });
+
+  it('should reject control characters', () => {
+    assert.throws(() => validateReason('OK\r\nSet-Cookie: a=b'), TypeError);
+    assert.throws(() => validateReason('nul\0'), TypeError);
+  });
+});
+
+describe('statusMessage()', () => {
+  it('should return the registered phrase', () => {
+    assert.strictEqual(statusMessage(308), 'Permanent Redirect');
+  });
+
+  it('should fall back to the class name', () => {
+    assert.strictEqual(statusMessage(299), 'Success');
+    assert.strictEqual(statusMessage(599), 'Server Error');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Views Module Tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { escapeHtml, builtinEngine, Views, createViews } from '../src/views.js';
+
+/**
+ * Compile and render a built-in template
+ */
+function render(source, locals, partial) {
+  return builtinEngine.compile(source, { filename: 'test.html', partial })(locals);
+}
+
+describe('escapeHtml()', () => {
+  it('should escape markup and quotes', () => {
+    assert.strictEqual(escapeHtml('<a href="x">Tom & Jerry\'s</a>'),
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  });
+
+  it('should render null and undefined as empty', () => {
+    assert.strictEqual(escapeHtml(null), '');
+    assert.strictEqual(escapeHtml(undefined), '');
+    assert.strictEqual(escapeHtml(0), '0');
+  });
+});
+
+describe('builtinEngine', () => {
+  it('should escape values by default', async () => {
+    assert.strictEqual(await render('<p>{{ name }}</p>', { name: '<b>' }), '<p>&lt;b&gt;</p>');
+  });
+
+  it('should insert raw values with triple braces', async () => {
+    assert.strictEqual(await render('{{{ html }}}', { html: '<b>ok</b>' }), '<b>ok</b>');
+  });
+
+  it('should follow dotted paths', async () => {
+    assert.strictEqual(await render('{{ user.address.city }}', { user: { address: { city: 'Oslo' } } }), 'Oslo');
+    assert.strictEqual(await render('[{{ user.missing.city }}]', { user: {} }), '[]');
+  });
+
+  it('should not expose prototype properties', async () => {
+    assert.strictEqual(await render('[{{ constructor }}{{ a.__proto__ }}]', { a: {} }), '[]');
+  });
+
+  it('should call functions for their value', async () => {
+    assert.strictEqual(await render('{{ year }}', { year: () => 2026 }), '2026');
+  });
+
+  it('should render if, else and unless', async () => {
+    const template = '{{#if admin}}admin{{else}}user{{/if}}/{{#unless items}}none{{/unless}}';
+    assert.strictEqual(await render(template, { admin: true, items: [] }), 'admin/none');
+    assert.strictEqual(await render(template, { admin: false, items: [1] }), 'user/');
+  });
+
+  it('should loop with each', async () => {
+    const template = '{{#each items}}{{@index}}:{{ name }}({{ label }}){{#unless @last}}, {{/unless}}{{/each}}';
+    const html = await render(template, { label: 'x', items: [{ name: 'a' }, { name: '<b>' }] });
+    assert.strictEqual(html, '0:a(x), 1:&lt;b&gt;(x)');
+  });
+
+  it('should loop over objects and plain values', async () => {
+    assert.strictEqual(await render('{{#each map}}{{@key}}={{this}};{{/each}}', { map: { a: 1, b: 2 } }), 'a=1;b=2;');
+    assert.strictEqual(await render('{{#each list}}x{{else}}empty{{/each}}', { list: [] }), 'empty');
+  });
+
+  it('should nest blocks', async () => {
+    const template = '{{#each rows}}{{#if show}}[{{ v }}]{{else}}-{{/if}}{{/each}}!';
+    const html = await render(template, { rows: [{ show: true, v: 1 }, { show: false }] });
+    assert.strictEqual(html, '[1]-!');
+  });
+
+  it('should drop comments', async () => {
+    assert.strictEqual(await render('a{{! note }}b', {}), 'ab');
+  });
+
+  it('should render partials with the current scope', async () => {
+    const partials = { item: builtinEngine.compile('<li>{{ name }}/{{ title }}</li>') };
+    const partial = async (name) => partials[name];
+    const html = await render('{{#each items}}{{> item}}{{/each}}', { title: 'T', items: [{ name: 'a' }] }, partial);
+    assert.strictEqual(html, '<li>a/T</li>');
+  });
+
+  it('should report unclosed and mismatched blocks with a line number', () => {
+    assert.throws(() => render('a\n{{#if x}}', {}), /Unclosed \{\{#if\}\} in test.html:2/);
+    assert.throws(() => render('{{#if x}}{{/each}}', {}), /Unexpected \{\{\/each\}\}/);
+    assert.throws(() => render('{{#with x}}{{/with}}', {}), /Unknown block/);
+  });
+});
+
+describe('Views', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'views-'));
+    mkdirSync(join(dir, 'partials'));
+    writeFileSync(join(dir, 'page.html'), '<h1>{{ title }}</h1>{{> partials/footer}}');
+    writeFileSync(join(dir, 'partials', 'footer.html'), '<footer>{{ site }}</footer>');
+    writeFileSync(join(dir, 'layout.html'), '<html><title>{{ title }}</title>{{{ body }}}</html>');
+    writeFileSync(join(dir, 'hello.txt'), 'Hello, NAME');
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should render views with partials', async () => {
+    const views = new Views({ dir });
+    assert.strictEqual(await views.render('page', { title: 'Hi', site: 'Example' }),
+      '<h1>Hi</h1><footer>Example</footer>');
+  });
+
+  it('should wrap views in the layout', async () => {
+    const views = new Views({ dir, layout: 'layout' });
+    assert.strictEqual(await views.render('page', { title: 'Hi', site: 'S' }),
+      '<html><title>Hi</title><h1>Hi</h1><footer>S</footer></html>');
+    assert.strictEqual(await views.render('page', { title: 'Hi', site: 'S', layout: false }),
+      '<h1>Hi</h1><footer>S</footer>');
+  });
+
+  it('should cache compiled templates', async () => {
+    const views = new Views({ dir, cache: true });
+    const first = await views.template('page');
+    assert.strictEqual(await views.template('page'), first);
+
+    const uncached = new Views({ dir, cache: false });
+    assert.notStrictEqual(await uncached.template('page'), await uncached.template('page'));
+  });
+
+  it('should use registered engines by extension', async () => {
+    let compiled = 0;
+    const views = new Views({
+      dir,
+      engines: {
+        txt: {
+          compile(source) {
+            compiled++;
+            return (locals) => source.replace('NAME', locals.name);
+          },
+        },
+      },
+    });
+
+    assert.strictEqual(await views.render('hello.txt', { name: 'Ada' }), 'Hello, Ada');
+    await views.render('hello.txt', { name: 'Bob' });
+    assert.strictEqual(compiled, 1);
+  });
+
+  it('should reject engines without compile()', () => {
+    assert.throws(() => new Views({ dir }).engine('pug', () => {}), TypeError);
+  });
+
+  it('should report missing views and engines', async () => {
+    const views = new Views({ dir });
+    await assert.rejects(views.render('missing'), /View "missing" not found/);
+    await assert.rejects(views.render('hello.txt'), /No view engine for "\.txt"/);
+  });
+
+  it('should keep views inside the directory', () => {
+    const views = new Views({ dir });
+    assert.throws(() => views.resolve('../secret'), /outside the views directory/);
+  });
+
+  it('should accept a path or file: URL', () => {
+    assert.strictEqual(createViews(dir).dir, dir);
+    assert.strictEqual(createViews(pathToFileURL(dir)).dir, dir);
+    const views = new Views({ dir });
+    assert.strictEqual(createViews(views), views);
+  });
+});